@@ -0,0 +1,380 @@
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { parseArgs } from "util";
+import {
+  PROGRESSION_SETTINGS_RANGES,
+  DEFAULT_PROGRESSION_SETTINGS,
+  buildProgressionSeed,
+  countSolutions,
+  estimateDifficulty,
+  getBoardConstraints,
+  getConstraintViolations,
+  getEdges,
+  getSolvedEdgeMap,
+  makeBoard,
+  measureBoard,
+  mulberry32,
+  normalizeLevelList,
+  normalizeProgressionSettings,
+  parseProgressionSeed
+} from "../src/engine/index.js";
+
+const USAGE = `Usage: npm run levels -- <command> [options]
+
+Commands:
+  render <seed...>        Draw boards as ASCII art
+  stats <seed...>         Print terminals, curves, blanks and difficulty
+  validate [file]         Check a level list (default src/progressionLevels.json)
+  generate                Batch-generate progression seeds that meet constraints
+
+Options:
+  -d, --difficulty <name> easy, medium or hard (default medium)
+  --solved                render: draw tiles in their solved rotation
+  --json                  stats, generate: print JSON
+  --strict                validate: fail on levels with more than one solution
+  -n, --count <n>         generate: seeds to print (default 10)
+  --attempts <n>          generate: candidates to try (default 200)
+  --rng <n>               generate: RNG seed for a reproducible batch
+  --set <key=value>       generate: pin a progression setting (repeatable)
+  --min-score <n>         generate: lowest difficulty score
+  --max-score <n>         generate: highest difficulty score
+  --min-terminals <n>     generate: fewest terminals
+  --max-terminals <n>     generate: most terminals
+  --max-blanks <n>        generate: most blank cells
+  --unique                generate: only boards with a single solution
+  --clean                 generate: only boards that meet every generator constraint
+`;
+
+const DIFFICULTIES = ["easy", "medium", "hard"];
+const DEFAULT_LEVELS_FILE = "src/progressionLevels.json";
+
+class UsageError extends Error {}
+
+const parseNumberOption = (values, key, fallback = null) => {
+  const raw = values[key];
+  if (raw === undefined) return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value)) {
+    throw new UsageError(`--${key} expects a number, got "${raw}".`);
+  }
+  return value;
+};
+
+// Each tile is three lines of five characters so arms meet their neighbours.
+const renderTile = (tile) => {
+  if (tile.type === "blank") {
+    return ["     ", "  .  ", "     "];
+  }
+  const [n, e, s, w] = getEdges(tile);
+  const center = tile.fixed ? "#" : tile.type === "terminal" ? "o" : "+";
+  return [
+    n ? "  |  " : "     ",
+    `${w ? "--" : "  "}${center}${e ? "--" : "  "}`,
+    s ? "  |  " : "     "
+  ];
+};
+
+// Hex tiles are three lines of six characters, with odd rows indented half a tile.
+const renderHexTile = (tile) => {
+  if (tile.type === "blank") {
+    return ["      ", "  .   ", "      "];
+  }
+  const [ne, e, se, sw, w, nw] = getEdges(tile);
+  const center = tile.fixed ? "#" : tile.type === "hexTerminal" ? "o" : "+";
+  return [
+    ` ${nw ? "\\" : " "} ${ne ? "/" : " "}  `,
+    `${w ? "--" : "  "}${center}${e ? "---" : "   "}`,
+    ` ${sw ? "/" : " "} ${se ? "\\" : " "}  `
+  ];
+};
+
+const renderBoard = (tiles) => {
+  const { rows, cols, shape } = measureBoard(tiles);
+  const lines = [];
+  for (let r = 0; r < rows; r += 1) {
+    const rowTiles = tiles
+      .slice(r * cols, (r + 1) * cols)
+      .map(shape === "hex" ? renderHexTile : renderTile);
+    const indent = shape === "hex" && r % 2 === 1 ? "   " : "";
+    for (let line = 0; line < 3; line += 1) {
+      lines.push((indent + rowTiles.map((tile) => tile[line]).join("")).trimEnd());
+    }
+  }
+  return lines.join("\n");
+};
+
+const describeSeed = (seed, difficulty) => {
+  const tiles = makeBoard(seed, difficulty);
+  const stats = measureBoard(tiles);
+  const violations = getConstraintViolations(
+    getSolvedEdgeMap(tiles),
+    stats.rows,
+    stats.cols,
+    getBoardConstraints(seed, difficulty)
+  );
+  return {
+    seed,
+    difficulty,
+    tiles,
+    stats: {
+      terminals: stats.terminals,
+      curves: stats.curves,
+      blanks: stats.blanks,
+      pinned: tiles.filter((tile) => tile.fixed).length,
+      longestStraightRun: stats.longestStraightRun,
+      shape: stats.shape,
+      wrap: stats.wrap,
+      solutions: countSolutions(tiles, 2),
+      score: estimateDifficulty(tiles).score,
+      violations
+    }
+  };
+};
+
+const formatSolutions = (count) =>
+  count === 0 ? "unsolvable" : count === 1 ? "unique" : "multiple solutions";
+
+const formatStats = ({ stats }) =>
+  [
+    `difficulty ${stats.score}`,
+    `terminals ${stats.terminals}`,
+    `curves ${stats.curves}`,
+    `blanks ${stats.blanks}`,
+    stats.shape === "hex" ? "hex tiles" : null,
+    stats.wrap ? "edges wrap" : null,
+    stats.pinned ? `pinned ${stats.pinned}` : null,
+    formatSolutions(stats.solutions)
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+const requireSeeds = (seeds, command) => {
+  if (seeds.length === 0) {
+    throw new UsageError(`${command} needs at least one seed.`);
+  }
+};
+
+const runRender = (seeds, values, difficulty) => {
+  requireSeeds(seeds, "render");
+  seeds.forEach((seed, index) => {
+    const described = describeSeed(seed, difficulty);
+    const tiles = values.solved
+      ? described.tiles.map((tile) => ({ ...tile, rotation: tile.targetRotation }))
+      : described.tiles;
+    if (index > 0) console.log("");
+    console.log(`${seed} (${difficulty}): ${formatStats(described)}`);
+    console.log(renderBoard(tiles));
+  });
+};
+
+const runStats = (seeds, values, difficulty) => {
+  requireSeeds(seeds, "stats");
+  const results = seeds.map((seed) => {
+    const { stats } = describeSeed(seed, difficulty);
+    return { seed, difficulty, ...stats };
+  });
+  if (values.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+  results.forEach((result, index) => {
+    if (index > 0) console.log("");
+    console.log(`${result.seed} (${result.difficulty})`);
+    console.log(`  difficulty score  ${result.score}`);
+    console.log(`  terminals         ${result.terminals}`);
+    console.log(`  curves            ${result.curves}`);
+    console.log(`  blanks            ${result.blanks}`);
+    console.log(`  pinned tiles      ${result.pinned}`);
+    console.log(`  longest straight  ${result.longestStraightRun ?? "n/a"}`);
+    console.log(`  solutions         ${formatSolutions(result.solutions)}`);
+    console.log(`  constraints       ${result.violations.join(", ") || "all met"}`);
+  });
+};
+
+const runValidate = (files, values) => {
+  const file = resolve(files[0] || DEFAULT_LEVELS_FILE);
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    console.error(`Could not read ${file}: ${err.message}`);
+    return 1;
+  }
+  const levels = normalizeLevelList(raw);
+  const firstLevelBySeed = new Map();
+  let errors = 0;
+  let warnings = 0;
+  const report = (level, seed, severity, message) => {
+    if (severity === "error") errors += 1;
+    else warnings += 1;
+    console.log(`Level ${String(level).padStart(2)}  ${severity.padEnd(7)}  ${seed || "-"}  ${message}`);
+  };
+
+  levels.forEach((seed, index) => {
+    const level = index + 1;
+    if (!seed) {
+      report(level, seed, "warning", "no seed assigned");
+      return;
+    }
+    const settings = parseProgressionSeed(seed);
+    if (!settings) {
+      report(level, seed, "error", "not a progression seed");
+      return;
+    }
+    if (firstLevelBySeed.has(seed)) {
+      report(level, seed, "error", `duplicate of level ${firstLevelBySeed.get(seed)}`);
+      return;
+    }
+    firstLevelBySeed.set(seed, level);
+    const solutions = countSolutions(makeBoard(seed, "medium"), 2);
+    if (solutions === 0) {
+      report(level, seed, "error", "unsolvable");
+    } else if (solutions > 1) {
+      const promisedUnique = settings.unique === 1;
+      report(
+        level,
+        seed,
+        promisedUnique || values.strict ? "error" : "warning",
+        promisedUnique ? "flagged unique but has multiple solutions" : "multiple solutions"
+      );
+    }
+  });
+
+  console.log(
+    `Checked ${levels.length} levels in ${file}: ${errors} ${errors === 1 ? "error" : "errors"}, ` +
+      `${warnings} ${warnings === 1 ? "warning" : "warnings"}.`
+  );
+  return errors > 0 ? 1 : 0;
+};
+
+const parsePinnedSettings = (pairs = []) => {
+  const pinned = {};
+  pairs.forEach((pair) => {
+    const [key, raw] = pair.split("=");
+    if (!PROGRESSION_SETTINGS_RANGES[key] || raw === undefined || !Number.isFinite(Number(raw))) {
+      throw new UsageError(
+        `--set expects key=number with key one of ${Object.keys(PROGRESSION_SETTINGS_RANGES).join(", ")}.`
+      );
+    }
+    pinned[key] = Number(raw);
+  });
+  return pinned;
+};
+
+const randomSettings = (rand, pinned) => {
+  const settings = { ...DEFAULT_PROGRESSION_SETTINGS };
+  Object.entries(PROGRESSION_SETTINGS_RANGES).forEach(([key, { min, max }]) => {
+    // Size, shape, wrapping and uniqueness only change when pinned with --set or --unique.
+    if (["unique", "wrap", "hex", "rows", "cols"].includes(key)) return;
+    settings[key] = min + Math.floor(rand() * (max - min + 1));
+  });
+  return normalizeProgressionSettings({ ...settings, ...pinned });
+};
+
+const runGenerate = (values) => {
+  const count = parseNumberOption(values, "count", 10);
+  const attempts = parseNumberOption(values, "attempts", 200);
+  const minScore = parseNumberOption(values, "min-score", 0);
+  const maxScore = parseNumberOption(values, "max-score", 100);
+  const minTerminals = parseNumberOption(values, "min-terminals", 0);
+  const maxTerminals = parseNumberOption(values, "max-terminals", Infinity);
+  const maxBlanks = parseNumberOption(values, "max-blanks", Infinity);
+  const rngSeed = parseNumberOption(values, "rng", Date.now());
+  const pinned = parsePinnedSettings(values.set);
+  if (values.unique) pinned.unique = 1;
+
+  let existing = [];
+  try {
+    existing = normalizeLevelList(JSON.parse(readFileSync(resolve(DEFAULT_LEVELS_FILE), "utf8")));
+  } catch (err) {
+    // Generating outside the repo is fine; there's just nothing to skip.
+  }
+  const seen = new Set(existing.filter(Boolean));
+  const rand = mulberry32(rngSeed);
+  const found = [];
+
+  for (let attempt = 0; attempt < attempts && found.length < count; attempt += 1) {
+    const seed = buildProgressionSeed(randomSettings(rand, pinned));
+    if (seen.has(seed)) continue;
+    seen.add(seed);
+    const { stats } = describeSeed(seed, "medium");
+    if (stats.solutions === 0) continue;
+    if (values.unique && stats.solutions !== 1) continue;
+    if (values.clean && stats.violations.length > 0) continue;
+    if (stats.score < minScore || stats.score > maxScore) continue;
+    if (stats.terminals < minTerminals || stats.terminals > maxTerminals) continue;
+    if (stats.blanks > maxBlanks) continue;
+    found.push({ seed, ...stats });
+    if (!values.json) {
+      console.log(`${seed}  ${formatStats({ stats })}`);
+    }
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify(found, null, 2));
+  }
+  if (found.length < count) {
+    console.error(`Found ${found.length} of ${count} seeds in ${attempts} attempts (rng ${rngSeed}).`);
+    return 1;
+  }
+  return 0;
+};
+
+const main = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      difficulty: { type: "string", short: "d", default: "medium" },
+      solved: { type: "boolean" },
+      json: { type: "boolean" },
+      strict: { type: "boolean" },
+      count: { type: "string", short: "n" },
+      attempts: { type: "string" },
+      rng: { type: "string" },
+      set: { type: "string", multiple: true },
+      "min-score": { type: "string" },
+      "max-score": { type: "string" },
+      "min-terminals": { type: "string" },
+      "max-terminals": { type: "string" },
+      "max-blanks": { type: "string" },
+      unique: { type: "boolean" },
+      clean: { type: "boolean" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return command || values.help ? 0 : 2;
+  }
+  const difficulty = values.difficulty;
+  if (!DIFFICULTIES.includes(difficulty)) {
+    throw new UsageError(`--difficulty must be one of ${DIFFICULTIES.join(", ")}.`);
+  }
+  switch (command) {
+    case "render":
+      runRender(args, values, difficulty);
+      return 0;
+    case "stats":
+      runStats(args, values, difficulty);
+      return 0;
+    case "validate":
+      return runValidate(args, values);
+    case "generate":
+      return runGenerate(values);
+    default:
+      throw new UsageError(`Unknown command "${command}".`);
+  }
+};
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  if (err instanceof UsageError || err?.code?.startsWith?.("ERR_PARSE_ARGS")) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+  } else {
+    throw err;
+  }
+}
@@ -1,8 +1,16 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
 import { useRegisterSW } from "virtual:pwa-register/react";
 import { audioAttribution, audioTracks } from "./audioManifest.js";
+import { createBoardGenerator, isCancelledBoardRequest } from "./boardGenerator.js";
 import loreAndOrderLogo from "./assets/loreandorder.svg";
 import bakedProgressionLevels from "./progressionLevels.json";
+import {
+  DEFAULT_LOCALE,
+  LOCALES,
+  createTranslator,
+  detectLocale,
+  isSupportedLocale
+} from "./i18n/index.js";
 import {
   ANALYTICS_CONSENT,
   getAnalyticsConsent,
@@ -10,1349 +18,577 @@ import {
   setAnalyticsConsent as persistAnalyticsConsent,
   track
 } from "./analytics.js";
-
-const ROWS = 10;
-const COLS = 6;
-const TOTAL_LEVELS = 96;
-const MIN_TILES = 4;
-
-const TILE_TYPES = [
-  "blank",
-  "terminal",
-  "straight",
-  "curveLeft",
-  "curveRight",
-  "tJunction"
+import {
+  TILE_SURFACE,
+  blendRgba,
+  checkThemeContrast,
+  contrastRatio,
+  parseColor,
+  themeVariables
+} from "./themeColors.js";
+import {
+  BUILT_IN_THEMES,
+  THEME_VARIABLES,
+  encodeThemeCode,
+  exportTheme,
+  importTheme,
+  parseThemeText,
+  themeFileName,
+  validateTheme
+} from "./themes/index.js";
+import {
+  BASE_EDGES,
+  COLS,
+  DEFAULT_PROGRESSION_SETTINGS,
+  MIN_TILES,
+  PROGRESSION_SETTINGS_RANGES,
+  PROGRESS_HINT_LIMIT,
+  ROWS,
+  TOTAL_LEVELS,
+  analyzeDifficultyCurve,
+  buildProgressionSeed,
+  clampValue,
+  computeCompleteDirs,
+  computeConnections,
+  computePar,
+  connectionBitmask,
+  countSolutions,
+  estimateDifficulty,
+  getBoardDimensions,
+  getEdges,
+  getBoardShape,
+  getDailyKey,
+  getDailySeed,
+  getDailyStreak,
+  getHintsLeft,
+  getNeighborIndices,
+  getRotationOptions,
+  getTileSides,
+  getTurnsToTarget,
+  isWrapBoard,
+  normalizeLevelList,
+  normalizeProgressionSettings,
+  oppositeDir,
+  parseProgressionSeed,
+  pickHint,
+  progressionSettingsToBoardConfig,
+  rateSolve,
+  recordHint,
+  rotateEdges,
+  solveBoard
+} from "./engine/index.js";
+
+// Components read the active translator from context; App provides it. The level
+// builder is an authoring tool and stays in English.
+const I18nContext = createContext(createTranslator(DEFAULT_LOCALE));
+const useTranslator = () => useContext(I18nContext);
+
+// Flagged levels differ in shape as well as colour: spikes point up, dips point
+// down and ramp breaks are hollow rings.
+const CHART_FLAGS = [
+  { flag: "is-spike", label: "Spike" },
+  { flag: "is-dip", label: "Dip" },
+  { flag: "is-ramp-break", label: "Below the ramp" }
 ];
 
-const PROGRESSION_SETTINGS_RANGES = {
-  gapRate: { min: 0, max: 96 },
-  gapClusters: { min: 0, max: 4 },
-  curveBias: { min: 20, max: 40 },
-  terminalRate: { min: 12, max: 24 },
-  terminalSpacing: { min: 1, max: 5 },
-  straightRunMax: { min: 2, max: 6 },
-  emptyRowMax: { min: 0, max: 5 },
-  emptyColMax: { min: 0, max: 5 },
-  centerBias: { min: 0, max: 100 },
-  variant: { min: 0, max: 9 }
-};
-
-const DEFAULT_PROGRESSION_SETTINGS = {
-  gapRate: 18,
-  gapClusters: 2,
-  curveBias: 28,
-  terminalRate: 18,
-  terminalSpacing: 2,
-  straightRunMax: 4,
-  emptyRowMax: 2,
-  emptyColMax: 2,
-  centerBias: 0,
-  variant: 0
-};
-
-const BASE_EDGES = {
-  blank: [false, false, false, false],
-  terminal: [false, false, true, false],
-  straight: [true, false, true, false],
-  curveLeft: [true, false, false, true],
-  curveRight: [true, true, false, false],
-  tJunction: [true, true, false, true],
-  crossCurve: [true, true, true, true]
-};
-
-function clampValue(value, min, max) {
-  return Math.min(max, Math.max(min, value));
-}
-
-function normalizeProgressionSettings(settings) {
-  const next = { ...DEFAULT_PROGRESSION_SETTINGS };
-  if (!settings || typeof settings !== "object") return next;
-  Object.entries(PROGRESSION_SETTINGS_RANGES).forEach(([key, range]) => {
-    const raw = Number(settings[key]);
-    if (Number.isFinite(raw)) {
-      next[key] = clampValue(Math.round(raw), range.min, range.max);
-    }
-  });
-  return next;
-}
-
-function normalizeLevelList(list) {
-  const source = Array.isArray(list)
-    ? list
-    : list && typeof list === "object" && Array.isArray(list.levels)
-      ? list.levels
-      : [];
-  return Array.from({ length: TOTAL_LEVELS }, (_, index) => {
-    const value = source[index];
-    return typeof value === "string" ? value : "";
-  });
-}
-
-function buildProgressionSeed(settings) {
-  const normalized = normalizeProgressionSettings(settings);
-  return `P${normalized.gapRate}-${normalized.gapClusters}-${normalized.curveBias}-${normalized.terminalRate}-${normalized.straightRunMax}-${normalized.terminalSpacing}-${normalized.emptyRowMax}-${normalized.emptyColMax}-${normalized.centerBias}-${normalized.variant}`;
-}
-
-function parseProgressionSeed(seedText) {
-  if (!seedText || typeof seedText !== "string") return null;
-  const match = seedText.match(
-    /^P(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)$/i
-  );
-  if (match) {
-    return normalizeProgressionSettings({
-      gapRate: Number(match[1]),
-      gapClusters: Number(match[2]),
-      curveBias: Number(match[3]),
-      terminalRate: Number(match[4]),
-      straightRunMax: Number(match[5]),
-      terminalSpacing: Number(match[6]),
-      emptyRowMax: Number(match[7]),
-      emptyColMax: Number(match[8]),
-      centerBias: Number(match[9]),
-      variant: Number(match[10])
-    });
-  }
-  const legacyMatch = seedText.match(
-    /^P(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)$/i
-  );
-  if (legacyMatch) {
-    return normalizeProgressionSettings({
-      gapRate: Number(legacyMatch[1]),
-      gapClusters: Number(legacyMatch[2]),
-      curveBias: Number(legacyMatch[3]),
-      terminalRate: Number(legacyMatch[4]),
-      straightRunMax: Number(legacyMatch[5]),
-      terminalSpacing: Number(legacyMatch[6]),
-      emptyRowMax: Number(legacyMatch[7]),
-      emptyColMax: Number(legacyMatch[8]),
-      variant: Number(legacyMatch[9])
-    });
-  }
-  const legacyMatchShort = seedText.match(/^P(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)$/i);
-  if (!legacyMatchShort) return null;
-  return normalizeProgressionSettings({
-    gapRate: Number(legacyMatchShort[1]),
-    gapClusters: Number(legacyMatchShort[2]),
-    curveBias: Number(legacyMatchShort[3]),
-    terminalRate: Number(legacyMatchShort[4]),
-    straightRunMax: Number(legacyMatchShort[5]),
-    variant: Number(legacyMatchShort[6])
-  });
-}
-
-function progressionSettingsToBoardConfig(settings) {
-  const normalized = normalizeProgressionSettings(settings);
-  const totalCells = ROWS * COLS;
-  const gapCellsRaw = Math.round((totalCells * normalized.gapRate) / 100);
-  const maxBlankCells = Math.max(0, totalCells - MIN_TILES);
-  const maxBlankCellsSnapped = Math.floor(maxBlankCells / 4) * 4;
-  const gapCells = Math.min(
-    maxBlankCellsSnapped,
-    Math.max(0, Math.round(gapCellsRaw / 4) * 4)
-  );
-  const clusters = gapCells === 0 ? 0 : normalized.gapClusters;
-  const minClusterCells = clusters === 0 ? 0 : 4 + clusters * 2;
-  const minTerminals = Math.max(4, Math.round((totalCells * normalized.terminalRate) / 100));
-  const maxTerminals = Math.min(totalCells, minTerminals + 6);
-  return {
-    blanks: {
-      min: gapCells,
-      max: gapCells,
-      clusters,
-      minClusterCells,
-      maxEmptyRowRun: normalized.emptyRowMax,
-      maxEmptyColRun: normalized.emptyColMax,
-      centerBias: normalized.centerBias / 100
-    },
-    curveRatio: normalized.curveBias / 100,
-    minTerminals,
-    maxTerminals,
-    maxStraightRunAllowed: normalized.straightRunMax,
-    minTerminalDistance: normalized.terminalSpacing,
-    maxTerminalClusterAllowed: 3
-  };
-}
-
-function hashStringToInt(str) {
-  let h = 2166136261;
-  for (let i = 0; i < str.length; i += 1) {
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 16777619);
+function ChartMarker({ flag, active = false, x, y, r, ...props }) {
+  const className = `difficulty-chart-point ${flag}${active ? " is-active" : ""}`;
+  if (flag === "is-spike" || flag === "is-dip") {
+    const tip = flag === "is-spike" ? -r : r;
+    const base = -tip * 0.8;
+    return (
+      <polygon
+        className={className}
+        points={`${x},${y + tip} ${x + r},${y + base} ${x - r},${y + base}`}
+        {...props}
+      />
+    );
   }
-  return h >>> 0;
+  return <circle className={className} cx={x} cy={y} r={r} {...props} />;
 }
 
-function mulberry32(seed) {
-  let t = seed >>> 0;
-  return function random() {
-    t += 0x6D2B79F5;
-    let x = t;
-    x = Math.imul(x ^ (x >>> 15), x | 1);
-    x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
-    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-function getSymmetricCells(r, c, rows, cols) {
-  const set = new Set();
-  const pairs = [
-    [r, c],
-    [rows - 1 - r, c],
-    [r, cols - 1 - c],
-    [rows - 1 - r, cols - 1 - c]
-  ];
-  pairs.forEach(([rr, cc]) => set.add(`${rr}-${cc}`));
-  return Array.from(set);
-}
-
-function applySymmetricBlanks(
-  edgesByCell,
-  rows,
-  cols,
-  rand,
-  targetCells,
-  clusterCount,
-  minClusterCells = 0,
-  maxEmptyRowRun = Infinity,
-  maxEmptyColRun = Infinity,
-  centerBias = 0
-) {
-  if (targetCells <= 0) return;
-  const gridRows = Math.ceil(rows / 2);
-  const gridCols = Math.ceil(cols / 2);
-  const groups = [];
-  const indexGrid = Array.from({ length: gridRows }, () => Array(gridCols).fill(-1));
-  for (let r = 0; r < gridRows; r += 1) {
-    for (let c = 0; c < gridCols; c += 1) {
-      const cells = getSymmetricCells(r, c, rows, cols);
-      if (cells.length !== 4) {
-        continue;
-      }
-      const index = groups.length;
-      groups.push({ r, c, cells });
-      indexGrid[r][c] = index;
-    }
-  }
-  const totalGroups = groups.length;
-  const maxBlankGroups = Math.max(0, totalGroups - 1);
-  const groupTarget = Math.min(
-    maxBlankGroups,
-    Math.max(1, Math.round(targetCells / 4))
+function DifficultyChart({ points, activeLevel, onSelectLevel }) {
+  const width = 960;
+  const height = 200;
+  const padding = 12;
+  const step = (width - padding * 2) / Math.max(1, points.length - 1);
+  const toX = (level) => padding + (level - 1) * step;
+  const toY = (score) => height - padding - (score / 100) * (height - padding * 2);
+  const scored = points.filter((point) => point.score !== null);
+  const path = scored
+    .map((point, index) => `${index === 0 ? "M" : "L"} ${toX(point.level)} ${toY(point.score)}`)
+    .join(" ");
+  return (
+    <>
+      <svg
+        className="difficulty-chart"
+        viewBox={`0 0 ${width} ${height}`}
+        role="img"
+        aria-label="Difficulty by level"
+      >
+        {[25, 50, 75].map((score) => (
+          <line
+            key={score}
+            className="difficulty-chart-grid"
+            x1={padding}
+            x2={width - padding}
+            y1={toY(score)}
+            y2={toY(score)}
+          />
+        ))}
+        <path className="difficulty-chart-line" d={path} fill="none" />
+        {scored.map((point) => {
+          const flag = point.spike
+            ? "is-spike"
+            : point.dip
+              ? "is-dip"
+              : point.breaksRamp
+                ? "is-ramp-break"
+                : "";
+          return (
+            <ChartMarker
+              key={point.level}
+              flag={flag}
+              active={point.level === activeLevel}
+              x={toX(point.level)}
+              y={toY(point.score)}
+              r={flag ? 7 : 4}
+              onClick={() => onSelectLevel(point.level)}
+            >
+              <title>{`Level ${point.level}: ${point.score}`}</title>
+            </ChartMarker>
+          );
+        })}
+      </svg>
+      <ul className="difficulty-chart-legend">
+        {CHART_FLAGS.map(({ flag, label }) => (
+          <li key={flag}>
+            <svg viewBox="-8 -8 16 16" aria-hidden="true">
+              <ChartMarker flag={flag} x={0} y={0} r={6} />
+            </svg>
+            {label}
+          </li>
+        ))}
+      </ul>
+    </>
   );
-
-  const biasStrength = clampValue(centerBias, 0, 1);
-  const centerRow = (rows - 1) / 2;
-  const centerCol = (cols - 1) / 2;
-  const maxDist = Math.abs(centerRow) + Math.abs(centerCol) || 1;
-  const groupWeights = groups.map((group) => {
-    if (biasStrength <= 0) return 1;
-    const dist =
-      Math.abs(group.r - centerRow) + Math.abs(group.c - centerCol);
-    const normalized = dist / maxDist;
-    const power = 1 + biasStrength * 2.5;
-    const weighted = Math.pow(normalized, power);
-    return 1 + weighted * (1 + biasStrength * 8);
-  });
-
-  const pickWeightedIndex = (available) => {
-    if (available.length === 0) return -1;
-    if (biasStrength <= 0 || rand() > biasStrength) {
-      return available[Math.floor(rand() * available.length)];
-    }
-    let total = 0;
-    available.forEach((idx) => {
-      total += groupWeights[idx] ?? 1;
-    });
-    let roll = rand() * total;
-    for (let i = 0; i < available.length; i += 1) {
-      const idx = available[i];
-      roll -= groupWeights[idx] ?? 1;
-      if (roll <= 0) return idx;
-    }
-    return available[available.length - 1];
-  };
-
-  const selectGroupsInClusters = (clusterCountValue) => {
-    const minGroups = Math.max(1, Math.ceil(minClusterCells / 4));
-    const chosen = new Set();
-    const clusters = [];
-    const clusterTotal = Math.max(1, clusterCountValue || 1);
-    const maxClusterTotal = Math.max(1, Math.floor(groupTarget / minGroups));
-    const finalClusterTotal = Math.min(clusterTotal, maxClusterTotal);
-    for (let i = 0; i < finalClusterTotal; i += 1) {
-      const available = [];
-      for (let idx = 0; idx < groups.length; idx += 1) {
-        if (!chosen.has(idx)) available.push(idx);
-      }
-      const seedIndex = pickWeightedIndex(available);
-      if (seedIndex >= 0) {
-        chosen.add(seedIndex);
-        clusters.push([seedIndex]);
-      }
-    }
-
-    const neighborIndices = (group) => {
-      const dirs = [
-        [1, 0],
-        [-1, 0],
-        [0, 1],
-        [0, -1]
-      ];
-      const list = [];
-      dirs.forEach(([dr, dc]) => {
-        const nr = group.r + dr;
-        const nc = group.c + dc;
-        if (nr >= 0 && nr < gridRows && nc >= 0 && nc < gridCols) {
-          const idx = indexGrid[nr][nc];
-          if (idx >= 0) list.push(idx);
-        }
-      });
-      return list;
-    };
-
-    while (chosen.size < groupTarget) {
-      const clusterIndex = Math.floor(rand() * clusters.length);
-      const cluster = clusters[clusterIndex];
-      const anchorIndex = cluster[Math.floor(rand() * cluster.length)];
-      const neighbors = neighborIndices(groups[anchorIndex]).filter((idx) => !chosen.has(idx));
-      if (neighbors.length > 0) {
-        const nextIndex = neighbors[Math.floor(rand() * neighbors.length)];
-        chosen.add(nextIndex);
-        cluster.push(nextIndex);
-        if (cluster.length < minGroups) {
-          continue;
-        }
-      } else {
-        const available = [];
-        for (let idx = 0; idx < groups.length; idx += 1) {
-          if (!chosen.has(idx)) available.push(idx);
-        }
-        const nextIndex = pickWeightedIndex(available);
-        if (nextIndex >= 0) {
-          chosen.add(nextIndex);
-          cluster.push(nextIndex);
-          if (cluster.length < minGroups) {
-            continue;
-          }
-        } else {
-          break;
-        }
-      }
-    }
-    return Array.from(chosen);
-  };
-
-  const isConnected = (blankSet) => {
-    const total = rows * cols - blankSet.size;
-    if (total <= 0) return true;
-    let start = null;
-    for (let r = 0; r < rows && !start; r += 1) {
-      for (let c = 0; c < cols; c += 1) {
-        const key = `${r}-${c}`;
-        if (!blankSet.has(key)) {
-          start = [r, c];
-          break;
-        }
-      }
-    }
-    if (!start) return true;
-    const queue = [start];
-    const visited = new Set([`${start[0]}-${start[1]}`]);
-    while (queue.length) {
-      const [r, c] = queue.shift();
-      const neighbors = [
-        [r + 1, c],
-        [r - 1, c],
-        [r, c + 1],
-        [r, c - 1]
-      ];
-      neighbors.forEach(([nr, nc]) => {
-        if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) return;
-        const key = `${nr}-${nc}`;
-        if (blankSet.has(key) || visited.has(key)) return;
-        visited.add(key);
-        queue.push([nr, nc]);
-      });
-    }
-    return visited.size === total;
-  };
-
-  const maxEmptyRun = (blankSet, axis) => {
-    let maxRun = 0;
-    let run = 0;
-    const outer = axis === "row" ? rows : cols;
-    const inner = axis === "row" ? cols : rows;
-    for (let o = 0; o < outer; o += 1) {
-      let empty = true;
-      for (let i = 0; i < inner; i += 1) {
-        const r = axis === "row" ? o : i;
-        const c = axis === "row" ? i : o;
-        if (!blankSet.has(`${r}-${c}`)) {
-          empty = false;
-          break;
-        }
-      }
-      if (empty) {
-        run += 1;
-        if (run > maxRun) maxRun = run;
-      } else {
-        run = 0;
-      }
-    }
-    return maxRun;
-  };
-
-  let blanks = new Set();
-  let attempts = 0;
-  while (attempts < 40) {
-    blanks = new Set();
-    const grouped = selectGroupsInClusters(clusterCount);
-    const blankGroups = new Set(grouped);
-    for (const groupIndex of grouped) {
-      if (blanks.size >= groupTarget * 4) break;
-      groups[groupIndex].cells.forEach((key) => blanks.add(key));
-    }
-    if (
-      biasStrength >= 0.4 &&
-      blankGroups.size > 0 &&
-      blankGroups.size < totalGroups
-    ) {
-      const keepGroups = [];
-      for (let i = 0; i < totalGroups; i += 1) {
-        if (!blankGroups.has(i)) keepGroups.push(i);
-      }
-      const keepCount = keepGroups.length;
-      if (keepCount > 0) {
-        const sortedByCenter = Array.from({ length: totalGroups }, (_, idx) => idx).sort(
-          (a, b) => {
-            const da =
-              Math.abs(groups[a].r - centerRow) + Math.abs(groups[a].c - centerCol);
-            const db =
-              Math.abs(groups[b].r - centerRow) + Math.abs(groups[b].c - centerCol);
-            return da - db;
-          }
-        );
-        const desiredCount = Math.max(1, Math.round(keepCount * biasStrength));
-        const desiredSet = new Set(sortedByCenter.slice(0, desiredCount));
-        const missing = Array.from(desiredSet).filter((idx) => blankGroups.has(idx));
-        if (missing.length > 0) {
-          const removable = keepGroups
-            .filter((idx) => !desiredSet.has(idx))
-            .sort((a, b) => {
-              const da =
-                Math.abs(groups[a].r - centerRow) + Math.abs(groups[a].c - centerCol);
-              const db =
-                Math.abs(groups[b].r - centerRow) + Math.abs(groups[b].c - centerCol);
-              return db - da;
-            });
-          const swapCount = Math.min(missing.length, removable.length);
-          if (swapCount > 0) {
-            for (let i = 0; i < swapCount; i += 1) {
-              blankGroups.delete(missing[i]);
-              blankGroups.add(removable[i]);
-            }
-            blanks = new Set();
-            blankGroups.forEach((idx) => {
-              groups[idx].cells.forEach((key) => blanks.add(key));
-            });
-          }
-        }
-      }
-    }
-    const emptyRowRun = maxEmptyRun(blanks, "row");
-    const emptyColRun = maxEmptyRun(blanks, "col");
-    if (
-      blanks.size === groupTarget * 4 &&
-      isConnected(blanks) &&
-      emptyRowRun <= maxEmptyRowRun &&
-      emptyColRun <= maxEmptyColRun
-    ) {
-      break;
-    }
-    attempts += 1;
-  }
-
-  blanks.forEach((key) => {
-    const [r, c] = key.split("-").map(Number);
-    const edges = edgesByCell.get(key) || [false, false, false, false];
-    const dirs = [0, 1, 2, 3];
-    dirs.forEach((dir) => {
-      if (!edges[dir]) return;
-      const nr = r + (dir === 2 ? 1 : dir === 0 ? -1 : 0);
-      const nc = c + (dir === 1 ? 1 : dir === 3 ? -1 : 0);
-      const neighborKey = `${nr}-${nc}`;
-      const neighborEdges = edgesByCell.get(neighborKey) || [false, false, false, false];
-      edges[dir] = false;
-      neighborEdges[oppositeDir(dir)] = false;
-      edgesByCell.set(key, edges);
-      edgesByCell.set(neighborKey, neighborEdges);
-    });
-    edgesByCell.set(key, [false, false, false, false]);
-  });
 }
 
-function makeBoard(seedText, difficulty = "medium") {
-  const seed = hashStringToInt(seedText || "zen");
-  let rand = mulberry32(seed);
-  let edgesByCell = null;
-  const progressionSettings = parseProgressionSeed(seedText);
-  const progressionConfig = progressionSettings
-    ? progressionSettingsToBoardConfig(progressionSettings)
-    : null;
-  const difficultyConfig = {
-    easy: { min: 13, max: 20, clusters: 3, minClusterCells: 6, maxEmptyRowRun: 2, maxEmptyColRun: 2 },
-    medium: { min: 4, max: 12, clusters: 2, minClusterCells: 6, maxEmptyRowRun: 2, maxEmptyColRun: 2 },
-    hard: { min: 0, max: 0, clusters: 0, minClusterCells: 0, maxEmptyRowRun: 0, maxEmptyColRun: 0 }
-  };
-  const baseConfig = progressionConfig?.blanks || difficultyConfig[difficulty] || difficultyConfig.medium;
-  const blankMin = Math.max(0, Math.floor(baseConfig.min));
-  const blankMax = Math.max(blankMin, Math.floor(baseConfig.max));
-  const curveRatioByDifficulty = {
-    easy: 0.32,
-    medium: 0.28,
-    hard: 0.24
-  };
-  const curveRatio = progressionConfig?.curveRatio ?? curveRatioByDifficulty[difficulty] ?? 0.28;
-  const minTerminalsDefault = Math.max(6, Math.floor((ROWS * COLS) * 0.12));
-  const maxTerminalsDefault = Math.max(minTerminalsDefault + 2, Math.floor((ROWS * COLS) * 0.22));
-  const minTerminals = progressionConfig?.minTerminals ?? minTerminalsDefault;
-  const maxTerminals = progressionConfig?.maxTerminals ?? maxTerminalsDefault;
-  const maxStraightRunAllowed = progressionConfig?.maxStraightRunAllowed ?? 4;
-  const minTerminalDistance = progressionConfig?.minTerminalDistance ?? 2;
-  const maxTerminalClusterAllowed = progressionConfig?.maxTerminalClusterAllowed ?? 3;
-  let attemptSeed = 0;
-  while (attemptSeed < 60) {
-    rand = mulberry32(seed + attemptSeed * 97);
-    edgesByCell = generateSolvedEdges(ROWS, COLS, rand);
-    if (blankMax > 0) {
-      const targetCount = blankMin + Math.floor(rand() * (blankMax - blankMin + 1));
-      applySymmetricBlanks(
-        edgesByCell,
-        ROWS,
-        COLS,
-        rand,
-        targetCount,
-        baseConfig.clusters,
-        baseConfig.minClusterCells,
-        baseConfig.maxEmptyRowRun,
-        baseConfig.maxEmptyColRun,
-        baseConfig.centerBias ?? 0
-      );
-    }
-    const terminals = countTerminals(edgesByCell, ROWS, COLS);
-    const longestRun = maxStraightRun(edgesByCell, ROWS, COLS);
-    const tooClustered = hasCloseTerminals(edgesByCell, ROWS, COLS, minTerminalDistance);
-    const terminalClusterSize = maxTerminalCluster(edgesByCell, ROWS, COLS);
-    const edgeConnected = isEdgeGraphConnected(edgesByCell, ROWS, COLS);
-    const { curves, nonBlank } = countCurves(edgesByCell, ROWS, COLS);
-    const minCurves = nonBlank === 0 ? 0 : Math.max(8, Math.round(nonBlank * curveRatio));
-    if (
-      terminals >= minTerminals &&
-      terminals <= maxTerminals &&
-      longestRun <= maxStraightRunAllowed &&
-      !tooClustered &&
-      terminalClusterSize <= maxTerminalClusterAllowed &&
-      edgeConnected &&
-      curves >= minCurves
-    ) {
-      break;
-    }
-    attemptSeed += 1;
-  }
-  const tiles = [];
-
-  for (let r = 0; r < ROWS; r += 1) {
-    for (let c = 0; c < COLS; c += 1) {
-      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
-      const { type, rotation } = pickTypeForEdges(edges);
-      tiles.push({
-        id: `${r}-${c}`,
-        r,
-        c,
-        type,
-        rotation: rotation,
-        rotationDegrees: rotation * 90,
-        targetRotation: rotation
-      });
-    }
-  }
+// Everyone plays the same daily board, so its difficulty doesn't follow the picker.
+const DAILY_DIFFICULTY = "medium";
 
-  const scrambleWithoutSolved = () => {
-    const next = tiles.map((tile) => {
-      const offset = Math.floor(rand() * 4);
-      const rotationScrambled = (tile.targetRotation + offset) % 4;
-      return {
-        ...tile,
-        rotation: rotationScrambled,
-        rotationDegrees: rotationScrambled * 90
-      };
-    });
-    const connections = computeConnections(next);
-    const completeDirs = computeCompleteDirs(next, connections);
-    const hasSolved = next.some((tile) => {
-      const dirs = completeDirs.get(tile.id) || [false, false, false, false];
-      return dirs.some(Boolean);
-    });
-    return { next, hasSolved };
-  };
+const IDLE_TIMER = { started: false, elapsed: 0, since: null };
 
-  let attempt = 0;
-  let result = scrambleWithoutSolved();
-  while (result.hasSolved && attempt < 20) {
-    attempt += 1;
-    result = scrambleWithoutSolved();
-  }
-
-  return result.next;
-}
-
-function rotateEdges(edges, rotation) {
-  let [n, e, s, w] = edges;
-  for (let i = 0; i < rotation; i += 1) {
-    [n, e, s, w] = [w, n, e, s];
-  }
-  return [n, e, s, w];
+// Folds the running stretch into `elapsed`, so a saved timer doesn't count time away.
+function pauseTimer(timer, now = performance.now()) {
+  if (timer.since === null) return timer;
+  return { ...timer, elapsed: timer.elapsed + now - timer.since, since: null };
 }
 
-function getEdges(tile) {
-  const base = BASE_EDGES[tile.type];
-  if (!base) return [false, false, false, false];
-  if (tile.type === "crossCurve") return [true, true, true, true];
-  return rotateEdges(base, tile.rotation);
+function readTimer(timer, now) {
+  return timer.since === null ? timer.elapsed : timer.elapsed + now - timer.since;
 }
 
-function edgesEqual(a, b) {
-  return a[0] === b[0] && a[1] === b[1] && a[2] === b[2] && a[3] === b[3];
-}
-
-function pickTypeForEdges(edges) {
-  const degree = edges.filter(Boolean).length;
-  let candidates = [];
-  if (degree === 0) candidates = ["blank"];
-  if (degree === 1) candidates = ["terminal"];
-  if (degree === 2) {
-    const isStraight = (edges[0] && edges[2]) || (edges[1] && edges[3]);
-    candidates = isStraight ? ["straight"] : ["curveLeft", "curveRight"];
-  }
-  if (degree === 3) candidates = ["tJunction"];
-  if (degree === 4) candidates = ["crossCurve"];
-
-  for (const type of candidates) {
-    const base = BASE_EDGES[type];
-    for (let rotation = 0; rotation < 4; rotation += 1) {
-      const rotated = type === "crossCurve" ? base : rotateEdges(base, rotation);
-      if (edgesEqual(rotated, edges)) {
-        return { type, rotation };
-      }
-    }
+// In-progress boards are saved per mode ("endless", "progress", "daily") as the player's
+// rotations on top of the board their seed generates.
+function readSavedBoards() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem("zen_saved_boards") ?? "{}");
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return {};
+    return Object.fromEntries(
+      Object.entries(parsed).filter(
+        ([mode, saved]) =>
+          ["endless", "progress", "daily"].includes(mode) &&
+          typeof saved?.seedText === "string" &&
+          Array.isArray(saved.rotations)
+      )
+    );
+  } catch (err) {
+    return {};
   }
-  return { type: "blank", rotation: 0 };
-}
-
-function isBoundaryCell(r, c, rows, cols) {
-  return r === 0 || c === 0 || r === rows - 1 || c === cols - 1;
-}
-
-function mirrorCoord(r, c, rows, cols, mode) {
-  if (mode === "v") return [r, cols - 1 - c];
-  if (mode === "h") return [rows - 1 - r, c];
-  if (mode === "vh") return [rows - 1 - r, cols - 1 - c];
-  return [r, c];
 }
 
-function mirrorDir(dir, mode) {
-  let d = dir;
-  if (mode.includes("v")) {
-    if (d === 1) d = 3;
-    else if (d === 3) d = 1;
-  }
-  if (mode.includes("h")) {
-    if (d === 0) d = 2;
-    else if (d === 2) d = 0;
+// Player-made and imported themes, stored as { id, ...theme JSON } (see src/themes).
+function readCustomThemes() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem("zen_custom_themes") ?? "[]");
+    if (!Array.isArray(parsed)) return [];
+    return parsed.flatMap((entry) => {
+      if (typeof entry?.id !== "string") return [];
+      const { theme } = validateTheme(exportTheme(entry));
+      return theme ? [{ id: entry.id, ...theme }] : [];
+    });
+  } catch (err) {
+    return [];
   }
-  return d;
-}
-
-function canAddEdge(edgesByCell, r1, c1, r2, c2, dir, maxDegree) {
-  const edgesA = edgesByCell.get(`${r1}-${c1}`) || [false, false, false, false];
-  const edgesB = edgesByCell.get(`${r2}-${c2}`) || [false, false, false, false];
-  if (edgesA[dir]) return false;
-  const degreeA = edgesA.filter(Boolean).length;
-  const degreeB = edgesB.filter(Boolean).length;
-  if (degreeA + 1 > maxDegree || degreeB + 1 > maxDegree) return false;
-  return true;
 }
 
-function addEdge(edgesByCell, r1, c1, r2, c2, dir) {
-  const keyA = `${r1}-${c1}`;
-  const keyB = `${r2}-${c2}`;
-  const edgesA = edgesByCell.get(keyA) || [false, false, false, false];
-  const edgesB = edgesByCell.get(keyB) || [false, false, false, false];
-  edgesA[dir] = true;
-  edgesB[oppositeDir(dir)] = true;
-  edgesByCell.set(keyA, edgesA);
-  edgesByCell.set(keyB, edgesB);
+function downloadTextFile(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
 }
 
-function generateSolvedEdges(rows, cols, rand) {
-  const edgesByCell = new Map();
-  const visited = new Set();
-  const stack = [];
-
-  const start = [0, 0, null];
-  stack.push(start);
-  visited.add(`${start[0]}-${start[1]}`);
-  edgesByCell.set(`${start[0]}-${start[1]}`, [false, false, false, false]);
-
-  while (stack.length) {
-    const [r, c, prevDir] = stack[stack.length - 1];
-    const neighbors = [];
-    if (r > 0 && !visited.has(`${r - 1}-${c}`)) neighbors.push([r - 1, c, 0]);
-    if (c < cols - 1 && !visited.has(`${r}-${c + 1}`)) neighbors.push([r, c + 1, 1]);
-    if (r < rows - 1 && !visited.has(`${r + 1}-${c}`)) neighbors.push([r + 1, c, 2]);
-    if (c > 0 && !visited.has(`${r}-${c - 1}`)) neighbors.push([r, c - 1, 3]);
-
-    if (neighbors.length === 0) {
-      stack.pop();
-      continue;
+function resumeSavedBoard(tiles, saved) {
+  if (saved.rotations.length !== tiles.length) return tiles;
+  const locked = new Set(saved.locked ?? []);
+  return tiles.map((tile, index) => {
+    const rotation = saved.rotations[index];
+    const sides = getTileSides(tile);
+    if (tile.fixed || !Number.isInteger(rotation) || rotation < 0 || rotation >= sides) {
+      return tile;
     }
-
-    let nextNeighbor = null;
-    if (prevDir !== null && prevDir !== undefined) {
-      const turnDirs = new Set([(prevDir + 1) % 4, (prevDir + 3) % 4]);
-      const turnNeighbors = neighbors.filter((neighbor) => turnDirs.has(neighbor[2]));
-      if (turnNeighbors.length > 0 && rand() < 0.85) {
-        nextNeighbor = turnNeighbors[Math.floor(rand() * turnNeighbors.length)];
-      }
-    }
-    if (!nextNeighbor) {
-      nextNeighbor = neighbors[Math.floor(rand() * neighbors.length)];
-    }
-    const [nr, nc, dir] = nextNeighbor;
-    const currentKey = `${r}-${c}`;
-    const nextKey = `${nr}-${nc}`;
-
-    const currentEdges = edgesByCell.get(currentKey) || [false, false, false, false];
-    const nextEdges = edgesByCell.get(nextKey) || [false, false, false, false];
-    currentEdges[dir] = true;
-    nextEdges[oppositeDir(dir)] = true;
-    edgesByCell.set(currentKey, currentEdges);
-    edgesByCell.set(nextKey, nextEdges);
-
-    visited.add(nextKey);
-    stack.push([nr, nc, dir]);
-  }
-
-  // Add extra edges to create cycles / higher-degree nodes (crosses).
-  const candidates = [];
-  for (let r = 0; r < rows; r += 1) {
-    for (let c = 0; c < cols; c += 1) {
-      if (r < rows - 1) candidates.push([r, c, r + 1, c]);
-      if (c < cols - 1) candidates.push([r, c, r, c + 1]);
-    }
-  }
-
-  const maxCrosses = 1;
-  const maxTJunctions = Math.max(2, Math.floor((rows * cols) / 6));
-  const extraEdgesTarget = Math.max(1, Math.floor((rows * cols) / 7));
-  let added = 0;
-  const countCrosses = () => {
-    let count = 0;
-    for (let r = 0; r < rows; r += 1) {
-      for (let c = 0; c < cols; c += 1) {
-        const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
-        if (edges.filter(Boolean).length === 4) count += 1;
-      }
-    }
-    return count;
-  };
-
-  const countTJunctions = () => {
-    let count = 0;
-    for (let r = 0; r < rows; r += 1) {
-      for (let c = 0; c < cols; c += 1) {
-        const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
-        if (edges.filter(Boolean).length === 3) count += 1;
-      }
-    }
-    return count;
-  };
-
-  for (let i = 0; i < candidates.length && added < extraEdgesTarget; i += 1) {
-    const swapIndex = i + Math.floor(rand() * (candidates.length - i));
-    [candidates[i], candidates[swapIndex]] = [candidates[swapIndex], candidates[i]];
-
-    const [r1, c1, r2, c2] = candidates[i];
-    const keyA = `${r1}-${c1}`;
-    const keyB = `${r2}-${c2}`;
-    const dir = r2 > r1 ? 2 : r2 < r1 ? 0 : c2 > c1 ? 1 : 3;
-    const edgesA = edgesByCell.get(keyA) || [false, false, false, false];
-    const edgesB = edgesByCell.get(keyB) || [false, false, false, false];
-
-    if (edgesA[dir]) continue;
-
-    const degreeA = edgesA.filter(Boolean).length;
-    const degreeB = edgesB.filter(Boolean).length;
-    if (degreeA >= 4 || degreeB >= 4) continue;
-
-    // Avoid creating a 4-way cross on boundary cells.
-    const nextDegreeA = degreeA + 1;
-    const nextDegreeB = degreeB + 1;
-    if (nextDegreeA === 4 && isBoundaryCell(r1, c1, rows, cols)) continue;
-    if (nextDegreeB === 4 && isBoundaryCell(r2, c2, rows, cols)) continue;
-
-    edgesA[dir] = true;
-    edgesB[oppositeDir(dir)] = true;
-    edgesByCell.set(keyA, edgesA);
-    edgesByCell.set(keyB, edgesB);
-    if (countCrosses() <= maxCrosses) {
-      added += 1;
-    } else {
-      edgesA[dir] = false;
-      edgesB[oppositeDir(dir)] = false;
-      edgesByCell.set(keyA, edgesA);
-      edgesByCell.set(keyB, edgesB);
-    }
-  }
-
-  // Promote interior degree-3 nodes to degree-4 when possible (to create crosses).
-  const promotionTargets = [];
-  for (let r = 1; r < rows - 1; r += 1) {
-    for (let c = 1; c < cols - 1; c += 1) {
-      const key = `${r}-${c}`;
-      const edges = edgesByCell.get(key) || [false, false, false, false];
-      const degree = edges.filter(Boolean).length;
-      if (degree === 3) promotionTargets.push([r, c]);
-    }
-  }
-
-  for (let i = 0; i < promotionTargets.length; i += 1) {
-    const swapIndex = i + Math.floor(rand() * (promotionTargets.length - i));
-    [promotionTargets[i], promotionTargets[swapIndex]] = [
-      promotionTargets[swapIndex],
-      promotionTargets[i]
-    ];
-  }
-
-  for (const [r, c] of promotionTargets) {
-    if (countCrosses() >= maxCrosses) break;
-    const key = `${r}-${c}`;
-    const edges = edgesByCell.get(key) || [false, false, false, false];
-    const missingDirs = [0, 1, 2, 3].filter((dir) => !edges[dir]);
-    for (const dir of missingDirs) {
-      const nr = r + (dir === 2 ? 1 : dir === 0 ? -1 : 0);
-      const nc = c + (dir === 1 ? 1 : dir === 3 ? -1 : 0);
-      const neighborKey = `${nr}-${nc}`;
-      const neighborEdges = edgesByCell.get(neighborKey) || [false, false, false, false];
-      const neighborDegree = neighborEdges.filter(Boolean).length;
-      if (neighborDegree >= 4) continue;
-      if (neighborDegree === 3 && isBoundaryCell(nr, nc, rows, cols)) continue;
-      edges[dir] = true;
-      neighborEdges[oppositeDir(dir)] = true;
-      edgesByCell.set(key, edges);
-      edgesByCell.set(neighborKey, neighborEdges);
-      if (countCrosses() > maxCrosses) {
-        edges[dir] = false;
-        neighborEdges[oppositeDir(dir)] = false;
-        edgesByCell.set(key, edges);
-        edgesByCell.set(neighborKey, neighborEdges);
-      } else {
-        break;
-      }
-    }
-  }
-
-  // Apply soft 4-way symmetry to edges (mirror with small omissions).
-  const softness = 0.18;
-  const keys = Array.from(edgesByCell.keys());
-  keys.forEach((key) => {
-    const [r, c] = key.split("-").map(Number);
-    const edges = edgesByCell.get(key) || [false, false, false, false];
-    edges.forEach((hasEdge, dir) => {
-      if (!hasEdge) return;
-      const [vr, vc] = mirrorCoord(r, c, rows, cols, "v");
-      const [hr, hc] = mirrorCoord(r, c, rows, cols, "h");
-      const [vrh, vch] = mirrorCoord(r, c, rows, cols, "vh");
-      const dirV = mirrorDir(dir, "v");
-      const dirH = mirrorDir(dir, "h");
-      const dirVH = mirrorDir(dir, "vh");
-
-      const mirrorPairs = [
-        [vr, vc, dirV],
-        [hr, hc, dirH],
-        [vrh, vch, dirVH]
-      ];
-
-      mirrorPairs.forEach(([mr, mc, mdir]) => {
-        if (rand() < softness) return;
-        const nr = mr + (mdir === 2 ? 1 : mdir === 0 ? -1 : 0);
-        const nc = mc + (mdir === 1 ? 1 : mdir === 3 ? -1 : 0);
-        if (nr < 0 || nc < 0 || nr >= rows || nc >= cols) return;
-        if (canAddEdge(edgesByCell, mr, mc, nr, nc, mdir, 3)) {
-          addEdge(edgesByCell, mr, mc, nr, nc, mdir);
-        }
-      });
-    });
+    const next = { ...tile, rotation, rotationDegrees: rotation * (360 / sides) };
+    if (locked.has(index)) next.locked = true;
+    return next;
   });
-
-  // Defensive pass: if a boundary cell ended up with degree 4, drop one edge.
-  for (let r = 0; r < rows; r += 1) {
-    for (let c = 0; c < cols; c += 1) {
-      if (!isBoundaryCell(r, c, rows, cols)) continue;
-      const key = `${r}-${c}`;
-      const edges = edgesByCell.get(key) || [false, false, false, false];
-      const degree = edges.filter(Boolean).length;
-      if (degree !== 4) continue;
-      const dirs = [0, 1, 2, 3].filter((d) => edges[d]);
-      const dropDir = dirs[Math.floor(rand() * dirs.length)];
-      const nr = r + (dropDir === 2 ? 1 : dropDir === 0 ? -1 : 0);
-      const nc = c + (dropDir === 1 ? 1 : dropDir === 3 ? -1 : 0);
-      const neighborKey = `${nr}-${nc}`;
-      const neighborEdges = edgesByCell.get(neighborKey) || [false, false, false, false];
-      edges[dropDir] = false;
-      neighborEdges[oppositeDir(dropDir)] = false;
-      edgesByCell.set(key, edges);
-      edgesByCell.set(neighborKey, neighborEdges);
-    }
-  }
-
-  const isConnectedGraph = () => {
-    const start = "0-0";
-    const visitedNodes = new Set();
-    const stackNodes = [start];
-    while (stackNodes.length) {
-      const key = stackNodes.pop();
-      if (visitedNodes.has(key)) continue;
-      visitedNodes.add(key);
-      const [r, c] = key.split("-").map(Number);
-      const edges = edgesByCell.get(key) || [false, false, false, false];
-      const neighbors = [
-        [r - 1, c],
-        [r, c + 1],
-        [r + 1, c],
-        [r, c - 1]
-      ];
-      edges.forEach((hasEdge, dir) => {
-        if (!hasEdge) return;
-        const [nr, nc] = neighbors[dir];
-        if (nr < 0 || nc < 0 || nr >= rows || nc >= cols) return;
-        stackNodes.push(`${nr}-${nc}`);
-      });
-    }
-    return visitedNodes.size === rows * cols;
-  };
-
-  const canRemoveEdge = (r, c, dir) => {
-    const nr = r + (dir === 2 ? 1 : dir === 0 ? -1 : 0);
-    const nc = c + (dir === 1 ? 1 : dir === 3 ? -1 : 0);
-    if (nr < 0 || nc < 0 || nr >= rows || nc >= cols) return false;
-    const keyA = `${r}-${c}`;
-    const keyB = `${nr}-${nc}`;
-    const edgesA = edgesByCell.get(keyA) || [false, false, false, false];
-    const edgesB = edgesByCell.get(keyB) || [false, false, false, false];
-    if (!edgesA[dir]) return false;
-    edgesA[dir] = false;
-    edgesB[oppositeDir(dir)] = false;
-    edgesByCell.set(keyA, edgesA);
-    edgesByCell.set(keyB, edgesB);
-    const connected = isConnectedGraph();
-    if (!connected) {
-      edgesA[dir] = true;
-      edgesB[oppositeDir(dir)] = true;
-      edgesByCell.set(keyA, edgesA);
-      edgesByCell.set(keyB, edgesB);
-      return false;
-    }
-    return true;
-  };
-
-  // Enforce hard max cross count by removing non-bridge edges from degree-4 cells.
-  let crosses = countCrosses();
-  if (crosses > maxCrosses) {
-    const crossCells = [];
-    for (let r = 0; r < rows; r += 1) {
-      for (let c = 0; c < cols; c += 1) {
-        const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
-        if (edges.filter(Boolean).length === 4) crossCells.push([r, c]);
-      }
-    }
-    for (let i = 0; i < crossCells.length && crosses > maxCrosses; i += 1) {
-      const swapIndex = i + Math.floor(rand() * (crossCells.length - i));
-      [crossCells[i], crossCells[swapIndex]] = [crossCells[swapIndex], crossCells[i]];
-      const [r, c] = crossCells[i];
-      const dirs = [0, 1, 2, 3];
-      for (let d = 0; d < dirs.length && crosses > maxCrosses; d += 1) {
-        const dir = dirs[d];
-        if (canRemoveEdge(r, c, dir)) {
-          crosses = countCrosses();
-          break;
-        }
-      }
-    }
-  }
-
-  // Reduce degree-3 nodes to balance tile types.
-  let tCount = countTJunctions();
-  if (tCount > maxTJunctions) {
-    const tCells = [];
-    for (let r = 0; r < rows; r += 1) {
-      for (let c = 0; c < cols; c += 1) {
-        const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
-        if (edges.filter(Boolean).length === 3) tCells.push([r, c]);
-      }
-    }
-    for (let i = 0; i < tCells.length && tCount > maxTJunctions; i += 1) {
-      const swapIndex = i + Math.floor(rand() * (tCells.length - i));
-      [tCells[i], tCells[swapIndex]] = [tCells[swapIndex], tCells[i]];
-      const [r, c] = tCells[i];
-      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
-      const dirs = [0, 1, 2, 3].filter((dir) => edges[dir]);
-      for (let d = 0; d < dirs.length && tCount > maxTJunctions; d += 1) {
-        if (canRemoveEdge(r, c, dirs[d])) {
-          tCount = countTJunctions();
-          break;
-        }
-      }
-    }
-  }
-
-  return edgesByCell;
 }
 
-function countTerminals(edgesByCell, rows, cols) {
-  let count = 0;
-  for (let r = 0; r < rows; r += 1) {
-    for (let c = 0; c < cols; c += 1) {
-      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
-      if (edges.filter(Boolean).length === 1) count += 1;
-    }
-  }
-  return count;
+// Board links live in the URL hash as "#seed=…&d=…"; Endless seeds add wrap and
+// shape, while progression seeds carry their own flags.
+function readBoardLink() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const seed = params.get("seed")?.trim();
+  if (!seed) return null;
+  return {
+    seed,
+    difficulty: params.get("d"),
+    wrap: params.get("wrap") === "1",
+    shape: params.get("shape") === "hex" ? "hex" : "square"
+  };
 }
 
-function countCurves(edgesByCell, rows, cols) {
-  let curves = 0;
-  let nonBlank = 0;
-  for (let r = 0; r < rows; r += 1) {
-    for (let c = 0; c < cols; c += 1) {
-      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
-      const degree = edges.filter(Boolean).length;
-      if (degree === 0) continue;
-      nonBlank += 1;
-      if (degree === 2) {
-        const isStraight = (edges[0] && edges[2]) || (edges[1] && edges[3]);
-        if (!isStraight) curves += 1;
-      }
-    }
+function buildBoardLinkHash({ seed, difficulty, wrap, shape }) {
+  const params = new URLSearchParams({ seed, d: difficulty });
+  if (!parseProgressionSeed(seed)) {
+    if (shape === "hex") params.set("shape", "hex");
+    else if (wrap) params.set("wrap", "1");
   }
-  return { curves, nonBlank };
+  return `#${params}`;
 }
 
-function isEdgeGraphConnected(edgesByCell, rows, cols) {
-  let start = null;
-  let total = 0;
-  for (let r = 0; r < rows; r += 1) {
-    for (let c = 0; c < cols; c += 1) {
-      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
-      if (edges.filter(Boolean).length > 0) {
-        total += 1;
-        if (!start) start = [r, c];
-      }
+// Opens the share sheet where there is one, else copies the text or url and calls
+// onCopied. A share sheet the player closes rejects with an AbortError and ends
+// there; any other refusal (NotAllowedError, no share target) copies instead.
+async function shareOrCopy(data, onCopied) {
+  if (navigator.share) {
+    try {
+      await navigator.share(data);
+      return;
+    } catch (err) {
+      if (err?.name === "AbortError") return;
     }
   }
-  if (total <= 1) return true;
-
-  const visited = new Set();
-  const queue = [start];
-  visited.add(`${start[0]}-${start[1]}`);
-  while (queue.length) {
-    const [r, c] = queue.shift();
-    const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
-    edges.forEach((hasEdge, dir) => {
-      if (!hasEdge) return;
-      const nr = r + (dir === 2 ? 1 : dir === 0 ? -1 : 0);
-      const nc = c + (dir === 1 ? 1 : dir === 3 ? -1 : 0);
-      if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) return;
-      const neighborEdges = edgesByCell.get(`${nr}-${nc}`) || [false, false, false, false];
-      if (neighborEdges.filter(Boolean).length === 0) return;
-      const key = `${nr}-${nc}`;
-      if (visited.has(key)) return;
-      visited.add(key);
-      queue.push([nr, nc]);
-    });
+  try {
+    if (!navigator.clipboard) return;
+    await navigator.clipboard.writeText(data.text ?? data.url);
+    onCopied();
+  } catch (err) {
+    // Clipboard access was refused; there is nothing left to try.
   }
-  return visited.size === total;
 }
 
-function hasCloseTerminals(edgesByCell, rows, cols, minDistance) {
-  const terminals = [];
-  for (let r = 0; r < rows; r += 1) {
-    for (let c = 0; c < cols; c += 1) {
-      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
-      if (edges.filter(Boolean).length === 1) terminals.push([r, c]);
-    }
-  }
-  for (let i = 0; i < terminals.length; i += 1) {
-    for (let j = i + 1; j < terminals.length; j += 1) {
-      const dr = Math.abs(terminals[i][0] - terminals[j][0]);
-      const dc = Math.abs(terminals[i][1] - terminals[j][1]);
-      if (dr + dc < minDistance) return true;
-    }
-  }
-  return false;
+// Spoiler-free: stars, counts and time, never the board itself.
+function buildDailyShareText(dayKey, result, streak, t) {
+  const lines = [
+    t("daily.shareTitle", { day: dayKey }),
+    `${"⭐".repeat(result.stars)}${"▫️".repeat(3 - result.stars)} ${t("daily.shareMoves", {
+      count: result.moves,
+      par: result.par
+    })}`
+  ];
+  if (Number.isFinite(result.timeMs)) lines.push(`⏱️ ${t.duration(result.timeMs)}`);
+  if (result.hints > 0) lines.push(`💡 ${t("daily.shareHints", { count: result.hints })}`);
+  if (streak > 0) lines.push(`🔥 ${t("daily.streak", { count: streak })}`);
+  return lines.join("\n");
 }
 
-function maxTerminalCluster(edgesByCell, rows, cols) {
-  const visited = new Set();
-  let maxSize = 0;
-  const isTerminal = (r, c) => {
-    const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
-    return edges.filter(Boolean).length === 1;
+// One month of daily results, Monday first. 1 January 2024 was a Monday, so its
+// week gives the narrow weekday labels in the player's language.
+function DailyCalendar({ history, todayKey, streak }) {
+  const t = useTranslator();
+  const weekdayLabels = useMemo(() => {
+    const format = new Intl.DateTimeFormat(t.locale, { weekday: "narrow" });
+    return Array.from({ length: 7 }, (_, index) => format.format(new Date(2024, 0, 1 + index)));
+  }, [t]);
+  const [month, setMonth] = useState(() => todayKey.slice(0, 7));
+  const [year, monthNumber] = month.split("-").map(Number);
+  const first = new Date(year, monthNumber - 1, 1);
+  const daysInMonth = new Date(year, monthNumber, 0).getDate();
+  const leading = (first.getDay() + 6) % 7;
+  const stepMonth = (delta) => {
+    const next = new Date(year, monthNumber - 1 + delta, 1);
+    setMonth(`${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, "0")}`);
   };
-  for (let r = 0; r < rows; r += 1) {
-    for (let c = 0; c < cols; c += 1) {
-      const key = `${r}-${c}`;
-      if (visited.has(key) || !isTerminal(r, c)) continue;
-      let size = 0;
-      const queue = [[r, c]];
-      visited.add(key);
-      while (queue.length) {
-        const [cr, cc] = queue.shift();
-        size += 1;
-        const neighbors = [
-          [cr + 1, cc],
-          [cr - 1, cc],
-          [cr, cc + 1],
-          [cr, cc - 1]
-        ];
-        neighbors.forEach(([nr, nc]) => {
-          if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) return;
-          const nKey = `${nr}-${nc}`;
-          if (visited.has(nKey) || !isTerminal(nr, nc)) return;
-          visited.add(nKey);
-          queue.push([nr, nc]);
-        });
-      }
-      if (size > maxSize) maxSize = size;
-    }
-  }
-  return maxSize;
-}
-
-function maxStraightRun(edgesByCell, rows, cols) {
-  let maxRun = 0;
-  for (let c = 0; c < cols; c += 1) {
-    let run = 0;
-    for (let r = 0; r < rows; r += 1) {
-      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
-      const isVertical = edges[0] && edges[2] && !edges[1] && !edges[3];
-      if (isVertical) {
-        run += 1;
-        if (run > maxRun) maxRun = run;
-      } else {
-        run = 0;
-      }
-    }
-  }
-  for (let r = 0; r < rows; r += 1) {
-    let run = 0;
-    for (let c = 0; c < cols; c += 1) {
-      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
-      const isHorizontal = edges[1] && edges[3] && !edges[0] && !edges[2];
-      if (isHorizontal) {
-        run += 1;
-        if (run > maxRun) maxRun = run;
-      } else {
-        run = 0;
-      }
-    }
-  }
-  return maxRun;
-}
-
-function oppositeDir(dir) {
-  return (dir + 2) % 4;
-}
-
-function connectionBitmask(connections) {
+  const completedCount = Object.keys(history).length;
   return (
-    (connections[0] ? 1 : 0) |
-    (connections[1] ? 2 : 0) |
-    (connections[2] ? 4 : 0) |
-    (connections[3] ? 8 : 0)
+    <div className="daily-calendar">
+      <div className="daily-calendar-header">
+        <button
+          type="button"
+          className="button button-ghost builder-level-step"
+          onClick={() => stepMonth(-1)}
+          aria-label={t("daily.previousMonth")}
+        >
+          <svg viewBox="0 0 24 24" aria-hidden="true">
+            <path
+              d="M15 6l-6 6 6 6"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2.4"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            />
+          </svg>
+        </button>
+        <span className="daily-calendar-title">
+          {first.toLocaleDateString(t.locale, { month: "long", year: "numeric" })}
+        </span>
+        <button
+          type="button"
+          className="button button-ghost builder-level-step"
+          onClick={() => stepMonth(1)}
+          disabled={month >= todayKey.slice(0, 7)}
+          aria-label={t("daily.nextMonth")}
+        >
+          <svg viewBox="0 0 24 24" aria-hidden="true">
+            <path
+              d="M9 6l6 6-6 6"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2.4"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            />
+          </svg>
+        </button>
+      </div>
+      <div className="daily-calendar-grid">
+        {weekdayLabels.map((label, index) => (
+          <span key={`weekday-${index}`} className="daily-calendar-weekday" aria-hidden="true">
+            {label}
+          </span>
+        ))}
+        {Array.from({ length: leading }, (_, index) => (
+          <span key={`pad-${index}`} aria-hidden="true" />
+        ))}
+        {Array.from({ length: daysInMonth }, (_, index) => {
+          const day = index + 1;
+          const key = `${month}-${String(day).padStart(2, "0")}`;
+          const result = history[key];
+          return (
+            <span
+              key={key}
+              className={`daily-calendar-day${result ? " is-done" : ""}${
+                key === todayKey ? " is-today" : ""
+              }`}
+              title={
+                result
+                  ? t("daily.dayResult", { count: result.moves, stars: result.stars })
+                  : undefined
+              }
+              aria-label={result ? t("daily.dayDone", { day: key }) : key}
+            >
+              {day}
+            </span>
+          );
+        })}
+      </div>
+      <p className="daily-calendar-summary">
+        {t("daily.streak", { count: streak })} · {t("daily.daysDone", { count: completedCount })}
+      </p>
+    </div>
   );
 }
 
-function computeConnections(tiles) {
-  const byId = new Map();
-  const byPos = new Map();
-  tiles.forEach((tile) => {
-    byId.set(tile.id, tile);
-    byPos.set(`${tile.r}-${tile.c}`, tile);
-  });
-
-  const connections = new Map();
-
-  tiles.forEach((tile) => {
-    const edges = getEdges(tile);
-    const connected = [false, false, false, false];
-    const neighbors = [
-      byPos.get(`${tile.r - 1}-${tile.c}`),
-      byPos.get(`${tile.r}-${tile.c + 1}`),
-      byPos.get(`${tile.r + 1}-${tile.c}`),
-      byPos.get(`${tile.r}-${tile.c - 1}`)
-    ];
-
-    edges.forEach((hasEdge, dir) => {
-      if (!hasEdge) return;
-      const neighbor = neighbors[dir];
-      if (!neighbor) return;
-      const neighborEdges = getEdges(neighbor);
-      if (neighborEdges[oppositeDir(dir)]) {
-        connected[dir] = true;
-      }
-    });
-
-    connections.set(tile.id, connected);
-  });
-
-  return connections;
-}
+const STAR_PATH =
+  "M12 3.5l2.6 5.3 5.9.9-4.3 4.1 1 5.8-5.2-2.7-5.2 2.7 1-5.8-4.3-4.1 5.9-.9z";
 
-function getInternalPortPairs(tile, edges) {
-  if (tile.type === "crossCurve") {
-    const parity = tile.rotation % 2;
-    return parity === 0
-      ? [
-          [0, 3],
-          [1, 2]
-        ]
-      : [
-          [0, 1],
-          [2, 3]
-        ];
-  }
-  const dirs = [];
-  edges.forEach((on, dir) => {
-    if (on) dirs.push(dir);
-  });
-  if (dirs.length === 2) return [[dirs[0], dirs[1]]];
-  if (dirs.length === 3) {
-    return [
-      [dirs[0], dirs[1]],
-      [dirs[1], dirs[2]],
-      [dirs[0], dirs[2]]
-    ];
-  }
-  return [];
+function StarRating({ stars, className = "" }) {
+  const t = useTranslator();
+  return (
+    <span
+      className={`star-rating ${className}`}
+      role="img"
+      aria-label={t("common.stars", { count: stars })}
+    >
+      {[1, 2, 3].map((star) => (
+        <svg
+          key={star}
+          viewBox="0 0 24 24"
+          className={star <= stars ? "is-earned" : ""}
+          aria-hidden="true"
+        >
+          <path d={STAR_PATH} />
+        </svg>
+      ))}
+    </span>
+  );
 }
 
-function computeCompleteDirs(tiles, connections) {
-  const byId = new Map();
-  const byPos = new Map();
-  tiles.forEach((tile) => {
-    byId.set(tile.id, tile);
-    byPos.set(`${tile.r}-${tile.c}`, tile);
-  });
-
-  const portAdj = new Map();
-  const danglingPorts = new Set();
-  const allPorts = [];
-
-  tiles.forEach((tile) => {
-    const edges = getEdges(tile);
-    const connected = connections.get(tile.id) || [false, false, false, false];
-    const keyBase = tile.id;
-
-    edges.forEach((hasEdge, dir) => {
-      if (!hasEdge) return;
-      const port = `${keyBase}:${dir}`;
-      allPorts.push(port);
-      if (!portAdj.has(port)) portAdj.set(port, new Set());
-      if (!connected[dir]) {
-        danglingPorts.add(port);
-      }
-    });
-
-    const internalPairs = getInternalPortPairs(tile, edges);
-    internalPairs.forEach(([a, b]) => {
-      const portA = `${keyBase}:${a}`;
-      const portB = `${keyBase}:${b}`;
-      if (portAdj.has(portA) && portAdj.has(portB)) {
-        portAdj.get(portA).add(portB);
-        portAdj.get(portB).add(portA);
-      }
-    });
-  });
-
-  tiles.forEach((tile) => {
-    const connected = connections.get(tile.id) || [false, false, false, false];
-    const neighbors = [
-      byPos.get(`${tile.r - 1}-${tile.c}`),
-      byPos.get(`${tile.r}-${tile.c + 1}`),
-      byPos.get(`${tile.r + 1}-${tile.c}`),
-      byPos.get(`${tile.r}-${tile.c - 1}`)
-    ];
+// High contrast replaces the theme's colours with these; every pair clears 4.5:1.
+// The loop blue stays distinct from the ink for colour-blind players, and the
+// stylesheet also changes the stroke shape under :root[data-contrast="high"].
+const HIGH_CONTRAST_PALETTE = {
+  "--bg-start": "#ffffff",
+  "--bg-mid": "#ffffff",
+  "--bg-end": "#ffffff",
+  "--ink": "#000000",
+  "--muted": "#3d3d3d",
+  "--accent": "#0047b3",
+  "--loop": "#0047b3",
+  "--loop-soft": "rgba(255, 255, 255, 0.9)",
+  "--board-bg": "#ffffff",
+  "--tile-bg": "#f2f2f2",
+  "--tile-hover": "#e6e6e6",
+  "--tile-solved-bg": "#ffffff"
+};
 
-    connected.forEach((isConnected, dir) => {
-      if (!isConnected) return;
-      const neighbor = neighbors[dir];
-      if (!neighbor) return;
-      const portA = `${tile.id}:${dir}`;
-      const portB = `${neighbor.id}:${oppositeDir(dir)}`;
-      if (portAdj.has(portA) && portAdj.has(portB)) {
-        portAdj.get(portA).add(portB);
-        portAdj.get(portB).add(portA);
-      }
-    });
-  });
+const LONG_PRESS_MS = 450;
+const HINT_GLOW_MS = 1400;
+
+// Catalog keys under "tile.shape." and "tile.side.".
+const TILE_SHAPE_NAMES = {
+  blank: "empty",
+  terminal: "end",
+  straight: "straight",
+  curveLeft: "curve",
+  curveRight: "curve",
+  tJunction: "junction",
+  crossCurve: "crossing",
+  hexTerminal: "end",
+  hexSharp: "sharpCurve",
+  hexCurve: "curve",
+  hexStraight: "straight",
+  hexFan: "fan",
+  hexY: "yJunction",
+  hexBranchRight: "branch",
+  hexBranchLeft: "branch"
+};
 
-  const visitedPorts = new Set();
-  const completePorts = new Set();
-
-  allPorts.forEach((port) => {
-    if (visitedPorts.has(port)) return;
-    const stack = [port];
-    const component = [];
-    let hasDangling = false;
-
-    while (stack.length) {
-      const current = stack.pop();
-      if (!current || visitedPorts.has(current)) continue;
-      visitedPorts.add(current);
-      component.push(current);
-      if (danglingPorts.has(current)) hasDangling = true;
-      const neighbors = portAdj.get(current) || [];
-      neighbors.forEach((next) => {
-        if (!visitedPorts.has(next)) stack.push(next);
-      });
-    }
+const SIDE_NAMES = {
+  4: ["north", "east", "south", "west"],
+  6: ["northEast", "east", "southEast", "southWest", "west", "northWest"]
+};
 
-    if (!hasDangling) {
-      component.forEach((p) => completePorts.add(p));
-    }
-  });
+// Accessible name for a tile, e.g. "curve, north-east, connected north, row 2,
+// column 3". Open sides come from getEdges and connected ones from completeDirs,
+// both in board directions. Square tiles with two open sides use compass shorthand.
+function describeTile(tile, t) {
+  const sides = getTileSides(tile);
+  const sideNames = (flags) =>
+    SIDE_NAMES[sides].filter((_, dir) => flags[dir]).map((name) => t(`tile.side.${name}`));
+  const parts = [t(`tile.shape.${TILE_SHAPE_NAMES[tile.type] || "empty"}`)];
+  if (tile.type !== "blank") {
+    const open = sideNames(getEdges(tile));
+    parts.push(
+      sides === 4 && open.length === 2
+        ? t("tile.sidePair", { first: open[0], second: open[1] })
+        : t.list(open)
+    );
+    const connected = sideNames(tile.completeDirs || []);
+    if (connected.length) parts.push(t("tile.connected", { sides: t.list(connected) }));
+  }
+  parts.push(t("tile.position", { row: tile.r + 1, column: tile.c + 1 }));
+  if (tile.fixed) parts.push(t("tile.fixed"));
+  if (tile.locked) parts.push(t("tile.locked"));
+  return parts.join(", ");
+}
 
-  const completeDirs = new Map();
-  tiles.forEach((tile) => {
-    const dirs = [false, false, false, false];
-    for (let dir = 0; dir < 4; dir += 1) {
-      if (completePorts.has(`${tile.id}:${dir}`)) dirs[dir] = true;
-    }
-    completeDirs.set(tile.id, dirs);
-  });
+const FOCUS_STEPS = {
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0],
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1]
+};
 
-  return completeDirs;
+const isTileFocusable = (tile) => Boolean(tile) && tile.type !== "blank" && !tile.fixed;
+
+// Index of the next tile an arrow key lands on, skipping blank and fixed tiles, or
+// null when there is none that way. Focus stops at the board edge even on wrap
+// boards, and hex rows step straight up and down by column.
+function findFocusStep(tiles, index, key, { rows, cols }) {
+  const step = FOCUS_STEPS[key];
+  const from = tiles[index];
+  if (!step || !from) return null;
+  let r = from.r + step[0];
+  let c = from.c + step[1];
+  while (r >= 0 && r < rows && c >= 0 && c < cols) {
+    const next = r * cols + c;
+    if (isTileFocusable(tiles[next])) return next;
+    r += step[0];
+    c += step[1];
+  }
+  return null;
 }
 
-function Tile({ tile, onRotate }) {
+// Click turns a tile clockwise and right-click counter-clockwise. Holding a tile
+// calls onToggleLock instead; the click that ends the hold is swallowed. On touch
+// screens a long press also raises contextmenu, which is ignored there. Enter and
+// Space turn the focused tile clockwise, with Shift counter-clockwise, and X locks it.
+function Tile({ tile, onRotate, onToggleLock, index, tabIndex, onFocus }) {
+  const t = useTranslator();
+  const pressRef = useRef({ timer: null, longPressed: false, pointerType: "mouse" });
+  useEffect(() => () => window.clearTimeout(pressRef.current.timer), []);
+  const cancelPress = () => {
+    window.clearTimeout(pressRef.current.timer);
+    pressRef.current.timer = null;
+  };
+  const handlePointerDown = (event) => {
+    pressRef.current.pointerType = event.pointerType;
+    pressRef.current.longPressed = false;
+    if (event.button !== 0 || !onToggleLock) return;
+    cancelPress();
+    pressRef.current.timer = window.setTimeout(() => {
+      pressRef.current.timer = null;
+      pressRef.current.longPressed = true;
+      onToggleLock();
+    }, LONG_PRESS_MS);
+  };
+  const handleClick = () => {
+    if (pressRef.current.longPressed) {
+      pressRef.current.longPressed = false;
+      return;
+    }
+    onRotate(1);
+  };
+  const handleContextMenu = (event) => {
+    event.preventDefault();
+    if (pressRef.current.pointerType === "touch" || tile.type === "blank" || tile.fixed) return;
+    onRotate(-1);
+  };
+  const handleKeyDown = (event) => {
+    if (event.key.toLowerCase() === "x" && !event.ctrlKey && !event.metaKey && !event.altKey) {
+      event.preventDefault();
+      if (!event.repeat) onToggleLock?.();
+      return;
+    }
+    if (event.key !== "Enter" && event.key !== " ") return;
+    event.preventDefault();
+    if (event.repeat && event.key === " ") return;
+    onRotate(event.shiftKey ? -1 : 1);
+  };
+  // Space would otherwise click the button again on release.
+  const handleKeyUp = (event) => {
+    if (event.key === " ") event.preventDefault();
+  };
+  const sides = getTileSides(tile);
   const localCompleteDirs = rotateEdges(
-    tile.completeDirs || [false, false, false, false],
-    (4 - tile.rotation) % 4
+    tile.completeDirs || Array(sides).fill(false),
+    (sides - tile.rotation) % sides
   );
   const isTileComplete = localCompleteDirs.some(Boolean);
   const tileStyle = {};
+  if (tile.shape === "hex") {
+    tileStyle["--tile-r"] = tile.r;
+    tileStyle["--tile-x"] = tile.c + (tile.r % 2) * 0.5;
+  }
   if (typeof tile.pulseDelay === "number") {
     tileStyle["--pulse-delay"] = `${tile.pulseDelay}ms`;
   }
@@ -1363,23 +599,100 @@ function Tile({ tile, onRotate }) {
   return (
     <button
       type="button"
-      className={`tile ${tile.type === "blank" ? "tile-blank" : ""} ${isTileComplete ? "tile-complete" : ""} ${typeof tile.pulseDelay === "number" ? "tile-pulse" : ""} ${tile.waveActive ? "tile-wave" : ""}`}
-      onClick={onRotate}
+      className={`tile ${tile.type === "blank" ? "tile-blank" : ""} ${tile.fixed ? "tile-fixed" : ""} ${tile.locked ? "tile-locked" : ""} ${tile.hinted ? "tile-hinted" : ""} ${isTileComplete ? "tile-complete" : ""} ${typeof tile.pulseDelay === "number" ? "tile-pulse" : ""} ${tile.waveActive ? "tile-wave" : ""}`}
+      onClick={handleClick}
+      onContextMenu={handleContextMenu}
+      onPointerDown={handlePointerDown}
+      onPointerUp={cancelPress}
+      onPointerLeave={cancelPress}
+      onPointerCancel={cancelPress}
+      onKeyDown={handleKeyDown}
+      onKeyUp={handleKeyUp}
+      onFocus={onFocus}
+      tabIndex={tabIndex}
+      data-index={index}
       style={tileStyleProps}
-      aria-label={`Tile ${tile.r + 1}, ${tile.c + 1}`}
-      disabled={tile.type === "blank"}
+      aria-label={describeTile(tile, t)}
+      aria-keyshortcuts="X"
+      disabled={tile.type === "blank" || tile.fixed}
     >
       <span className="tile-face" />
       <div
         className="tile-graphic"
         style={{ transform: `rotate(${tile.rotationDegrees}deg)` }}
       >
-        <TileSVG type={tile.type} completeDirs={localCompleteDirs} />
+        {sides === 6 ? (
+          <HexTileSVG type={tile.type} completeDirs={localCompleteDirs} />
+        ) : (
+          <TileSVG type={tile.type} completeDirs={localCompleteDirs} />
+        )}
       </div>
     </button>
   );
 }
 
+// Edge midpoints of a pointy-top hexagon in a 100-wide box, north-east first, clockwise.
+const HEX_EDGE_POINTS = [30, 90, 150, 210, 270, 330].map((angle) => {
+  const radians = (angle * Math.PI) / 180;
+  return [50 + 50 * Math.sin(radians), 50 - 50 * Math.cos(radians)].map((value) =>
+    Number(value.toFixed(2))
+  );
+});
+
+function HexTileSVG({ type, completeDirs }) {
+  const dirs = (BASE_EDGES[type] || []).flatMap((on, dir) => (on ? [dir] : []));
+  const isSegmentComplete = (segmentDirs) => segmentDirs.every((dir) => completeDirs?.[dir]);
+  const pointOf = (dir) => HEX_EDGE_POINTS[dir].join(" ");
+  return (
+    <svg viewBox="0 0 100 100" aria-hidden="true">
+      <g
+        className="tile-stroke"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="8"
+        strokeLinecap="round"
+      >
+        {dirs.length === 1 && (
+          <>
+            <circle
+              cx="50"
+              cy="50"
+              r="9"
+              className={isSegmentComplete(dirs) ? "tile-stroke-complete" : ""}
+            />
+            <circle
+              cx="50"
+              cy="50"
+              r="4"
+              fill="var(--tile-bg)"
+              stroke="none"
+              className={`tile-terminal-core${isSegmentComplete(dirs) ? " is-complete" : ""}`}
+            />
+            <path
+              d={`M 50 50 L ${pointOf(dirs[0])}`}
+              className={isSegmentComplete(dirs) ? "tile-stroke-complete" : ""}
+            />
+          </>
+        )}
+        {dirs.length === 2 && (
+          <path
+            d={`M ${pointOf(dirs[0])} Q 50 50 ${pointOf(dirs[1])}`}
+            className={isSegmentComplete(dirs) ? "tile-stroke-complete" : ""}
+          />
+        )}
+        {dirs.length === 3 &&
+          dirs.map((dir) => (
+            <path
+              key={dir}
+              d={`M 50 50 L ${pointOf(dir)}`}
+              className={isSegmentComplete([dir]) ? "tile-stroke-complete" : ""}
+            />
+          ))}
+      </g>
+    </svg>
+  );
+}
+
 function TileSVG({ type, completeDirs }) {
   const [n, e, s, w] = completeDirs || [false, false, false, false];
   const isSegmentComplete = (dirs) => dirs.every((dir) => completeDirs?.[dir]);
@@ -1407,6 +720,7 @@ function TileSVG({ type, completeDirs }) {
               r="4"
               fill="var(--tile-bg)"
               stroke="none"
+              className={`tile-terminal-core${isSegmentComplete([2]) ? " is-complete" : ""}`}
             />
             <line
               x1="50"
@@ -1506,25 +820,29 @@ function ThemePanel({
   onSelectRandom,
   onSelectTheme
 }) {
+  const t = useTranslator();
   const activeTheme = themes[themeIndex] || themes[0];
-  const activeThemeLabel = activeTheme?.nightMode ? "Night mode" : activeTheme?.name;
+  const activeThemeLabel = activeTheme?.nightMode ? t("theme.nightMode") : activeTheme?.name;
   const activeSleepLevel = Number(activeTheme?.sleepLevel) || 1;
   const showActiveSwatch = themeMode !== "random" && activeTheme?.showSwatch !== false;
   const coreThemes = themes
     .map((theme, index) => ({ theme, index }))
-    .filter(({ theme }) => !theme.unlockable && !theme.nightMode);
+    .filter(({ theme }) => !theme.unlockable && !theme.nightMode && !theme.custom);
+  const customThemes = themes
+    .map((theme, index) => ({ theme, index }))
+    .filter(({ theme }) => theme.custom);
   const nightThemes = themes
     .map((theme, index) => ({ theme, index }))
-    .filter(({ theme }) => theme.nightMode);
+    .filter(({ theme }) => theme.nightMode && !theme.custom);
   const unlockableThemes = themes
     .map((theme, index) => ({ theme, index }))
     .filter(({ theme }) => theme.unlockable);
   return (
     <div className="theme-panel theme-panel-card">
-      <p className="theme-title">Theme</p>
+      <p className="theme-title">{t("theme.title")}</p>
       <div className="theme-summary">
         <span className="theme-label">
-          {themeMode === "random" ? "Shuffle" : activeThemeLabel || "Theme"}
+          {themeMode === "random" ? t("theme.shuffle") : activeThemeLabel || t("theme.title")}
         </span>
         {themeMode === "random" ? (
           <span className="theme-swatches">
@@ -1553,11 +871,11 @@ function ThemePanel({
         className="button button-ghost theme-toggle theme-toggle-full"
         onClick={onTogglePicker}
       >
-        {showThemePicker ? "Close" : "Change theme"}
+        {showThemePicker ? t("common.close") : t("theme.change")}
       </button>
       {themePickerMounted ? (
         <div className={`theme-accordion${showThemePicker ? " is-open" : ""}`}>
-          <div className="theme-group-title theme-group-title--basic">Basic themes</div>
+          <div className="theme-group-title theme-group-title--basic">{t("theme.basic")}</div>
           <button
             type="button"
             className={`theme-button theme-button-wide is-full${
@@ -1565,7 +883,7 @@ function ThemePanel({
             }`}
             onClick={onSelectRandom}
           >
-            <span className="theme-label">Shuffle</span>
+            <span className="theme-label">{t("theme.shuffle")}</span>
             <span className="theme-swatches">
               <span className="theme-swatch theme-swatch-random" />
             </span>
@@ -1595,9 +913,30 @@ function ThemePanel({
               </button>
             );
           })}
+          {customThemes.length ? (
+            <div className="theme-group-header">
+              <div className="theme-group-title">{t("theme.custom")}</div>
+            </div>
+          ) : null}
+          {customThemes.map(({ theme, index }) => {
+            const isActive = themeMode === "fixed" && index === themeIndex;
+            return (
+              <button
+                key={theme.id}
+                type="button"
+                className={`theme-button theme-button-wide${isActive ? " is-active" : ""}`}
+                onClick={() => onSelectTheme(index)}
+              >
+                <span className="theme-label">{theme.name}</span>
+                <span className="theme-swatches">
+                  <span className="theme-swatch" style={{ background: theme.colors[0] }} />
+                </span>
+              </button>
+            );
+          })}
           {nightThemes.length ? (
             <div className="theme-group-header theme-group-header--night">
-              <div className="theme-group-title">Night modes</div>
+              <div className="theme-group-title">{t("theme.nightModes")}</div>
             </div>
           ) : null}
           {nightThemes.length ? (
@@ -1616,7 +955,7 @@ function ThemePanel({
                     aria-label={theme.name}
                   >
                     <span className="theme-label theme-label-hidden" aria-hidden="true">
-                      Night mode
+                      {t("theme.nightMode")}
                     </span>
                     <span className="theme-sleep" aria-hidden="true">
                       <span className="theme-sleep-optic">
@@ -1634,7 +973,7 @@ function ThemePanel({
           ) : null}
           {unlockableThemes.length ? (
             <div className="theme-group-header">
-              <div className="theme-group-title">Unlockable themes</div>
+              <div className="theme-group-title">{t("theme.unlockable")}</div>
             </div>
           ) : null}
           {unlockableThemes.map(({ theme, index }) => {
@@ -1689,7 +1028,9 @@ function ThemePanel({
                         />
                       </svg>
                     </span>
-                    <span className="theme-lock-level">Lvl {theme.unlockLevel || "X"}</span>
+                    <span className="theme-lock-level">
+                      {t("theme.unlockLevel", { level: theme.unlockLevel || "X" })}
+                    </span>
                   </span>
                 ) : null}
               </button>
@@ -1701,6 +1042,305 @@ function ThemePanel({
   );
 }
 
+// A solved ring around an open end, so the preview shows finished paths, open
+// paths and the tile surface at once. [TileSVG type, rotation in degrees].
+const THEME_PREVIEW_TILES = [
+  ["curveRight", 90],
+  ["straight", 90],
+  ["curveRight", 180],
+  ["straight", 0],
+  ["terminal", 0],
+  ["straight", 0],
+  ["curveRight", 0],
+  ["straight", 90],
+  ["curveLeft", 0]
+];
+const PREVIEW_COMPLETE_DIRS = [true, true, true, true];
+
+// Starting palette for a new custom theme (Tranquil Waters).
+const NEW_THEME_COLORS = ["#a4d7e1", "#6b9ac4", "#3b5b8c", "#1f3a5f", "#0d1b2a"];
+
+function ThemePreview({ name, colors, variables }) {
+  const t = useTranslator();
+  return (
+    <div
+      className="theme-preview"
+      style={{ "--tile-bg": TILE_SURFACE, ...themeVariables(colors), ...variables }}
+      role="img"
+      aria-label={t("themeEditor.preview")}
+    >
+      <div className="theme-preview-board" aria-hidden="true">
+        {THEME_PREVIEW_TILES.map(([type, rotation], index) => (
+          <span key={index} className="theme-preview-tile">
+            <span className="tile-face" />
+            <span className="tile-graphic" style={{ transform: `rotate(${rotation}deg)` }}>
+              <TileSVG
+                type={type}
+                completeDirs={type === "terminal" ? null : PREVIEW_COMPLETE_DIRS}
+              />
+            </span>
+          </span>
+        ))}
+      </div>
+      <span className="theme-preview-label" aria-hidden="true">
+        {name}
+      </span>
+      <span className="theme-preview-accent" aria-hidden="true">
+        {t("themeEditor.color.3")}
+      </span>
+    </div>
+  );
+}
+
+// `currentTheme` is the theme on screen, built-in or custom. It can be exported as
+// is or opened as an editable copy, minus the built-in unlock fields.
+function ThemeEditorCard({ customThemes, currentTheme, onSave, onDelete }) {
+  const t = useTranslator();
+  const [draft, setDraft] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [importCode, setImportCode] = useState("");
+  const [importError, setImportError] = useState("");
+  const [codeCopied, setCodeCopied] = useState(false);
+  // Kind themes take their look from the stylesheet, so their palette isn't what players read.
+  const warnings = useMemo(
+    () => (draft && !draft.kind ? checkThemeContrast(draft.colors, draft.variables) : []),
+    [draft]
+  );
+  const draftName = draft?.name.trim() || t("themeEditor.untitled");
+  const setDraftColor = (position, value) =>
+    setDraft((prev) => ({
+      ...prev,
+      colors: prev.colors.map((color, index) => (index === position ? value.toLowerCase() : color))
+    }));
+  const saveDraft = () => {
+    onSave({ ...draft, id: draft.id ?? `custom-${Date.now().toString(36)}`, name: draftName });
+    setDraft(null);
+  };
+  const importText = (text) => {
+    const { theme, errors } = parseThemeText(text);
+    if (!theme) {
+      setImportError(
+        errors[0] === "unreadable"
+          ? t("themeEditor.importUnreadable")
+          : t("themeEditor.importInvalid", { fields: t.list(errors) })
+      );
+      return;
+    }
+    setImportError("");
+    setImportCode("");
+    setShowImport(false);
+    setDraft(theme);
+  };
+  const importFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = "";
+    if (!file) return;
+    importText(await file.text());
+  };
+  const copyThemeCode = async (theme) => {
+    if (!navigator.clipboard) return;
+    try {
+      await navigator.clipboard.writeText(encodeThemeCode(theme));
+      setCodeCopied(true);
+      window.setTimeout(() => setCodeCopied(false), 1400);
+    } catch (err) {
+      setCodeCopied(false);
+    }
+  };
+  const downloadTheme = (theme) => {
+    downloadTextFile(
+      themeFileName(theme),
+      `${JSON.stringify(exportTheme(theme), null, 2)}\n`,
+      "application/json"
+    );
+  };
+  return (
+    <div className="theme-editor-card theme-panel-card">
+      <div className="perf-copy">
+        <p className="perf-label">{t("themeEditor.title")}</p>
+        <p className="perf-note">{t("themeEditor.note")}</p>
+      </div>
+      {draft ? (
+        <div className="theme-editor-form">
+          <label className="theme-editor-name">
+            <span className="perf-note">{t("themeEditor.name")}</span>
+            <input
+              type="text"
+              className="input"
+              value={draft.name}
+              maxLength={40}
+              placeholder={t("themeEditor.untitled")}
+              onChange={(event) => setDraft((prev) => ({ ...prev, name: event.target.value }))}
+            />
+          </label>
+          <div className="theme-editor-colors">
+            {draft.colors.map((color, index) => (
+              <label key={index} className="theme-editor-color">
+                <input
+                  type="color"
+                  value={color.toLowerCase()}
+                  onChange={(event) => setDraftColor(index, event.target.value)}
+                />
+                <span>{t(`themeEditor.color.${index}`)}</span>
+              </label>
+            ))}
+          </div>
+          <ThemePreview name={draftName} colors={draft.colors} variables={draft.variables} />
+          <ul className="theme-editor-warnings" aria-live="polite">
+            {draft.kind ? (
+              <li>{t("themeEditor.kindNote")}</li>
+            ) : warnings.length ? (
+              warnings.map(({ id, ratio, target }) => (
+                <li key={id} className="theme-editor-warning">
+                  {t(`themeEditor.warn.${id}`, {
+                    ratio: t.number(ratio, { maximumFractionDigits: 1 }),
+                    target
+                  })}
+                </li>
+              ))
+            ) : (
+              <li>{t("themeEditor.contrastOk")}</li>
+            )}
+          </ul>
+          <div className="theme-editor-actions">
+            <button type="button" className="button" onClick={saveDraft}>
+              {t("themeEditor.save")}
+            </button>
+            <button type="button" className="button button-ghost" onClick={() => setDraft(null)}>
+              {t("themeEditor.cancel")}
+            </button>
+            {draft.id ? (
+              <button
+                type="button"
+                className="button button-ghost"
+                onClick={() => {
+                  onDelete(draft.id);
+                  setDraft(null);
+                }}
+              >
+                {t("themeEditor.delete")}
+              </button>
+            ) : null}
+          </div>
+          <div className="theme-editor-actions">
+            <button
+              type="button"
+              className="button button-ghost"
+              onClick={() => copyThemeCode({ ...draft, name: draftName })}
+            >
+              {codeCopied ? t("common.copied") : t("themeEditor.copyCode")}
+            </button>
+            <button
+              type="button"
+              className="button button-ghost"
+              onClick={() => downloadTheme({ ...draft, name: draftName })}
+            >
+              {t("themeEditor.download")}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="theme-editor-list">
+          {currentTheme ? (
+            <div className="theme-editor-current">
+              <p className="perf-note">{t("themeEditor.current", { name: currentTheme.name })}</p>
+              <div className="theme-editor-actions">
+                <button
+                  type="button"
+                  className="button button-ghost"
+                  onClick={() => copyThemeCode(currentTheme)}
+                >
+                  {codeCopied ? t("common.copied") : t("themeEditor.copyCode")}
+                </button>
+                <button
+                  type="button"
+                  className="button button-ghost"
+                  onClick={() => downloadTheme(currentTheme)}
+                >
+                  {t("themeEditor.download")}
+                </button>
+                <button
+                  type="button"
+                  className="button button-ghost"
+                  onClick={() => setDraft(importTheme(exportTheme(currentTheme)).theme)}
+                >
+                  {t("themeEditor.editCopy")}
+                </button>
+              </div>
+            </div>
+          ) : null}
+          {customThemes.map((theme) => (
+            <button
+              key={theme.id}
+              type="button"
+              className="theme-button theme-button-wide"
+              onClick={() => setDraft({ ...theme })}
+              aria-label={t("themeEditor.edit", { name: theme.name })}
+            >
+              <span className="theme-label">{theme.name}</span>
+              <span className="theme-swatches">
+                {theme.colors.map((color, index) => (
+                  <span key={index} className="theme-swatch" style={{ background: color }} />
+                ))}
+              </span>
+            </button>
+          ))}
+          <div className="theme-editor-actions">
+            <button
+              type="button"
+              className="button button-ghost"
+              onClick={() => setDraft({ name: "", colors: NEW_THEME_COLORS })}
+            >
+              {t("themeEditor.new")}
+            </button>
+            <button
+              type="button"
+              className={`button button-ghost${showImport ? " is-active" : ""}`}
+              onClick={() => setShowImport((prev) => !prev)}
+              aria-expanded={showImport}
+            >
+              {t("themeEditor.import")}
+            </button>
+          </div>
+          {showImport ? (
+            <div className="theme-editor-import">
+              <p className="perf-note">{t("themeEditor.importNote")}</p>
+              <textarea
+                className="theme-editor-code"
+                value={importCode}
+                onChange={(event) => setImportCode(event.target.value)}
+                aria-label={t("themeEditor.importCode")}
+                placeholder="zento-theme:…"
+                rows={3}
+                spellCheck={false}
+              />
+              <div className="theme-editor-actions">
+                <button
+                  type="button"
+                  className="button"
+                  onClick={() => importText(importCode)}
+                  disabled={!importCode.trim()}
+                >
+                  {t("themeEditor.import")}
+                </button>
+                <label className="button button-ghost theme-editor-file">
+                  {t("themeEditor.importFile")}
+                  <input type="file" accept=".json,application/json" onChange={importFile} />
+                </label>
+              </div>
+              {importError ? (
+                <p className="theme-editor-warning" role="alert">
+                  {importError}
+                </p>
+              ) : null}
+            </div>
+          ) : null}
+        </div>
+      )}
+    </div>
+  );
+}
+
 function PlayerCard({
   nowPlaying,
   onPrev,
@@ -1711,15 +1351,16 @@ function PlayerCard({
   audioAttribution,
   isSubCard
 }) {
+  const t = useTranslator();
   return (
     <div className={`player-card${isSubCard ? " is-subcard" : ""}`}>
       <div className="player-main">
         <div className="player-info">
-          <p className="player-label">Now Playing</p>
+          <p className="player-label">{t("player.nowPlaying")}</p>
           <p className="player-title">{nowPlaying || "—"}</p>
         </div>
         <div className="player-controls">
-          <button type="button" className="player-button" onClick={onPrev} aria-label="Previous track">
+          <button type="button" className="player-button" onClick={onPrev} aria-label={t("player.previous")}>
             <svg viewBox="0 0 24 24" aria-hidden="true">
               <path d="M7 6v12M19 6l-8 6 8 6" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round" />
             </svg>
@@ -1728,7 +1369,7 @@ function PlayerCard({
             type="button"
             className={`player-button player-button-main${isLoading ? " is-loading" : ""}`}
             onClick={onToggle}
-            aria-label={isPaused ? "Play" : "Pause"}
+            aria-label={isPaused ? t("player.play") : t("player.pause")}
             aria-busy={isLoading}
           >
             {isPaused ? (
@@ -1741,52 +1382,172 @@ function PlayerCard({
               </svg>
             )}
           </button>
-          <button type="button" className="player-button" onClick={onNext} aria-label="Next track">
+          <button type="button" className="player-button" onClick={onNext} aria-label={t("player.next")}>
             <svg viewBox="0 0 24 24" aria-hidden="true">
               <path d="M17 6v12M5 6l8 6-8 6" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round" />
             </svg>
           </button>
         </div>
       </div>
-      <CreditsFooter audioAttribution={audioAttribution} />
+      <CreditsFooter audioAttribution={audioAttribution} />
+    </div>
+  );
+}
+
+function PerformanceCard({ performanceMode, onToggle }) {
+  const t = useTranslator();
+  return (
+    <div className="performance-card theme-panel-card">
+      <div className="perf-row">
+        <div className="perf-copy">
+          <p className="perf-label">{t("settings.performance")}</p>
+          <p className="perf-note">{t("settings.performanceNote")}</p>
+        </div>
+        <button
+          type="button"
+          className={`button button-ghost perf-toggle${performanceMode ? " is-active" : ""}`}
+          onClick={onToggle}
+          aria-pressed={performanceMode}
+        >
+          {performanceMode ? t("common.on") : t("common.off")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function HintLimitCard({ hintLimit, onToggle }) {
+  const t = useTranslator();
+  return (
+    <div className="performance-card theme-panel-card">
+      <div className="perf-row">
+        <div className="perf-copy">
+          <p className="perf-label">{t("settings.hintLimit")}</p>
+          <p className="perf-note">{t("settings.hintLimitNote", { count: PROGRESS_HINT_LIMIT })}</p>
+        </div>
+        <button
+          type="button"
+          className={`button button-ghost perf-toggle${hintLimit ? " is-active" : ""}`}
+          onClick={onToggle}
+          aria-pressed={hintLimit}
+        >
+          {hintLimit ? t("common.on") : t("common.off")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function TimerCard({ timerEnabled, onToggle }) {
+  const t = useTranslator();
+  return (
+    <div className="performance-card theme-panel-card">
+      <div className="perf-row">
+        <div className="perf-copy">
+          <p className="perf-label">{t("settings.timer")}</p>
+          <p className="perf-note">{t("settings.timerNote")}</p>
+        </div>
+        <button
+          type="button"
+          className={`button button-ghost perf-toggle${timerEnabled ? " is-active" : ""}`}
+          onClick={onToggle}
+          aria-pressed={timerEnabled}
+        >
+          {timerEnabled ? t("common.on") : t("common.off")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function MotionCard({ reducedMotion, followsSystem, onToggle }) {
+  const t = useTranslator();
+  return (
+    <div className="performance-card theme-panel-card">
+      <div className="perf-row">
+        <div className="perf-copy">
+          <p className="perf-label">{t("settings.motion")}</p>
+          <p className="perf-note">
+            {followsSystem ? t("settings.motionNoteSystem") : t("settings.motionNote")}
+          </p>
+        </div>
+        <button
+          type="button"
+          className={`button button-ghost perf-toggle${reducedMotion ? " is-active" : ""}`}
+          onClick={onToggle}
+          aria-pressed={reducedMotion}
+        >
+          {reducedMotion ? t("common.on") : t("common.off")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ContrastCard({ highContrast, onToggle }) {
+  const t = useTranslator();
+  return (
+    <div className="performance-card theme-panel-card">
+      <div className="perf-row">
+        <div className="perf-copy">
+          <p className="perf-label">{t("settings.contrast")}</p>
+          <p className="perf-note">{t("settings.contrastNote")}</p>
+        </div>
+        <button
+          type="button"
+          className={`button button-ghost perf-toggle${highContrast ? " is-active" : ""}`}
+          onClick={onToggle}
+          aria-pressed={highContrast}
+        >
+          {highContrast ? t("common.on") : t("common.off")}
+        </button>
+      </div>
     </div>
   );
 }
 
-function PerformanceCard({ performanceMode, onToggle }) {
+function LanguageCard({ locale, onSelect }) {
+  const t = useTranslator();
   return (
     <div className="performance-card theme-panel-card">
       <div className="perf-row">
         <div className="perf-copy">
-          <p className="perf-label">Performance Mode</p>
-          <p className="perf-note">Turn this on if you're experiencing sluggish behavior.</p>
+          <p className="perf-label">{t("settings.language")}</p>
+          <p className="perf-note">{t("settings.languageNote")}</p>
+        </div>
+        <div className="language-options">
+          {LOCALES.map(({ code, name }) => (
+            <button
+              key={code}
+              type="button"
+              className={`button button-ghost perf-toggle${code === locale ? " is-active" : ""}`}
+              onClick={() => onSelect(code)}
+              aria-pressed={code === locale}
+              lang={code}
+            >
+              {name}
+            </button>
+          ))}
         </div>
-        <button
-          type="button"
-          className={`button button-ghost perf-toggle${performanceMode ? " is-active" : ""}`}
-          onClick={onToggle}
-          aria-pressed={performanceMode}
-        >
-          {performanceMode ? "On" : "Off"}
-        </button>
       </div>
     </div>
   );
 }
 
 function AnalyticsCard({ consent, onAllow, onDeny }) {
+  const t = useTranslator();
   const isGranted = consent === ANALYTICS_CONSENT.GRANTED;
   const isDenied = consent === ANALYTICS_CONSENT.DENIED;
   const note = isGranted
-    ? "Anonymous usage helps improve balance and device support."
+    ? t("settings.analyticsGranted")
     : isDenied
-      ? "Analytics are off. You can turn this on anytime."
-      : "Choose whether to share anonymous usage data.";
+      ? t("settings.analyticsDenied")
+      : t("settings.analyticsUnset");
   return (
     <div className="analytics-card theme-panel-card">
       <div className="perf-row">
         <div className="perf-copy">
-          <p className="perf-label">Analytics</p>
+          <p className="perf-label">{t("settings.analytics")}</p>
           <p className="perf-note">{note}</p>
         </div>
         <button
@@ -1795,7 +1556,7 @@ function AnalyticsCard({ consent, onAllow, onDeny }) {
           onClick={isGranted ? onDeny : onAllow}
           aria-pressed={isGranted}
         >
-          {isGranted ? "On" : "Off"}
+          {isGranted ? t("common.on") : t("common.off")}
         </button>
       </div>
     </div>
@@ -1803,15 +1564,16 @@ function AnalyticsCard({ consent, onAllow, onDeny }) {
 }
 
 function PrivacyCard({ onOpen }) {
+  const t = useTranslator();
   return (
     <div className="privacy-card theme-panel-card">
       <div className="perf-row">
         <div className="perf-copy">
-          <p className="perf-label">Privacy</p>
-          <p className="perf-note">Read how analytics and data are handled.</p>
+          <p className="perf-label">{t("settings.privacy")}</p>
+          <p className="perf-note">{t("settings.privacyNote")}</p>
         </div>
         <button type="button" className="button button-ghost" onClick={onOpen}>
-          Privacy Policy
+          {t("privacy.title")}
         </button>
       </div>
     </div>
@@ -1819,16 +1581,17 @@ function PrivacyCard({ onOpen }) {
 }
 
 function InstallBanner({ mode, onInstall, isInstalled }) {
-  const title = "Play ZENTō offline";
+  const t = useTranslator();
+  const title = t("install.title");
   const iconSrc = `${import.meta.env.BASE_URL}icons/icon-192.png`;
   const note =
     isInstalled
-      ? "You're running the installed app."
+      ? t("install.installed")
       : mode === "prompt"
-      ? "Get the real app—no app store needed. Installs for offline, full-screen play."
+      ? t("install.prompt")
       : mode === "ios"
-        ? "On iOS: tap Share, then “Add to Home Screen.” No app store needed."
-        : "No app store needed. Install the app for offline play (Chrome/Edge/Android).";
+        ? t("install.ios")
+        : t("install.other");
   return (
     <div className="install-banner">
       <div className="install-lead">
@@ -1838,10 +1601,10 @@ function InstallBanner({ mode, onInstall, isInstalled }) {
         <div className="install-copy">
           <div className="install-title-row">
             <p className="install-title">{title}</p>
-            {isInstalled ? <span className="install-tag">Already installed</span> : null}
+            {isInstalled ? <span className="install-tag">{t("install.tag")}</span> : null}
           </div>
           <p className="install-note">{note}</p>
-          <div className="install-platforms" aria-label="Supported platforms">
+          <div className="install-platforms" aria-label={t("install.platforms")}>
             <span className="install-platform" role="img" aria-label="Chrome" title="Chrome">
               <svg viewBox="0 0 24 24" aria-hidden="true">
                 <path
@@ -1872,7 +1635,7 @@ function InstallBanner({ mode, onInstall, isInstalled }) {
       {mode === "prompt" && !isInstalled ? (
         <div className="install-actions">
           <button type="button" className="button" onClick={onInstall}>
-            Install app
+            {t("install.action")}
           </button>
         </div>
       ) : null}
@@ -1881,13 +1644,14 @@ function InstallBanner({ mode, onInstall, isInstalled }) {
 }
 
 function CreditsFooter({ audioAttribution }) {
+  const t = useTranslator();
   return (
     <div className="credits-footer">
       {audioAttribution.map((item) => (
         <span key={item.source}>
           {item.source} — {item.license} (
           <a className="modal-link" href={item.url} target="_blank" rel="noreferrer">
-            source
+            {t("sounds.source")}
           </a>
           )
         </span>
@@ -1911,18 +1675,19 @@ function SoundsCard({
 }) {
   const bgLevel = bgVolume === 0 ? 0 : bgVolume <= 0.2 ? 1 : bgVolume <= 0.4 ? 2 : 3;
   const fxLevel = fxVolume === 0 ? 0 : fxVolume <= 0.6 ? 1 : fxVolume <= 1.2 ? 2 : 3;
+  const t = useTranslator();
   return (
     <div className="sounds-card theme-panel-card">
-      <p className="theme-title">Sounds</p>
+      <p className="theme-title">{t("sounds.title")}</p>
       <div className="sounds-controls">
         <button
           type="button"
           className={`sound-pill${fxVolume === 0 ? " is-muted" : ""}`}
           onClick={onToggleFx}
-          aria-label="FX Volume"
-          title="FX Volume"
+          aria-label={t("sounds.fx")}
+          title={t("sounds.fx")}
         >
-          <span className="sound-pill-label">FX Volume</span>
+          <span className="sound-pill-label">{t("sounds.fx")}</span>
           <span className="sound-meter" aria-hidden="true">
             {Array.from({ length: 3 }).map((_, idx) => (
               <span key={idx} className={`sound-dot${idx < fxLevel ? " is-on" : ""}`} />
@@ -1933,10 +1698,10 @@ function SoundsCard({
           type="button"
           className={`sound-pill${bgVolume === 0 ? " is-muted" : ""}`}
           onClick={onToggleBg}
-          aria-label="Music Volume"
-          title="Music Volume"
+          aria-label={t("sounds.music")}
+          title={t("sounds.music")}
         >
-          <span className="sound-pill-label">Music Volume</span>
+          <span className="sound-pill-label">{t("sounds.music")}</span>
           <span className="sound-meter" aria-hidden="true">
             {Array.from({ length: 3 }).map((_, idx) => (
               <span key={idx} className={`sound-dot${idx < bgLevel ? " is-on" : ""}`} />
@@ -1968,6 +1733,9 @@ function ControlStack({
   onTogglePicker,
   onSelectRandom,
   onSelectTheme,
+  customThemes,
+  onSaveCustomTheme,
+  onDeleteCustomTheme,
   bgVolume,
   fxVolume,
   onToggleBg,
@@ -1980,6 +1748,17 @@ function ControlStack({
   isLoading,
   performanceMode,
   onTogglePerformance,
+  hintLimit,
+  onToggleHintLimit,
+  timerEnabled,
+  onToggleTimer,
+  highContrast,
+  onToggleHighContrast,
+  reducedMotion,
+  reducedMotionFollowsSystem,
+  onToggleReducedMotion,
+  locale,
+  onSelectLocale,
   audioAttribution,
   showInstallBanner,
   installMode,
@@ -1990,9 +1769,10 @@ function ControlStack({
   onDenyAnalytics,
   onOpenPrivacyPolicy
 }) {
+  const t = useTranslator();
   return (
     <section className="floating-controls">
-      <p className="settings-title">Settings</p>
+      <p className="settings-title">{t("settings.title")}</p>
       {showInstallBanner ? (
         <InstallBanner mode={installMode} onInstall={onInstall} isInstalled={isInstalled} />
       ) : null}
@@ -2007,6 +1787,12 @@ function ControlStack({
         onSelectRandom={onSelectRandom}
         onSelectTheme={onSelectTheme}
       />
+      <ThemeEditorCard
+        customThemes={customThemes}
+        currentTheme={themes[themeIndex]}
+        onSave={onSaveCustomTheme}
+        onDelete={onDeleteCustomTheme}
+      />
       <SoundsCard
         bgVolume={bgVolume}
         fxVolume={fxVolume}
@@ -2020,7 +1806,16 @@ function ControlStack({
         isLoading={isLoading}
         audioAttribution={audioAttribution}
       />
+      <LanguageCard locale={locale} onSelect={onSelectLocale} />
       <PerformanceCard performanceMode={performanceMode} onToggle={onTogglePerformance} />
+      <HintLimitCard hintLimit={hintLimit} onToggle={onToggleHintLimit} />
+      <TimerCard timerEnabled={timerEnabled} onToggle={onToggleTimer} />
+      <ContrastCard highContrast={highContrast} onToggle={onToggleHighContrast} />
+      <MotionCard
+        reducedMotion={reducedMotion}
+        followsSystem={reducedMotionFollowsSystem}
+        onToggle={onToggleReducedMotion}
+      />
       <AnalyticsCard
         consent={analyticsConsent}
         onAllow={onAllowAnalytics}
@@ -2028,7 +1823,7 @@ function ControlStack({
       />
       <PrivacyCard onOpen={onOpenPrivacyPolicy} />
       <div className="build-footer">
-        <span>Made by</span>
+        <span>{t("settings.madeBy")}</span>
         <span
           className="build-footer-logo"
           role="img"
@@ -2045,157 +1840,11 @@ function ControlStack({
 
 export default function App() {
   const difficultyLevels = ["easy", "medium", "hard"];
+  const [customThemes, setCustomThemes] = useState(readCustomThemes);
+  // Custom themes follow the built-in ones so saved theme indices stay stable.
   const themes = [
-    {
-      name: "Tranquil Waters",
-      colors: ["#A4D7E1", "#6B9AC4", "#3B5B8C", "#1F3A5F", "#0D1B2A"]
-    },
-    {
-      name: "Serene Garden",
-      colors: ["#E3F6F5", "#B9EBC1", "#A8D8B9", "#6B8E23", "#4B5D33"]
-    },
-    {
-      name: "Soft Blush",
-      colors: ["#F7E7D9", "#E1B7A1", "#D6A4A1", "#C69C8D", "#A76D6D"]
-    },
-    {
-      name: "Misty Slate",
-      colors: ["#B7C9C7", "#A1B2B5", "#8C9A9E", "#6B7B7A", "#4A5B5D"]
-    },
-    {
-      name: "Warm Earth",
-      colors: ["#F6D6A8", "#F2B94C", "#D68A2D", "#A65E2E", "#6A3D2A"]
-    },
-    {
-      name: "Fresh Meadow",
-      colors: ["#C8E6C9", "#A5D6A7", "#81C784", "#4CAF50", "#388E3C"]
-    },
-    {
-      name: "Citrus Breeze",
-      colors: ["#F0F4C3", "#E6EE9C", "#DCE775", "#C0CA33", "#8BC34A"]
-    },
-    {
-      name: "Quiet Grey",
-      colors: ["#E0E0E0", "#BDBDBD", "#9E9E9E", "#757575", "#424242"]
-    },
-    {
-      name: "Rose Bloom",
-      colors: ["#F8BBD0", "#F48FB1", "#F06292", "#EC407A", "#D81B60"]
-    },
-    {
-      name: "Harbor Blue",
-      colors: ["#B0BEC5", "#90A4AE", "#78909C", "#607D8B", "#455A64"]
-    },
-    {
-      name: "Night mode — Bright",
-      kind: "night-1",
-      nightMode: true,
-      includeInRandom: false,
-      fullWidth: true,
-      showSwatch: false,
-      sleepLevel: 1,
-      colors: ["#000000", "#000000", "#000000", "#D2D2D2", "#A5A5A5"]
-    },
-    {
-      name: "Night mode — Medium",
-      kind: "night-2",
-      nightMode: true,
-      includeInRandom: false,
-      fullWidth: true,
-      showSwatch: false,
-      sleepLevel: 2,
-      colors: ["#000000", "#000000", "#000000", "#A4A4A4", "#787878"]
-    },
-    {
-      name: "Night mode — Dim",
-      kind: "night-3",
-      nightMode: true,
-      includeInRandom: false,
-      fullWidth: true,
-      showSwatch: false,
-      sleepLevel: 3,
-      colors: ["#000000", "#000000", "#000000", "#6E6E6E", "#4E4E4E"]
-    },
-    {
-      name: "Neumorphic",
-      kind: "neumorphic",
-      includeInRandom: false,
-      unlockable: true,
-      unlockLevel: 12,
-      fullWidth: true,
-      showSwatch: false,
-      colors: ["#EEF1F5", "#E6EBF1", "#E0E6EE", "#A3AFBC", "#6F7B86"]
-    },
-    {
-      name: "Ink Wash",
-      kind: "ink",
-      includeInRandom: false,
-      unlockable: true,
-      unlockLevel: 24,
-      fullWidth: true,
-      showSwatch: false,
-      colors: ["#F7F4EF", "#EDE7DE", "#DED6C9", "#2F2A24", "#6B5C52"]
-    },
-    {
-      name: "Paper Craft",
-      kind: "paper",
-      includeInRandom: false,
-      unlockable: true,
-      unlockLevel: 36,
-      fullWidth: true,
-      showSwatch: false,
-      colors: ["#F7F1E8", "#F1E7DA", "#E6D8C8", "#C26E4A", "#6C4E3E"]
-    },
-    {
-      name: "Brutalist Minimal",
-      kind: "brutalist",
-      includeInRandom: false,
-      unlockable: true,
-      unlockLevel: 48,
-      fullWidth: true,
-      showSwatch: false,
-      colors: ["#F6F4EF", "#FFFFFF", "#EDE7DE", "#111111", "#FF5A1F"]
-    },
-    {
-      name: "Glass & Glow",
-      kind: "glass",
-      includeInRandom: false,
-      unlockable: true,
-      unlockLevel: 60,
-      fullWidth: true,
-      showSwatch: false,
-      colors: ["#0B1324", "#101C33", "#182A4A", "#6AD5FF", "#A77BFF"]
-    },
-    {
-      name: "Blueprint Grid",
-      kind: "blueprint",
-      includeInRandom: false,
-      unlockable: true,
-      unlockLevel: 72,
-      fullWidth: true,
-      showSwatch: false,
-      colors: ["#081B33", "#0D2340", "#123055", "#5CC0FF", "#D5E8FF"]
-    },
-    {
-      name: "Synthwave",
-      kind: "synthwave",
-      includeInRandom: false,
-      unlockable: true,
-      unlockLevel: 84,
-      fullWidth: true,
-      showSwatch: false,
-      colors: ["#120526", "#2A0B5A", "#3E0F6E", "#FF5FDB", "#5ED1FF"]
-    },
-    {
-      name: "Retro CRT",
-      kind: "crt",
-      includeInRandom: false,
-      unlockable: true,
-      unlockLevel: 96,
-      fullWidth: true,
-      showSwatch: false,
-      colors: ["#07110D", "#0B1B14", "#0F2219", "#21FF8A", "#9BFFD0"]
-    }
+    ...BUILT_IN_THEMES,
+    ...customThemes.map((theme) => ({ ...theme, custom: true, includeInRandom: false }))
   ];
 
   const [themeIndex, setThemeIndex] = useState(() => {
@@ -2214,17 +1863,60 @@ export default function App() {
     return idx === -1 ? 1 : idx;
   })();
   const [difficultyIndex, setDifficultyIndex] = useState(initialDifficultyIndex);
-  const initialSeed = useMemo(() => Math.random().toString(36).slice(2, 8), []);
-  const [seedText, setSeedText] = useState(initialSeed);
-  const initialDifficulty = difficultyLevels[initialDifficultyIndex];
-  const initialTiles = useMemo(
-    () => makeBoard(initialSeed, initialDifficulty),
-    [initialSeed, initialDifficulty]
+  const [endlessWrap, setEndlessWrap] = useState(() => localStorage.getItem("zen_wrap") === "1");
+  const [endlessShape, setEndlessShape] = useState(() =>
+    localStorage.getItem("zen_shape") === "hex" ? "hex" : "square"
   );
-  const [tiles, setTiles] = useState(initialTiles);
-  const [initialRotations, setInitialRotations] = useState(() =>
-    initialTiles.map((tile) => tile.rotation)
+  const [savedBoards, setSavedBoards] = useState(readSavedBoards);
+  const [initialBoardLink] = useState(readBoardLink);
+  const [boardLinkCopied, setBoardLinkCopied] = useState(false);
+  const [dailyKey, setDailyKey] = useState(() => getDailyKey());
+  // Finished daily boards by day key: { moves, par, stars, hints, timeMs }.
+  const [dailyHistory, setDailyHistory] = useState(() => {
+    try {
+      const parsed = JSON.parse(localStorage.getItem("zen_daily_history") ?? "{}");
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return {};
+      return parsed;
+    } catch (err) {
+      return {};
+    }
+  });
+  const [showDailyCalendar, setShowDailyCalendar] = useState(false);
+  const [dailyShareNotice, setDailyShareNotice] = useState("");
+  const initialSeed = useMemo(
+    () =>
+      initialBoardLink?.seed ??
+      savedBoards.endless?.seedText ??
+      Math.random().toString(36).slice(2, 8),
+    []
   );
+  const [seedText, setSeedText] = useState(initialSeed);
+  const initialDifficulty = difficultyLevels[initialDifficultyIndex];
+  const [boardGenerator] = useState(createBoardGenerator);
+  const [builderGenerator] = useState(createBoardGenerator);
+  const [levelScoreGenerator] = useState(createBoardGenerator);
+  const [tiles, setTiles] = useState([]);
+  const [initialRotations, setInitialRotations] = useState([]);
+  // Rotations made on the current board, oldest first, as { index, turns } moves.
+  const [rotationHistory, setRotationHistory] = useState({ past: [], future: [] });
+  const [hintsUsed, setHintsUsed] = useState(0);
+  // Every turn counts as a move, including hints, undo and redo.
+  const [moveCount, setMoveCount] = useState(0);
+  const [boardPar, setBoardPar] = useState(0);
+  // The solve timer starts on the first rotation; `since` is set while it runs.
+  const [timer, setTimer] = useState(IDLE_TIMER);
+  const [timerNow, setTimerNow] = useState(0);
+  const [solveTime, setSolveTime] = useState(null);
+  const [pageHidden, setPageHidden] = useState(() => document.hidden);
+  const [hintedTileId, setHintedTileId] = useState(null);
+  // Read out by the board's live region: the last turned tile, finished networks
+  // and the solve.
+  const [boardAnnouncement, setBoardAnnouncement] = useState("");
+  // The one board tile in the tab order; arrow keys move it (roving tabindex).
+  const [boardFocusIndex, setBoardFocusIndex] = useState(0);
+  const [boardLoading, setBoardLoading] = useState(true);
+  // The request behind a board the worker failed to build, kept for the retry button.
+  const [boardError, setBoardError] = useState(null);
   const [resetSpinning, setResetSpinning] = useState(false);
   const [pulseDelays, setPulseDelays] = useState(new Map());
   const [waveDelays, setWaveDelays] = useState(new Map());
@@ -2244,10 +1936,50 @@ export default function App() {
   const [showSuccess, setShowSuccess] = useState(false);
   const [showFinalSuccess, setShowFinalSuccess] = useState(false);
   const [successThemeApplied, setSuccessThemeApplied] = useState(false);
-  const [successMessage, setSuccessMessage] = useState("Well done");
+  // A catalog key, so the title follows a language change while it's showing.
+  const [successMessage, setSuccessMessage] = useState("success.wellDone");
   const [performanceMode, setPerformanceMode] = useState(
     () => localStorage.getItem("zen_performance_mode") === "on"
   );
+  const [hintLimit, setHintLimit] = useState(
+    () => localStorage.getItem("zen_hint_limit") === "on"
+  );
+  const [timerEnabled, setTimerEnabled] = useState(
+    () => localStorage.getItem("zen_timer") === "on"
+  );
+  const [highContrast, setHighContrast] = useState(
+    () => localStorage.getItem("zen_high_contrast") === "on"
+  );
+  // Reduced motion follows prefers-reduced-motion until the player picks a side in
+  // Settings; "zen_reduced_motion" is only written once they do.
+  const [systemReducedMotion, setSystemReducedMotion] = useState(
+    () => window.matchMedia("(prefers-reduced-motion: reduce)").matches
+  );
+  const [reducedMotionSetting, setReducedMotionSetting] = useState(() => {
+    const saved = localStorage.getItem("zen_reduced_motion");
+    return saved === "on" || saved === "off" ? saved : null;
+  });
+  const reducedMotion = reducedMotionSetting
+    ? reducedMotionSetting === "on"
+    : systemReducedMotion;
+  // Likewise the language follows the browser until one is picked in Settings.
+  const [localeSetting, setLocaleSetting] = useState(() => localStorage.getItem("zen_locale"));
+  const locale = isSupportedLocale(localeSetting)
+    ? localeSetting
+    : detectLocale(navigator.languages ?? [navigator.language]);
+  const t = useMemo(() => createTranslator(locale), [locale]);
+  // Best solve times in ms, keyed "level-{n}" for progression and "endless-{difficulty}".
+  const [bestTimes, setBestTimes] = useState(() => {
+    try {
+      const parsed = JSON.parse(localStorage.getItem("zen_best_times") ?? "{}");
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return {};
+      return Object.fromEntries(
+        Object.entries(parsed).filter(([, ms]) => Number.isFinite(ms) && ms > 0)
+      );
+    } catch (err) {
+      return {};
+    }
+  });
   const initialAnalyticsConsent = getAnalyticsConsent();
   const [analyticsConsent, setAnalyticsConsentState] = useState(initialAnalyticsConsent);
   const [showAnalyticsBanner, setShowAnalyticsBanner] = useState(
@@ -2266,9 +1998,8 @@ export default function App() {
       return DEFAULT_PROGRESSION_SETTINGS;
     }
   });
-  const [builderTiles, setBuilderTiles] = useState(() =>
-    makeBoard(buildProgressionSeed(builderSettings), "medium")
-  );
+  const [builderTiles, setBuilderTiles] = useState([]);
+  const [builderLoading, setBuilderLoading] = useState(true);
   const [builderLevel, setBuilderLevel] = useState("1");
   const [builderViewLevel, setBuilderViewLevel] = useState(1);
   const [builderCopyNotice, setBuilderCopyNotice] = useState(false);
@@ -2293,6 +2024,7 @@ export default function App() {
     return Number.isFinite(parsed) ? parsed : null;
   });
   const [isBaking, setIsBaking] = useState(false);
+  const [levelDifficulty, setLevelDifficulty] = useState(() => new Map());
   const [progressionLevels, setProgressionLevels] = useState(() => {
     const baked = normalizeLevelList(bakedProgressionLevels);
     try {
@@ -2324,8 +2056,13 @@ export default function App() {
   const [progressCursor, setProgressCursor] = useState(0);
   const endlessStateRef = useRef({
     seedText: initialSeed,
-    tiles: initialTiles,
-    initialRotations: initialTiles.map((tile) => tile.rotation),
+    tiles: null,
+    initialRotations: null,
+    rotationHistory: null,
+    hintsUsed: 0,
+    moveCount: 0,
+    boardPar: 0,
+    timer: IDLE_TIMER,
     difficultyIndex: initialDifficultyIndex
   });
   const prevScreenRef = useRef(screen);
@@ -2343,6 +2080,38 @@ export default function App() {
       return [];
     }
   });
+  // Best star rating per completed level, keyed by level number.
+  const [progressStars, setProgressStars] = useState(() => {
+    try {
+      const raw = localStorage.getItem("zen_progress_stars");
+      const parsed = JSON.parse(raw ?? "{}");
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return {};
+      return Object.fromEntries(
+        Object.entries(parsed).filter(
+          ([level, stars]) =>
+            Number.isInteger(Number(level)) && Number.isInteger(stars) && stars >= 1 && stars <= 3
+        )
+      );
+    } catch (err) {
+      return {};
+    }
+  });
+  // Hints taken per level, keyed by level number. Every hint counts, so switching
+  // the hint limit off and on again doesn't refill a level's allowance.
+  const [progressHints, setProgressHints] = useState(() => {
+    try {
+      const raw = localStorage.getItem("zen_progress_hints");
+      const parsed = JSON.parse(raw ?? "{}");
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return {};
+      return Object.fromEntries(
+        Object.entries(parsed).filter(
+          ([level, hints]) => Number.isInteger(Number(level)) && Number.isInteger(hints) && hints >= 0
+        )
+      );
+    } catch (err) {
+      return {};
+    }
+  });
   const [progressUnlockedLevel, setProgressUnlockedLevel] = useState(() => {
     const raw = localStorage.getItem("zen_progress_unlocked");
     const parsed = raw ? Number(raw) : NaN;
@@ -2372,6 +2141,9 @@ export default function App() {
   const analyticsInitSentRef = useRef(false);
   const progressShuffleThemeRef = useRef(false);
   const pulseEndRef = useRef(0);
+  const hintGlowTimeoutRef = useRef(null);
+  const boardRef = useRef(null);
+  const resumeProgressLevelRef = useRef(null);
   const levelsInitRef = useRef(true);
   const skipDraftRef = useRef(false);
   const seedEditingRef = useRef(false);
@@ -2426,6 +2198,13 @@ export default function App() {
     localStorage.setItem("zen_theme_index", String(themeIndex));
   }, [themeIndex]);
 
+  useEffect(() => {
+    localStorage.setItem(
+      "zen_custom_themes",
+      JSON.stringify(customThemes.map((theme) => ({ id: theme.id, ...exportTheme(theme) })))
+    );
+  }, [customThemes]);
+
   useEffect(() => {
     if (analyticsConsent === ANALYTICS_CONSENT.GRANTED) {
       initAnalytics();
@@ -2474,61 +2253,12 @@ export default function App() {
     };
   }, []);
 
+  // Editing the active custom theme keeps its index, so the effect also keys on its contents.
+  const activeThemeKey = JSON.stringify(themes[themeIndex] || themes[0]);
   useEffect(() => {
     const theme = themes[themeIndex] || themes[0];
     const root = document.documentElement;
-    const parseColor = (value) => {
-      if (!value) return null;
-      const raw = value.trim().toLowerCase();
-      if (raw === "transparent") return { r: 0, g: 0, b: 0, a: 0 };
-      if (raw.startsWith("#")) {
-        const hex = raw.slice(1);
-        const normalized =
-          hex.length === 3 ? hex.split("").map((c) => c + c).join("") : hex;
-        if (normalized.length !== 6) return null;
-        return {
-          r: parseInt(normalized.slice(0, 2), 16),
-          g: parseInt(normalized.slice(2, 4), 16),
-          b: parseInt(normalized.slice(4, 6), 16),
-          a: 1
-        };
-      }
-      const match = raw.match(/rgba?\(([^)]+)\)/);
-      if (!match) return null;
-      const parts = match[1].split(/\s*,\s*/).map(Number);
-      if (parts.length < 3) return null;
-      return {
-        r: parts[0],
-        g: parts[1],
-        b: parts[2],
-        a: parts.length === 4 ? parts[3] : 1
-      };
-    };
-    const blendRgba = (top, bottom) => {
-      const alpha = top.a + bottom.a * (1 - top.a);
-      if (alpha === 0) return { r: 0, g: 0, b: 0, a: 0 };
-      return {
-        r: (top.r * top.a + bottom.r * bottom.a * (1 - top.a)) / alpha,
-        g: (top.g * top.a + bottom.g * bottom.a * (1 - top.a)) / alpha,
-        b: (top.b * top.a + bottom.b * bottom.a * (1 - top.a)) / alpha,
-        a: alpha
-      };
-    };
-    const srgbToLinear = (value) => {
-      const v = value / 255;
-      return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
-    };
-    const luminance = (color) =>
-      0.2126 * srgbToLinear(color.r) +
-      0.7152 * srgbToLinear(color.g) +
-      0.0722 * srgbToLinear(color.b);
-    const contrastRatio = (a, b) => {
-      const l1 = luminance(a);
-      const l2 = luminance(b);
-      const lighter = Math.max(l1, l2);
-      const darker = Math.min(l1, l2);
-      return (lighter + 0.05) / (darker + 0.05);
-    };
+    const contrastTarget = highContrast ? 4.5 : 3;
     const mix = (a, b, t) => ({
       r: Math.round(a.r + (b.r - a.r) * t),
       g: Math.round(a.g + (b.g - a.g) * t),
@@ -2626,30 +2356,30 @@ export default function App() {
         const buttonHoverBg = resolveColorVar("--button-hover-bg", buttonBg);
         const ink = resolveColorVar("--ink", { r: 34, g: 34, b: 34, a: 1 });
         const muted = resolveColorVar("--muted", ink);
-        const inkAdjusted = ensureContrast(ink, [baseBg, surfaceBg, controlBg], 3);
-        const mutedAdjusted = ensureContrast(muted, [baseBg, surfaceBg, controlBg], 3);
+        const inkAdjusted = ensureContrast(ink, [baseBg, surfaceBg, controlBg], contrastTarget);
+        const mutedAdjusted = ensureContrast(muted, [baseBg, surfaceBg, controlBg], contrastTarget);
         root.style.setProperty("--ink", toRgb(inkAdjusted));
         root.style.setProperty("--muted", toRgb(mutedAdjusted));
       if (buttonBg) {
         const buttonBackgrounds = [buttonBg];
         const buttonBase = pickBestText(buttonBackgrounds);
-        let buttonText = ensureContrast(buttonBase, buttonBackgrounds, 3);
-        buttonText = ensureMinContrast(buttonText, buttonBackgrounds, 3);
+        let buttonText = ensureContrast(buttonBase, buttonBackgrounds, contrastTarget);
+        buttonText = ensureMinContrast(buttonText, buttonBackgrounds, contrastTarget);
         root.style.setProperty("--button-text", toRgb(buttonText));
       }
       if (buttonHoverBg) {
         const hoverBackgrounds = [buttonHoverBg];
         const hoverBase = pickBestText(hoverBackgrounds);
-        let hoverText = ensureContrast(hoverBase, hoverBackgrounds, 3);
-        hoverText = ensureMinContrast(hoverText, hoverBackgrounds, 3);
+        let hoverText = ensureContrast(hoverBase, hoverBackgrounds, contrastTarget);
+        hoverText = ensureMinContrast(hoverText, hoverBackgrounds, contrastTarget);
         root.style.setProperty("--button-hover-text", toRgb(hoverText));
       } else {
         root.style.removeProperty("--button-hover-text");
       }
       if (controlActiveBg) {
         const activeBase = pickBestText([controlActiveBg]);
-        let activeText = ensureContrast(activeBase, [controlActiveBg], 3);
-        activeText = ensureMinContrast(activeText, [controlActiveBg], 3);
+        let activeText = ensureContrast(activeBase, [controlActiveBg], contrastTarget);
+        activeText = ensureMinContrast(activeText, [controlActiveBg], contrastTarget);
         root.style.setProperty("--control-active-text", toRgb(activeText));
       }
       };
@@ -2668,66 +2398,53 @@ export default function App() {
       const bgStart = computed.getPropertyValue("--bg-start").trim();
       return bgStart || fallback;
     };
+    const applyThemeVariables = () =>
+      Object.entries(theme.variables ?? {}).forEach(([prop, value]) =>
+        root.style.setProperty(prop, value)
+      );
+    THEME_VARIABLES.forEach((prop) => root.style.removeProperty(prop));
+    if (highContrast) {
+      root.setAttribute("data-contrast", "high");
+      root.removeAttribute("data-theme");
+      Object.entries(HIGH_CONTRAST_PALETTE).forEach(([prop, value]) =>
+        root.style.setProperty(prop, value)
+      );
+      applyContrastOverrides();
+      setMetaThemeColor(HIGH_CONTRAST_PALETTE["--bg-start"]);
+      return;
+    }
+    root.removeAttribute("data-contrast");
     if (theme?.kind) {
       root.setAttribute("data-theme", theme.kind);
-      [
-        "--bg-start",
-        "--bg-mid",
-        "--bg-end",
-        "--accent",
-        "--loop",
-        "--loop-soft",
-        "--ink",
-        "--muted",
-        "--board-bg"
-      ].forEach((prop) => root.style.removeProperty(prop));
+      applyThemeVariables();
       applyContrastOverrides();
       setMetaThemeColor(resolveThemeColor("#000000"));
       return;
     }
     root.removeAttribute("data-theme");
-    const [c1, c2, c3, c4, c5] = theme.colors;
-    const toRgba = (hex, alpha) => {
-      const normalized = hex.replace("#", "");
-      const r = parseInt(normalized.slice(0, 2), 16);
-      const g = parseInt(normalized.slice(2, 4), 16);
-      const b = parseInt(normalized.slice(4, 6), 16);
-      return `rgba(${r}, ${g}, ${b}, ${alpha})`;
-    };
-    const blend = (hexA, hexB, amount) => {
-      const a = hexA.replace("#", "");
-      const b = hexB.replace("#", "");
-      const ar = parseInt(a.slice(0, 2), 16);
-      const ag = parseInt(a.slice(2, 4), 16);
-      const ab = parseInt(a.slice(4, 6), 16);
-      const br = parseInt(b.slice(0, 2), 16);
-      const bg = parseInt(b.slice(2, 4), 16);
-      const bb = parseInt(b.slice(4, 6), 16);
-      const mix = (v1, v2) => Math.round(v1 * (1 - amount) + v2 * amount);
-      return `rgb(${mix(ar, br)}, ${mix(ag, bg)}, ${mix(ab, bb)})`;
-    };
-    const darken = (hex, factor) => {
-      const normalized = hex.replace("#", "");
-      const r = Math.round(parseInt(normalized.slice(0, 2), 16) * factor);
-      const g = Math.round(parseInt(normalized.slice(2, 4), 16) * factor);
-      const b = Math.round(parseInt(normalized.slice(4, 6), 16) * factor);
-      return `rgb(${r}, ${g}, ${b})`;
-    };
-    root.style.setProperty("--bg-start", c1);
-    root.style.setProperty("--bg-mid", c2);
-    root.style.setProperty("--bg-end", c3);
-    root.style.setProperty("--accent", c4);
-    root.style.setProperty("--loop", blend(c5, "#2f2a24", 0.45));
-    root.style.setProperty("--loop-soft", "rgba(255, 255, 255, 0.75)");
-    root.style.setProperty("--ink", blend(c5, "#2f2a24", 0.4));
-    root.style.setProperty("--muted", blend(c4, "#2f2a24", 0.35));
-    root.style.setProperty("--board-bg", "rgba(255, 255, 255, 0.1)");
+    Object.entries(themeVariables(theme.colors)).forEach(([prop, value]) =>
+      root.style.setProperty(prop, value)
+    );
+    applyThemeVariables();
     applyContrastOverrides();
-    setMetaThemeColor(resolveThemeColor(c1));
-  }, [themeIndex]);
+    setMetaThemeColor(resolveThemeColor(theme.colors[0]));
+  }, [themeIndex, activeThemeKey, highContrast]);
 
   const connections = useMemo(() => computeConnections(tiles), [tiles]);
   const completeDirs = useMemo(() => computeCompleteDirs(tiles, connections), [tiles, connections]);
+  const boardSize = useMemo(
+    () => (tiles.length ? getBoardDimensions(tiles) : { rows: ROWS, cols: COLS }),
+    [tiles]
+  );
+  const boardWraps = useMemo(() => isWrapBoard(tiles), [tiles]);
+  const boardShape = useMemo(() => getBoardShape(tiles), [tiles]);
+  const rovingTileIndex = useMemo(
+    () =>
+      isTileFocusable(tiles[boardFocusIndex])
+        ? boardFocusIndex
+        : tiles.findIndex(isTileFocusable),
+    [tiles, boardFocusIndex]
+  );
   const resetDisabled = useMemo(() => {
     if (tiles.length !== initialRotations.length) return false;
     return tiles.every((tile, index) => tile.rotation === initialRotations[index]);
@@ -2771,6 +2488,64 @@ export default function App() {
     return () => document.body.classList.remove("perf-mode");
   }, [performanceMode]);
 
+  useEffect(() => {
+    localStorage.setItem("zen_hint_limit", hintLimit ? "on" : "off");
+  }, [hintLimit]);
+
+  useEffect(() => {
+    localStorage.setItem("zen_high_contrast", highContrast ? "on" : "off");
+  }, [highContrast]);
+
+  useEffect(() => {
+    if (reducedMotionSetting) {
+      localStorage.setItem("zen_reduced_motion", reducedMotionSetting);
+    }
+  }, [reducedMotionSetting]);
+
+  useEffect(() => {
+    if (localeSetting) {
+      localStorage.setItem("zen_locale", localeSetting);
+    }
+  }, [localeSetting]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  useEffect(() => {
+    const media = window.matchMedia("(prefers-reduced-motion: reduce)");
+    const updateReducedMotion = () => setSystemReducedMotion(media.matches);
+    if (media.addEventListener) {
+      media.addEventListener("change", updateReducedMotion);
+    } else if (media.addListener) {
+      media.addListener(updateReducedMotion);
+    }
+    return () => {
+      if (media.removeEventListener) {
+        media.removeEventListener("change", updateReducedMotion);
+      } else if (media.removeListener) {
+        media.removeListener(updateReducedMotion);
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem("zen_timer", timerEnabled ? "on" : "off");
+    if (!timerEnabled) {
+      setTimer(IDLE_TIMER);
+    }
+  }, [timerEnabled]);
+
+  useEffect(() => {
+    localStorage.setItem("zen_best_times", JSON.stringify(bestTimes));
+  }, [bestTimes]);
+
+  useEffect(() => {
+    const handleVisibility = () => setPageHidden(document.hidden);
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => document.removeEventListener("visibilitychange", handleVisibility);
+  }, []);
+
   useEffect(() => {
     localStorage.setItem("zen_theme_mode", themeMode);
   }, [themeMode]);
@@ -2783,6 +2558,14 @@ export default function App() {
     localStorage.setItem("zen_progress_completed", JSON.stringify(progressCompletedLevels));
   }, [progressCompletedLevels]);
 
+  useEffect(() => {
+    localStorage.setItem("zen_progress_stars", JSON.stringify(progressStars));
+  }, [progressStars]);
+
+  useEffect(() => {
+    localStorage.setItem("zen_progress_hints", JSON.stringify(progressHints));
+  }, [progressHints]);
+
   useEffect(() => {
     localStorage.setItem("zen_progress_unlocked", String(progressUnlockedLevel));
   }, [progressUnlockedLevel]);
@@ -2822,7 +2605,8 @@ export default function App() {
         setThemeIndex(index);
         clearRecentRandomThemes();
       },
-      unlockAllThemes: () => setProgressCompletedLevels(unlockLevels)
+      unlockAllThemes: () => setProgressCompletedLevels(unlockLevels),
+      setHighContrast
     };
     return () => {
       delete window.__zenTest;
@@ -2840,6 +2624,14 @@ export default function App() {
     localStorage.setItem("zen_difficulty", difficultyLevels[difficultyIndex]);
   }, [difficultyIndex]);
 
+  useEffect(() => {
+    localStorage.setItem("zen_wrap", endlessWrap ? "1" : "0");
+  }, [endlessWrap]);
+
+  useEffect(() => {
+    localStorage.setItem("zen_shape", endlessShape);
+  }, [endlessShape]);
+
   useEffect(() => {
     const indices = Array.from({ length: 10 }, (_, i) => i);
     for (let i = indices.length - 1; i > 0; i -= 1) {
@@ -3229,6 +3021,7 @@ export default function App() {
   }, []);
 
   const solved = useMemo(() => {
+    if (tiles.length === 0) return false;
     return tiles.every((tile) => {
       const edges = getEdges(tile);
       const dirs = completeDirs.get(tile.id) || [false, false, false, false];
@@ -3236,14 +3029,57 @@ export default function App() {
     });
   }, [tiles, completeDirs]);
 
-  function regenerate(nextSeed, nextDifficulty = difficultyLevels[difficultyIndex], { shuffleTheme = false } = {}) {
+  // Endless boards follow the wrap and shape toggles; progression seeds carry their
+  // own "-W" and "-H" flags, even when a link opens one in Endless. `resume` is a
+  // saved board to restore on top of the seed. A worker failure shows an error with
+  // a retry in place of the board.
+  function regenerate(
+    nextSeed,
+    nextDifficulty = difficultyLevels[difficultyIndex],
+    {
+      shuffleTheme = false,
+      wrap = isEndless && !parseProgressionSeed(nextSeed) ? endlessWrap : undefined,
+      shape = isEndless && !parseProgressionSeed(nextSeed) ? endlessShape : undefined,
+      resume = null
+    } = {}
+  ) {
     if (shuffleTheme && themeMode === "random") {
       const nextTheme = getNextRandomTheme();
       setThemeIndex(nextTheme);
     }
-    const nextTiles = makeBoard(nextSeed, nextDifficulty);
-    setTiles(nextTiles);
-    setInitialRotations(nextTiles.map((tile) => tile.rotation));
+    setBoardLoading(true);
+    setBoardError(null);
+    boardGenerator
+      .generate(nextSeed, nextDifficulty, { wrap, shape })
+      .then((nextTiles) => {
+        setTiles(resume ? resumeSavedBoard(nextTiles, resume) : nextTiles);
+        setInitialRotations(nextTiles.map((tile) => tile.rotation));
+        setRotationHistory({ past: [], future: [] });
+        setHintsUsed(resume?.hintsUsed ?? 0);
+        setHintedTileId(null);
+        setBoardAnnouncement("");
+        setMoveCount(resume?.moveCount ?? 0);
+        setBoardPar(computePar(nextTiles));
+        setTimer(
+          resume?.timerStarted ? { started: true, elapsed: resume.elapsed ?? 0, since: null } : IDLE_TIMER
+        );
+        setSolveTime(null);
+        setBoardLoading(false);
+      })
+      .catch((err) => {
+        if (isCancelledBoardRequest(err)) return;
+        setBoardLoading(false);
+        setBoardError({
+          seed: nextSeed,
+          difficulty: nextDifficulty,
+          options: { wrap, shape, resume }
+        });
+      });
+  }
+
+  function retryBoard() {
+    if (!boardError) return;
+    regenerate(boardError.seed, boardError.difficulty, boardError.options);
   }
 
   function handleSeedChange(e) {
@@ -3274,7 +3110,7 @@ export default function App() {
   };
 
   const setGapRateFromGapCells = (value) => {
-    const total = ROWS * COLS;
+    const total = builderSettings.rows * builderSettings.cols;
     const raw = Number(value);
     if (!Number.isFinite(raw)) return;
     const maxBlankCells = Math.max(0, total - MIN_TILES);
@@ -3285,7 +3121,7 @@ export default function App() {
   };
 
   const setGapRateFromTileCount = (value) => {
-    const total = ROWS * COLS;
+    const total = builderSettings.rows * builderSettings.cols;
     const raw = Number(value);
     if (!Number.isFinite(raw)) return;
     const clamped = clampValue(Math.round(raw), MIN_TILES, total);
@@ -3333,18 +3169,6 @@ export default function App() {
     });
   };
 
-  const downloadTextFile = (filename, text, type) => {
-    const blob = new Blob([text], { type });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = filename;
-    document.body.appendChild(link);
-    link.click();
-    link.remove();
-    URL.revokeObjectURL(url);
-  };
-
   const handleExportLevelsJSON = () => {
     const payload = {
       version: 1,
@@ -3424,6 +3248,8 @@ export default function App() {
 
   const handleResetProgression = () => {
     setProgressCompletedLevels([]);
+    setProgressStars({});
+    setProgressHints({});
     setProgressUnlockedLevel(1);
     setShowFinalSuccess(false);
     setShowSuccess(false);
@@ -3450,8 +3276,11 @@ export default function App() {
     }
   };
 
-  const markProgressLevelComplete = (level) => {
+  const markProgressLevelComplete = (level, stars) => {
     if (!Number.isInteger(level) || level < 1 || level > TOTAL_LEVELS) return;
+    setProgressStars((prev) =>
+      (prev[level] ?? 0) >= stars ? prev : { ...prev, [level]: stars }
+    );
     setProgressCompletedLevels((prev) => {
       if (prev.includes(level)) return prev;
       const next = [...prev, level];
@@ -3461,6 +3290,65 @@ export default function App() {
     setProgressUnlockedLevel((prev) => Math.max(prev, Math.min(TOTAL_LEVELS, level + 1)));
   };
 
+  const continueSavedBoard = () => {
+    if (!continueBoard) return;
+    const { mode, saved } = continueBoard;
+    if (mode === "progress") {
+      const savedDifficultyIndex = difficultyLevels.indexOf(saved.difficulty);
+      if (savedDifficultyIndex !== -1) setDifficultyIndex(savedDifficultyIndex);
+      resumeProgressLevelRef.current = saved.level;
+    }
+    setScreen(mode);
+  };
+
+  const shareDailyResult = async () => {
+    const result = dailyHistory[dailyKey];
+    if (!result) return;
+    const text = buildDailyShareText(dailyKey, result, dailyStreak, t);
+    await shareOrCopy({ text }, () => {
+      setDailyShareNotice(t("common.copied"));
+      window.setTimeout(() => setDailyShareNotice(""), 1400);
+    });
+  };
+
+  // Links always open in Endless, so progress and the daily board stay untouched.
+  const openBoardLink = (link) => {
+    const linkDifficultyIndex = difficultyLevels.indexOf(link.difficulty);
+    const nextDifficultyIndex = linkDifficultyIndex === -1 ? difficultyIndex : linkDifficultyIndex;
+    const isProgressionLink = Boolean(parseProgressionSeed(link.seed));
+    if (!isProgressionLink) {
+      setEndlessShape(link.shape);
+      setEndlessWrap(link.wrap);
+    }
+    setShowLevelPicker(false);
+    setShowDailyCalendar(false);
+    if (isEndless) {
+      setSeedText(link.seed);
+      setDifficultyIndex(nextDifficultyIndex);
+      regenerate(link.seed, difficultyLevels[nextDifficultyIndex], {
+        shuffleTheme: false,
+        wrap: isProgressionLink ? undefined : link.wrap,
+        shape: isProgressionLink ? undefined : link.shape
+      });
+      return;
+    }
+    endlessStateRef.current = {
+      ...endlessStateRef.current,
+      seedText: link.seed,
+      tiles: null,
+      difficultyIndex: nextDifficultyIndex
+    };
+    setScreen("endless");
+  };
+
+  const shareBoardLink = async () => {
+    const url = `${window.location.origin}${window.location.pathname}${buildBoardLinkHash(boardLink)}`;
+    await shareOrCopy({ title: t("board.shareLinkTitle"), url }, () => {
+      setBoardLinkCopied(true);
+      window.setTimeout(() => setBoardLinkCopied(false), 1400);
+    });
+  };
+
   const handleSelectProgressLevel = (level) => {
     const index = assignedLevelIndexByNumber.get(level);
     if (index === undefined) return;
@@ -3490,6 +3378,44 @@ export default function App() {
     setSuccessThemeApplied(false);
   };
 
+  const handleBoardKeyDown = (event) => {
+    if (!FOCUS_STEPS[event.key] || event.altKey || event.ctrlKey || event.metaKey) return;
+    const from = Number(event.target.dataset?.index);
+    if (!Number.isInteger(from)) return;
+    event.preventDefault();
+    const next = findFocusStep(tiles, from, event.key, boardSize);
+    if (next === null) return;
+    setBoardFocusIndex(next);
+    boardRef.current?.querySelector(`[data-index="${next}"]`)?.focus();
+  };
+
+  function resetBoard() {
+    if (resetDisabled || (isProgress && !progressLevelsAvailable)) return;
+    setResetSpinning(true);
+    window.setTimeout(() => setResetSpinning(false), 420);
+    const nextSeed = isProgress ? progressSeed : seedText;
+    if (!nextSeed) return;
+    setSeedText(nextSeed);
+    regenerate(nextSeed, boardDifficulty, { shuffleTheme: false });
+  }
+
+  function newEndlessLevel() {
+    const nextSeed = Math.random().toString(36).slice(2, 8);
+    setSeedText(nextSeed);
+    regenerate(nextSeed, difficultyLevels[difficultyIndex], { shuffleTheme: true });
+  }
+
+  function cycleDifficulty() {
+    const nextIndex = (difficultyIndex + 1) % difficultyLevels.length;
+    emitEvent("difficulty_changed", {
+      mode: "endless",
+      from: difficultyLevels[difficultyIndex],
+      to: difficultyLevels[nextIndex]
+    });
+    setDifficultyIndex(nextIndex);
+    regenerate(seedText, difficultyLevels[nextIndex], { shuffleTheme: true });
+  }
+
   const toggleLevelPicker = () => {
     setShowLevelPicker((prev) => {
       const next = !prev;
@@ -3500,33 +3426,143 @@ export default function App() {
     });
   };
 
-  const rotateBuilderTile = (index) => {
+  const rotateBuilderTile = (index, turns = 1) => {
     setBuilderTiles((prev) => {
+      if (prev[index]?.fixed) return prev;
       const next = [...prev];
       const tile = { ...next[index] };
-      const prevRotationDegrees = tile.rotationDegrees ?? tile.rotation * 90;
-      tile.rotation = (tile.rotation + 1) % 4;
-      tile.rotationDegrees = prevRotationDegrees + 90;
+      const sides = getTileSides(tile);
+      const prevRotationDegrees = tile.rotationDegrees ?? tile.rotation * (360 / sides);
+      tile.rotation = (((tile.rotation + turns) % sides) + sides) % sides;
+      tile.rotationDegrees = prevRotationDegrees + (turns * 360) / sides;
       next[index] = tile;
       return next;
     });
   };
 
-  function rotateTile(index) {
+  function rotateTile(index, turns = 1) {
+    if (tiles[index]?.fixed || tiles[index]?.locked) return;
+    setRotationHistory((prev) => ({
+      past: [...prev.past, { index, turns, moves: 1 }],
+      future: []
+    }));
+    startTimer();
+    turnTile(index, turns);
+  }
+
+  function startTimer() {
+    if (!timerEnabled) return;
+    setTimer((prev) =>
+      prev.started ? prev : { started: true, elapsed: 0, since: performance.now() }
+    );
+  }
+
+  // Locks are the player's own notes, so they stay out of the undo history; a move
+  // on a locked tile can't be undone or redone until the tile is unlocked.
+  function toggleTileLock(index) {
+    const tile = tiles[index];
+    if (!tile || tile.fixed || tile.type === "blank") return;
+    hasInteractedRef.current = true;
+    setTiles((prev) =>
+      prev.map((item, i) => {
+        if (i !== index) return item;
+        const { locked, ...rest } = item;
+        return locked ? rest : { ...rest, locked: true };
+      })
+    );
+    setBoardAnnouncement(tile.locked ? t("announce.unlocked") : t("announce.locked"));
+  }
+
+  function undoRotation() {
+    const move = rotationHistory.past[rotationHistory.past.length - 1];
+    if (!move || boardLoading || tiles[move.index]?.locked) return;
+    setRotationHistory({
+      past: rotationHistory.past.slice(0, -1),
+      future: [...rotationHistory.future, move]
+    });
+    replayRotation(move.index, -move.turns, move.moves);
+  }
+
+  function redoRotation() {
+    const move = rotationHistory.future[rotationHistory.future.length - 1];
+    if (!move || boardLoading || tiles[move.index]?.locked) return;
+    setRotationHistory({
+      past: [...rotationHistory.past, move],
+      future: rotationHistory.future.slice(0, -1)
+    });
+    replayRotation(move.index, move.turns, move.moves);
+  }
+
+  // A hint turns one tile to its solved edges the short way round. It goes on
+  // the undo history like any move, and unlocks the tile if the player had pinned it.
+  // It counts one move per step, as par does, so a hint never beats par; undo and
+  // redo charge the same.
+  function showHint() {
+    if (!canHint) return;
+    const hint = pickHint(tiles);
+    if (!hint) return;
+    const tile = tiles[hint.index];
+    const turns = getTurnsToTarget(tile);
+    setRotationHistory((prev) => ({
+      past: [...prev.past, { index: hint.index, turns, moves: Math.abs(turns) }],
+      future: []
+    }));
+    startTimer();
+    turnTile(hint.index, turns, Math.abs(turns));
+    if (tile.locked) {
+      setTiles((prev) =>
+        prev.map((item, i) => {
+          if (i !== hint.index) return item;
+          const { locked, ...rest } = item;
+          return rest;
+        })
+      );
+    }
+    const nextHintsUsed = hintsUsed + 1;
+    setHintsUsed(nextHintsUsed);
+    if (isProgress && Number.isInteger(progressLevelNumber)) {
+      setProgressHints((prev) => recordHint(prev, progressLevelNumber));
+    }
+    setHintedTileId(tile.id);
+    window.clearTimeout(hintGlowTimeoutRef.current);
+    hintGlowTimeoutRef.current = window.setTimeout(() => setHintedTileId(null), HINT_GLOW_MS);
+    emitEvent("hint_used", {
+      mode: boardMode,
+      level: isProgress && Number.isInteger(progressLevelNumber) ? progressLevelNumber : undefined,
+      difficulty: boardDifficulty,
+      reason: hint.reason,
+      hints: nextHintsUsed
+    });
+  }
+
+  // Pulses from the move being stepped over no longer match the board, so they stop
+  // before the replayed turn starts its own. `moves` is what the entry cost to make.
+  function replayRotation(index, turns, moves) {
+    setPulseDelays(new Map());
+    pulseEndRef.current = 0;
+    turnTile(index, turns, moves);
+  }
+
+  // Turns one tile by `turns` steps (negative is counter-clockwise) and pulses any
+  // network that completes. Taps, undo and redo all land here and count `moves`.
+  function turnTile(index, turns, moves = 1) {
     hasInteractedRef.current = true;
+    setMoveCount((prev) => prev + moves);
     if (showSuccess || waveActive) {
       cancelFinalAnimations();
     }
     const next = [...tiles];
     const tile = { ...next[index] };
-    const prevRotationDegrees = tile.rotationDegrees ?? tile.rotation * 90;
-    tile.rotation = (tile.rotation + 1) % 4;
-    tile.rotationDegrees = prevRotationDegrees + 90;
+    const sides = getTileSides(tile);
+    const prevRotationDegrees = tile.rotationDegrees ?? tile.rotation * (360 / sides);
+    tile.rotation = (((tile.rotation + turns) % sides) + sides) % sides;
+    tile.rotationDegrees = prevRotationDegrees + (turns * 360) / sides;
     next[index] = tile;
 
     const nextConnections = computeConnections(next);
     const nextComplete = computeCompleteDirs(next, nextConnections);
     let hasNewComplete = false;
+    let completedNetworkSize = 0;
     next.forEach((nextTile) => {
       const dirs = nextComplete.get(nextTile.id) || [false, false, false, false];
       const bits = connectionBitmask(dirs);
@@ -3538,11 +3574,12 @@ export default function App() {
 
     if (hasNewComplete) {
       const startTile = next[index];
-      const byPos = new Map();
-      next.forEach((t) => byPos.set(`${t.r}-${t.c}`, t));
+      const neighborIndices = getNeighborIndices(next);
+      const indexById = new Map(next.map((t, i) => [t.id, i]));
       const startComplete = nextComplete.get(startTile.id) || [false, false, false, false];
       if (!startComplete.some(Boolean)) {
         setTiles(next);
+        announceTurn(next[index], nextComplete, 0);
         if (!hasNewComplete) {
           playSelectedRotate();
         }
@@ -3559,26 +3596,22 @@ export default function App() {
         if (dist > maxDist) maxDist = dist;
         const connected = nextConnections.get(current.id) || [false, false, false, false];
         const completeDirs = nextComplete.get(current.id) || [false, false, false, false];
-        const neighbors = [
-          byPos.get(`${current.r - 1}-${current.c}`),
-          byPos.get(`${current.r}-${current.c + 1}`),
-          byPos.get(`${current.r + 1}-${current.c}`),
-          byPos.get(`${current.r}-${current.c - 1}`)
-        ];
+        const neighbors = neighborIndices[indexById.get(current.id)].map((i) => next[i]);
         neighbors.forEach((neighbor, dir) => {
           if (!neighbor) return;
           if (!connected[dir] || !completeDirs[dir]) return;
           const neighborComplete = nextComplete.get(neighbor.id) || [false, false, false, false];
-          if (!neighborComplete[oppositeDir(dir)]) return;
+          if (!neighborComplete[oppositeDir(dir, neighbors.length)]) return;
           if (visited.has(neighbor.id)) return;
           visited.add(neighbor.id);
           component.add(neighbor.id);
           queue.push({ tile: neighbor, dist: dist + 1 });
         });
       }
+      completedNetworkSize = component.size;
       const delays = new Map();
-      const base = 80;
-      const min = 38;
+      const base = reducedMotion ? 0 : 80;
+      const min = reducedMotion ? 0 : 38;
       distanceMap.forEach((dist, id) => {
         const progress = maxDist > 0 ? dist / Math.max(1, maxDist) : 0;
         const eased = 1 - Math.pow(1 - progress, 2);
@@ -3595,24 +3628,37 @@ export default function App() {
     }
 
     setTiles(next);
+    announceTurn(next[index], nextComplete, completedNetworkSize);
     if (!hasNewComplete) {
       playSelectedRotate();
     }
   }
 
+  function announceTurn(tile, nextComplete, completedNetworkSize) {
+    const description = describeTile({ ...tile, completeDirs: nextComplete.get(tile.id) }, t);
+    setBoardAnnouncement(
+      completedNetworkSize > 0
+        ? t("announce.network", { tile: description, count: completedNetworkSize })
+        : description
+    );
+  }
+
   function solveAllButOne() {
-    const nonBlankIndices = tiles
-      .map((tile, idx) => (tile.type === "blank" ? null : idx))
+    const [solution] = solveBoard(tiles).solutions;
+    if (!solution) return;
+    const rotatableIndices = tiles
+      .map((tile, idx) => (getRotationOptions(tile).length > 1 ? idx : null))
       .filter((idx) => idx !== null);
-    if (nonBlankIndices.length === 0) return;
-    const leaveIndex = nonBlankIndices[Math.floor(Math.random() * nonBlankIndices.length)];
+    if (rotatableIndices.length === 0) return;
+    const leaveIndex = rotatableIndices[Math.floor(Math.random() * rotatableIndices.length)];
     const next = tiles.map((tile, idx) => {
-      const target = tile.targetRotation;
-      const rotation = idx === leaveIndex ? (target + 1) % 4 : target;
+      const sides = getTileSides(tile);
+      const target = solution[idx];
+      const rotation = idx === leaveIndex ? (target + 1) % sides : target;
       return {
         ...tile,
         rotation,
-        rotationDegrees: rotation * 90
+        rotationDegrees: rotation * (360 / sides)
       };
     });
     setTiles(next);
@@ -3642,11 +3688,17 @@ export default function App() {
     cancelFinalAnimations();
   }, [screen]);
 
-  const confettiCount = performanceMode ? 40 : 120;
+  const confettiCount = reducedMotion ? 0 : performanceMode ? 40 : 120;
   const isHome = screen === "home";
   const isProgression = screen === "progression";
   const isProgress = screen === "progress";
   const isEndless = screen === "endless";
+  const isDaily = screen === "daily";
+  const boardMode = isProgress ? "progress" : isDaily ? "daily" : "endless";
+  const boardDifficulty = isDaily ? DAILY_DIFFICULTY : difficultyLevels[difficultyIndex];
+  const todayKey = getDailyKey();
+  const dailyDoneToday = Boolean(dailyHistory[todayKey]);
+  const dailyStreak = getDailyStreak(Object.keys(dailyHistory), todayKey);
   const builderSeed = useMemo(() => buildProgressionSeed(builderSettings), [builderSettings]);
   const builderConfig = useMemo(
     () => progressionSettingsToBoardConfig(builderSettings),
@@ -3660,6 +3712,19 @@ export default function App() {
     () => computeCompleteDirs(builderTiles, builderConnections),
     [builderTiles, builderConnections]
   );
+  const builderSolutionCount = useMemo(() => countSolutions(builderTiles, 2), [builderTiles]);
+  const builderDifficulty = useMemo(() => estimateDifficulty(builderTiles), [builderTiles]);
+  const builderPinnedCount = useMemo(
+    () => builderTiles.filter((tile) => tile.fixed).length,
+    [builderTiles]
+  );
+  const builderBoardSize = useMemo(
+    () =>
+      builderTiles.length
+        ? getBoardDimensions(builderTiles)
+        : { rows: builderConfig.rows, cols: builderConfig.cols },
+    [builderTiles, builderConfig]
+  );
   const themeUnlockMap = useMemo(() => {
     const map = new Map();
     themes.forEach((theme, index) => {
@@ -3708,6 +3773,22 @@ export default function App() {
     return duplicates;
   }, [progressionLevels]);
   const hasDuplicateSeeds = duplicateSeedLevels.size > 0;
+  const difficultyCurve = useMemo(
+    () =>
+      analyzeDifficultyCurve(
+        progressionLevels.map((seed) => (seed ? levelDifficulty.get(seed) ?? null : null))
+      ),
+    [progressionLevels, levelDifficulty]
+  );
+  const curveFlags = useMemo(
+    () => ({
+      spikes: difficultyCurve.filter((point) => point.spike).map((point) => point.level),
+      dips: difficultyCurve.filter((point) => point.dip).map((point) => point.level),
+      rampBreaks: difficultyCurve.filter((point) => point.breaksRamp).map((point) => point.level)
+    }),
+    [difficultyCurve]
+  );
+  const scoredLevelCount = difficultyCurve.filter((point) => point.score !== null).length;
   const duplicateSeedList = useMemo(
     () => Array.from(duplicateSeedLevels).sort((a, b) => a - b),
     [duplicateSeedLevels]
@@ -3717,7 +3798,7 @@ export default function App() {
     [progressCompletedLevels]
   );
   const assignedCount = assignedLevels.length;
-  const totalCells = ROWS * COLS;
+  const totalCells = builderConfig.rows * builderConfig.cols;
   const maxBlankCells = Math.max(0, totalCells - MIN_TILES);
   const effectiveGapRate = totalCells
     ? Math.round((builderConfig.blanks.min / totalCells) * 100)
@@ -3756,20 +3837,159 @@ export default function App() {
     nextProgressLevel && nextProgressLevel.level <= progressUnlockedLevel
   );
   const isProgressPlayable = isProgress && progressLevelsAvailable;
-  const isBoardScreen = isEndless || isProgressPlayable;
+  const continueBoard = useMemo(() => {
+    const [latest] = Object.entries(savedBoards)
+      .filter(
+        ([mode, saved]) =>
+          saved.moveCount > 0 &&
+          (mode === "endless" ||
+            (mode === "daily" && saved.seedText === getDailySeed(todayKey)) ||
+            (assignedLevelIndexByNumber.has(saved.level) && saved.level <= progressUnlockedLevel))
+      )
+      .sort((a, b) => (b[1].savedAt ?? 0) - (a[1].savedAt ?? 0));
+    return latest ? { mode: latest[0], saved: latest[1] } : null;
+  }, [savedBoards, assignedLevelIndexByNumber, progressUnlockedLevel, todayKey]);
+  const isBoardScreen = isEndless || isDaily || isProgressPlayable;
+  const boardLink = {
+    seed: isProgress ? progressSeed : seedText,
+    difficulty: boardDifficulty,
+    wrap: boardWraps,
+    shape: boardShape
+  };
+  const openBoardLinkRef = useRef(openBoardLink);
+  openBoardLinkRef.current = openBoardLink;
+
+  // An opened link leaves the address bar once read; the board it opens then writes
+  // its own link in, and other screens leave the bar bare.
+  useEffect(() => {
+    const consumeBoardLink = (link) => {
+      if (!link) return;
+      window.history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+      openBoardLinkRef.current(link);
+    };
+    consumeBoardLink(initialBoardLink);
+    const handleHashChange = () => consumeBoardLink(readBoardLink());
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, []);
+
+  // The address bar names the board on screen, progression seeds included, ready to
+  // copy. Opening it plays that board in Endless, like a shared link.
+  useEffect(() => {
+    if (isBoardScreen && boardLoading) return;
+    const hash = isBoardScreen && boardLink.seed ? buildBoardLinkHash(boardLink) : "";
+    if (hash === window.location.hash) return;
+    window.history.replaceState(null, "", `${window.location.pathname}${window.location.search}${hash}`);
+  }, [isBoardScreen, boardLoading, boardLink.seed, boardLink.difficulty, boardWraps, boardShape]);
+  const nextUndo = rotationHistory.past[rotationHistory.past.length - 1];
+  const nextRedo = rotationHistory.future[rotationHistory.future.length - 1];
+  const canUndo = Boolean(nextUndo) && !boardLoading && !tiles[nextUndo.index]?.locked;
+  const canRedo = Boolean(nextRedo) && !boardLoading && !tiles[nextRedo.index]?.locked;
+  // `hintsUsed` counts this board only; the limit draws on the level's allowance.
+  const hintsLeft =
+    isProgress && hintLimit && Number.isInteger(progressLevelNumber)
+      ? getHintsLeft(progressHints, progressLevelNumber)
+      : null;
+  const canHint = isBoardScreen && !boardLoading && !solved && hintsLeft !== 0;
+  const solveStars = solved ? rateSolve(moveCount, boardPar) : null;
+  const bestTimeKey = isProgress
+    ? `level-${progressLevelNumber}`
+    : isDaily
+      ? "daily"
+      : `endless-${difficultyLevels[difficultyIndex]}`;
+  const timerPaused =
+    showLevelPicker || showDailyCalendar || showThemePicker || showPrivacyPolicy || pageHidden;
+  const timerRunning = timer.started && isBoardScreen && !solved && !timerPaused;
+  const timerMs = readTimer(timer, timerNow);
+
+  // The timer stops while the board is out of sight and for good once it's solved.
+  useEffect(() => {
+    setTimer((prev) => {
+      if (!prev.started) return prev;
+      if (!timerRunning) return pauseTimer(prev);
+      return prev.since === null ? { ...prev, since: performance.now() } : prev;
+    });
+  }, [timerRunning]);
+
+  useEffect(() => {
+    if (timer.since === null) return undefined;
+    setTimerNow(performance.now());
+    const interval = window.setInterval(() => setTimerNow(performance.now()), 250);
+    return () => window.clearInterval(interval);
+  }, [timer.since]);
+  const boardShortcutsRef = useRef(null);
+  boardShortcutsRef.current = {
+    blocked:
+      showThemePicker || showSuccess || showFinalSuccess || showPrivacyPolicy || showAttribution,
+    pickerOpen: showLevelPicker || showDailyCalendar,
+    history: isBoardScreen && !showLevelPicker && !showDailyCalendar,
+    undo: undoRotation,
+    redo: redoRotation,
+    keys: isBoardScreen
+      ? {
+          r: resetBoard,
+          n: isEndless ? newEndlessLevel : null,
+          d: isEndless ? cycleDifficulty : null,
+          l: isProgress ? toggleLevelPicker : isDaily ? () => setShowDailyCalendar((prev) => !prev) : null
+        }
+      : {}
+  };
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; Cmd works in place of Ctrl. Plain
+  // letters reset (R), start a new Endless board (N), cycle its difficulty (D) and
+  // open the level picker or daily calendar (L). None fire from a text field, from
+  // the settings panel or while a dialog, the theme picker or the success card is
+  // up; with the level picker or calendar open, only L (to close it) does.
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const shortcuts = boardShortcutsRef.current;
+      if (!shortcuts || shortcuts.blocked || event.altKey) return;
+      const target = event.target;
+      if (
+        target instanceof HTMLElement &&
+        (target.isContentEditable ||
+          ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName) ||
+          target.closest(".floating-controls, [role='dialog']"))
+      ) {
+        return;
+      }
+      const key = event.key.toLowerCase();
+      if (shortcuts.pickerOpen && key !== "l") return;
+      if (!(event.ctrlKey || event.metaKey)) {
+        const action = event.shiftKey || event.repeat ? null : shortcuts.keys[key];
+        if (action) {
+          event.preventDefault();
+          action();
+        }
+        return;
+      }
+      if (!shortcuts.history) return;
+      if (key === "z") {
+        event.preventDefault();
+        if (event.shiftKey) shortcuts.redo();
+        else shortcuts.undo();
+      } else if (key === "y" && !event.shiftKey) {
+        event.preventDefault();
+        shortcuts.redo();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
   const isFinalLevel = isProgress && progressLevelNumber === TOTAL_LEVELS;
   const isProgressionComplete = progressCompletedSet.has(TOTAL_LEVELS);
   const unlockableThemeForLevel = useMemo(() => {
     if (!Number.isInteger(progressLevelNumber)) return null;
     return themeUnlockMap.get(progressLevelNumber) || null;
   }, [progressLevelNumber, themeUnlockMap]);
-  const progressSuccessTitle = progressLevelNumber ? `Level ${progressLevelNumber} complete` : "Level complete";
-  const finalSuccessTitle = "A Winner Is You";
+  const progressSuccessTitle = progressLevelNumber
+    ? t("success.levelNumberComplete", { level: progressLevelNumber })
+    : t("success.levelComplete");
   const successTitle = showFinalSuccess
-    ? finalSuccessTitle
+    ? t("success.final")
     : isProgress
       ? progressSuccessTitle
-      : successMessage;
+      : t(successMessage);
 
   useEffect(() => {
     if (analyticsConsent === ANALYTICS_CONSENT.DENIED) {
@@ -3780,7 +4000,7 @@ export default function App() {
     analyticsInitSentRef.current = true;
     emitEvent("app_opened");
     emitEvent("screen_view", { screen });
-    if (screen === "endless" || screen === "progress") {
+    if (screen === "endless" || screen === "progress" || screen === "daily") {
       emitEvent("mode_started", { mode: screen });
     }
     if (isProgress && Number.isInteger(progressLevelNumber)) {
@@ -3797,6 +4017,39 @@ export default function App() {
     seedText
   ]);
 
+  useEffect(() => {
+    // Warm the cache so the first Endless board is ready before it's opened.
+    boardGenerator
+      .generate(initialSeed, initialDifficulty, { wrap: endlessWrap, shape: endlessShape })
+      .catch(() => {});
+    return () => {
+      boardGenerator.dispose();
+      builderGenerator.dispose();
+      levelScoreGenerator.dispose();
+    };
+  }, []);
+
+  // Scores the Level Map's seeds one at a time, only while the builder is open.
+  useEffect(() => {
+    if (!isProgression) return;
+    const pendingSeed = progressionLevels.find(
+      (seed) => seed && parseProgressionSeed(seed) && !levelDifficulty.has(seed)
+    );
+    if (!pendingSeed) return;
+    let active = true;
+    levelScoreGenerator
+      .estimate(pendingSeed, "medium")
+      .then(({ score }) => score)
+      .catch((err) => (isCancelledBoardRequest(err) ? undefined : null))
+      .then((score) => {
+        if (!active || score === undefined) return;
+        setLevelDifficulty((prev) => new Map(prev).set(pendingSeed, score));
+      });
+    return () => {
+      active = false;
+    };
+  }, [isProgression, progressionLevels, levelDifficulty, levelScoreGenerator]);
+
   useEffect(() => {
     if (!progressLevelsAvailable) {
       setProgressCursor(0);
@@ -3845,23 +4098,82 @@ export default function App() {
     if (!level) return;
     const shouldShuffleTheme = progressShuffleThemeRef.current;
     progressShuffleThemeRef.current = false;
+    const difficulty = difficultyLevels[difficultyIndex];
+    const saved = savedBoards.progress;
+    const resume = saved?.seedText === level.seed && saved.difficulty === difficulty ? saved : null;
     setSeedText(level.seed);
-    regenerate(level.seed, difficultyLevels[difficultyIndex], { shuffleTheme: shouldShuffleTheme });
+    regenerate(level.seed, difficulty, { shuffleTheme: shouldShuffleTheme, resume });
   }, [isProgress, progressLevelsAvailable, assignedLevels, progressCursor, difficultyIndex]);
 
+  // Every move (and the tab going to the background) saves the board for the next
+  // launch; a solved board is dropped so there is nothing left to continue.
+  useEffect(() => {
+    if (!isBoardScreen || boardLoading || tiles.length === 0) return;
+    const mode = boardMode;
+    if (solved) {
+      setSavedBoards((prev) => {
+        if (!prev[mode]) return prev;
+        const { [mode]: _removed, ...rest } = prev;
+        return rest;
+      });
+      return;
+    }
+    const lockedIndices = tiles.flatMap((tile, index) => (tile.locked ? [index] : []));
+    setSavedBoards((prev) => ({
+      ...prev,
+      [mode]: {
+        seedText: isProgress ? progressSeed : seedText,
+        level: isProgress ? progressLevelNumber : undefined,
+        difficulty: boardDifficulty,
+        wrap: boardWraps,
+        shape: boardShape,
+        rotations: tiles.map((tile) => tile.rotation),
+        locked: lockedIndices,
+        moveCount,
+        hintsUsed,
+        timerStarted: timer.started,
+        elapsed: Math.round(readTimer(timer, performance.now())),
+        savedAt: Date.now()
+      }
+    }));
+  }, [tiles, moveCount, hintsUsed, timer.started, pageHidden, solved, boardLoading]);
+
+  useEffect(() => {
+    localStorage.setItem("zen_saved_boards", JSON.stringify(savedBoards));
+  }, [savedBoards]);
+
+  useEffect(() => {
+    localStorage.setItem("zen_daily_history", JSON.stringify(dailyHistory));
+  }, [dailyHistory]);
+
   useEffect(() => {
     const prev = prevScreenRef.current;
     if (prev !== screen) {
       emitEvent("screen_view", { screen });
-      if (screen === "endless" || screen === "progress") {
+      if (screen === "endless" || screen === "progress" || screen === "daily") {
         emitEvent("mode_started", { mode: screen });
       }
     }
+    if (prev !== "daily" && screen === "daily") {
+      const key = getDailyKey();
+      const seed = getDailySeed(key);
+      const resume = savedBoards.daily?.seedText === seed ? savedBoards.daily : null;
+      setDailyKey(key);
+      setShowDailyCalendar(false);
+      setSeedText(seed);
+      regenerate(seed, DAILY_DIFFICULTY, { resume });
+      emitEvent("board_started", { mode: "daily", difficulty: DAILY_DIFFICULTY });
+    }
     if (prev === "endless" && screen !== "endless") {
       endlessStateRef.current = {
         seedText,
-        tiles,
-        initialRotations,
+        tiles: boardLoading ? null : tiles,
+        initialRotations: boardLoading ? null : initialRotations,
+        rotationHistory: boardLoading ? null : rotationHistory,
+        hintsUsed: boardLoading ? 0 : hintsUsed,
+        moveCount: boardLoading ? 0 : moveCount,
+        boardPar: boardLoading ? 0 : boardPar,
+        timer: boardLoading ? IDLE_TIMER : pauseTimer(timer),
         difficultyIndex
       };
     }
@@ -3877,6 +4189,11 @@ export default function App() {
         if (targetIndex === -1) {
           targetIndex = 0;
         }
+        const resumeIndex = assignedLevelIndexByNumber.get(resumeProgressLevelRef.current);
+        resumeProgressLevelRef.current = null;
+        if (resumeIndex !== undefined) {
+          targetIndex = resumeIndex;
+        }
         setProgressCursor(targetIndex);
       }
     }
@@ -3884,9 +4201,30 @@ export default function App() {
       const saved = endlessStateRef.current;
       if (saved) {
         setSeedText(saved.seedText);
-        setTiles(saved.tiles);
-        setInitialRotations(saved.initialRotations);
         setDifficultyIndex(saved.difficultyIndex);
+        if (saved.tiles) {
+          boardGenerator.cancel();
+          setTiles(saved.tiles);
+          setInitialRotations(saved.initialRotations);
+          setRotationHistory(saved.rotationHistory || { past: [], future: [] });
+          setHintsUsed(saved.hintsUsed || 0);
+          setMoveCount(saved.moveCount || 0);
+          setBoardPar(saved.boardPar || 0);
+          setTimer(saved.timer || IDLE_TIMER);
+          setBoardLoading(false);
+        } else {
+          const difficulty = difficultyLevels[saved.difficultyIndex];
+          const resume = savedBoards.endless;
+          if (resume?.seedText === saved.seedText && resume.difficulty === difficulty) {
+            regenerate(saved.seedText, difficulty, {
+              wrap: resume.wrap,
+              shape: resume.shape,
+              resume
+            });
+          } else {
+            regenerate(saved.seedText, difficulty);
+          }
+        }
       }
     }
     prevScreenRef.current = screen;
@@ -3918,12 +4256,43 @@ export default function App() {
       return;
     }
     if (solved && !prevSolvedRef.current) {
+      const finishedMs = timer.started ? readTimer(timer, performance.now()) : null;
+      if (finishedMs !== null) {
+        const previousBest = bestTimes[bestTimeKey];
+        const isBest = previousBest === undefined || finishedMs < previousBest;
+        setSolveTime({ ms: finishedMs, isBest });
+        if (isBest) {
+          setBestTimes((prev) => ({ ...prev, [bestTimeKey]: Math.round(finishedMs) }));
+        }
+      }
+      if (isDaily && !dailyHistory[dailyKey]) {
+        setDailyHistory((prev) => ({
+          ...prev,
+          [dailyKey]: {
+            moves: moveCount,
+            par: boardPar,
+            stars: solveStars,
+            hints: hintsUsed,
+            timeMs: finishedMs === null ? null : Math.round(finishedMs)
+          }
+        }));
+      }
+      setBoardAnnouncement(
+        finishedMs === null
+          ? t("announce.solved", { count: moveCount })
+          : t("announce.solvedTime", { count: moveCount, time: t.duration(finishedMs) })
+      );
       emitEvent("board_completed", {
-        mode: isProgress ? "progress" : "endless",
+        mode: boardMode,
         level: isProgress && Number.isInteger(progressLevelNumber) ? progressLevelNumber : undefined,
-        difficulty: difficultyLevels[difficultyIndex]
+        difficulty: boardDifficulty,
+        hints: hintsUsed,
+        moves: moveCount,
+        par: boardPar,
+        stars: solveStars,
+        time_ms: finishedMs === null ? undefined : Math.round(finishedMs)
       });
-      const step = 180;
+      const step = reducedMotion ? 0 : 180;
       const groupSize = 2;
       const delays = new Map();
       let maxDelay = 0;
@@ -3964,21 +4333,21 @@ export default function App() {
       }
       successTimeoutRef.current = window.setTimeout(() => {
         const messages = [
-          "Nicely done",
-          "Well done",
-          "Nice work",
-          "Good work",
-          "Level complete",
-          "Puzzle complete",
-          "Level solved",
-          "Puzzle solved",
-          "Task complete"
+          "success.nicelyDone",
+          "success.wellDone",
+          "success.niceWork",
+          "success.goodWork",
+          "success.levelComplete",
+          "success.puzzleComplete",
+          "success.levelSolved",
+          "success.puzzleSolved",
+          "success.taskComplete"
         ];
-        const nextMessage = isProgress
-          ? progressSuccessTitle
+        const nextMessage = isDaily
+          ? "success.dailyComplete"
           : messages[Math.floor(Math.random() * messages.length)];
         if (isProgress && Number.isInteger(progressLevelNumber)) {
-          markProgressLevelComplete(progressLevelNumber);
+          markProgressLevelComplete(progressLevelNumber, solveStars);
         }
         const isFinal = isFinalLevel;
         setShowFinalSuccess(isFinal);
@@ -3988,13 +4357,24 @@ export default function App() {
     }
     if (!solved && prevSolvedRef.current) {
       cancelFinalAnimations();
+      setSolveTime(null);
     }
     prevSolvedRef.current = solved;
-  }, [solved, tiles, isBoardScreen, isProgress, progressSuccessTitle, progressLevelNumber, isFinalLevel]);
+  }, [solved, tiles, isBoardScreen, isProgress, progressLevelNumber, isFinalLevel, solveStars]);
 
   useEffect(() => {
-    setBuilderTiles(makeBoard(builderSeed, "medium"));
-  }, [builderSeed]);
+    setBuilderLoading(true);
+    builderGenerator
+      .generate(builderSeed, "medium")
+      .then((nextTiles) => {
+        setBuilderTiles(nextTiles);
+        setBuilderLoading(false);
+      })
+      .catch((err) => {
+        if (isCancelledBoardRequest(err)) return;
+        setBuilderLoading(false);
+      });
+  }, [builderSeed, builderGenerator]);
 
   useEffect(() => {
     if (seedEditingRef.current) return;
@@ -4057,6 +4437,28 @@ export default function App() {
     setShowThemePicker(false);
     window.setTimeout(() => setThemePickerMounted(false), 260);
   };
+  const saveCustomTheme = (theme) => {
+    const position = customThemes.findIndex((item) => item.id === theme.id);
+    const nextThemes =
+      position === -1
+        ? [...customThemes, theme]
+        : customThemes.map((item) => (item.id === theme.id ? theme : item));
+    setCustomThemes(nextThemes);
+    setThemeMode("fixed");
+    setThemeIndex(BUILT_IN_THEMES.length + (position === -1 ? nextThemes.length - 1 : position));
+    clearRecentRandomThemes();
+  };
+  const deleteCustomTheme = (id) => {
+    const position = customThemes.findIndex((item) => item.id === id);
+    if (position === -1) return;
+    const index = BUILT_IN_THEMES.length + position;
+    setCustomThemes(customThemes.filter((item) => item.id !== id));
+    if (themeIndex === index) {
+      setThemeIndex(0);
+    } else if (themeIndex > index) {
+      setThemeIndex(themeIndex - 1);
+    }
+  };
   const toggleBgPlay = () => {
     if (!bgAudioRef.current) {
       bgUserPausedRef.current = false;
@@ -4102,68 +4504,57 @@ export default function App() {
   const privacyContact = (import.meta.env.VITE_PRIVACY_CONTACT || "").trim();
 
   return (
+    <I18nContext.Provider value={t}>
     <div
       className={`app${solvedDim ? " is-solved" : ""}${showSuccess ? " show-success" : ""}${
         performanceMode ? " is-perf" : ""
-      }${isHome ? " is-home" : ""}`}
+      }${reducedMotion ? " is-reduced-motion" : ""}${isHome ? " is-home" : ""}`}
     >
       {isDevBuild ? <div className="dev-badge">DEV</div> : null}
       {showPrivacyPolicy ? (
         <div className="modal-backdrop" onClick={closePrivacyPolicy} role="dialog" aria-modal="true">
           <div className="modal" onClick={(event) => event.stopPropagation()}>
-            <p className="modal-title">Privacy Policy</p>
-            <p className="modal-subtitle">Last updated: February 8, 2026</p>
+            <p className="modal-title">{t("privacy.title")}</p>
+            <p className="modal-subtitle">
+              {t("privacy.updated", {
+                date: new Date(2026, 1, 8).toLocaleDateString(t.locale, { dateStyle: "long" })
+              })}
+            </p>
 
             <div className="modal-section">
-              <p className="modal-subtitle modal-subtitle-spaced">What we collect</p>
+              <p className="modal-subtitle modal-subtitle-spaced">{t("privacy.collectTitle")}</p>
               <div className="modal-list">
-                <p className="modal-item">
-                  Anonymous gameplay events (mode started, board started/completed, level number for
-                  progress mode).
-                </p>
-                <p className="modal-item">
-                  Device and app context (viewport size, device pixel ratio, browser, OS, PWA
-                  install status).
-                </p>
+                <p className="modal-item">{t("privacy.collectEvents")}</p>
+                <p className="modal-item">{t("privacy.collectDevice")}</p>
               </div>
             </div>
 
             <div className="modal-section">
-              <p className="modal-subtitle modal-subtitle-spaced">How we use it</p>
+              <p className="modal-subtitle modal-subtitle-spaced">{t("privacy.useTitle")}</p>
               <div className="modal-list">
-                <p className="modal-item">
-                  Improve balance, performance, and device support.
-                </p>
-                <p className="modal-item">
-                  Understand mode usage and level completion rates.
-                </p>
+                <p className="modal-item">{t("privacy.useBalance")}</p>
+                <p className="modal-item">{t("privacy.useModes")}</p>
               </div>
             </div>
 
             <div className="modal-section">
-              <p className="modal-subtitle modal-subtitle-spaced">Your choices</p>
+              <p className="modal-subtitle modal-subtitle-spaced">{t("privacy.choicesTitle")}</p>
               <div className="modal-list">
-                <p className="modal-item">
-                  Analytics are off by default. Opt in or out anytime in Settings.
-                </p>
-                <p className="modal-item">
-                  Clearing site data in your browser removes stored analytics identifiers.
-                </p>
+                <p className="modal-item">{t("privacy.choicesOptIn")}</p>
+                <p className="modal-item">{t("privacy.choicesClear")}</p>
               </div>
             </div>
 
             <div className="modal-section">
-              <p className="modal-subtitle modal-subtitle-spaced">Processors</p>
+              <p className="modal-subtitle modal-subtitle-spaced">{t("privacy.processorsTitle")}</p>
               <div className="modal-list">
-                <p className="modal-item">
-                  We use PostHog to process anonymous analytics events after you opt in.
-                </p>
+                <p className="modal-item">{t("privacy.processorsPosthog")}</p>
               </div>
             </div>
 
             {privacyContact ? (
               <div className="modal-section">
-                <p className="modal-subtitle modal-subtitle-spaced">Contact</p>
+                <p className="modal-subtitle modal-subtitle-spaced">{t("privacy.contactTitle")}</p>
                 <div className="modal-list">
                   <p className="modal-item">{privacyContact}</p>
                 </div>
@@ -4172,7 +4563,7 @@ export default function App() {
 
             <div className="modal-actions">
               <button type="button" className="button" onClick={closePrivacyPolicy}>
-                Close
+                {t("common.close")}
               </button>
             </div>
           </div>
@@ -4181,11 +4572,8 @@ export default function App() {
       {showAnalyticsBanner ? (
         <div className="analytics-banner" role="dialog" aria-live="polite">
           <div className="analytics-banner-copy">
-            <p className="analytics-banner-title">Help improve ZENTō</p>
-            <p className="analytics-banner-note">
-              Allow anonymous analytics so we can see device sizes and level completion. No
-              personal data.
-            </p>
+            <p className="analytics-banner-title">{t("analytics.bannerTitle")}</p>
+            <p className="analytics-banner-note">{t("analytics.bannerNote")}</p>
           </div>
           <div className="analytics-banner-actions">
             <button
@@ -4193,14 +4581,14 @@ export default function App() {
               className="button"
               onClick={() => handleAnalyticsConsent(ANALYTICS_CONSENT.GRANTED)}
             >
-              Allow analytics
+              {t("analytics.allow")}
             </button>
             <button
               type="button"
               className="button button-ghost"
               onClick={() => handleAnalyticsConsent(ANALYTICS_CONSENT.DENIED)}
             >
-              No thanks
+              {t("analytics.deny")}
             </button>
           </div>
         </div>
@@ -4211,6 +4599,21 @@ export default function App() {
             <h1 className="home-title">
               <Logo className="logo--home" />
             </h1>
+            {continueBoard ? (
+              <button type="button" className="button home-continue" onClick={continueSavedBoard}>
+                <span>{t("home.continue")}</span>
+                <span className="home-continue-detail">
+                  {continueBoard.mode === "progress"
+                    ? t("home.continueLevel", { level: continueBoard.saved.level })
+                    : continueBoard.mode === "daily"
+                      ? t("home.continueDaily")
+                      : t("home.continueEndless", {
+                          difficulty: t(`difficulty.${continueBoard.saved.difficulty}`)
+                        })}
+                  {` · ${t("home.continueMoves", { count: continueBoard.saved.moveCount })}`}
+                </span>
+              </button>
+            ) : null}
             <div className="home-modes">
               <button
                 type="button"
@@ -4221,10 +4624,8 @@ export default function App() {
                   <i className="loader loader--3" aria-hidden="true" />
                 </div>
                 <div className="mode-content">
-                  <div className="mode-title">Endless</div>
-                  <p className="mode-copy">
-                    A continuous stream of randomly generated boards with no set end point.
-                  </p>
+                  <div className="mode-title">{t("mode.endless.title")}</div>
+                  <p className="mode-copy">{t("mode.endless.copy")}</p>
                 </div>
               </button>
               <button
@@ -4236,9 +4637,45 @@ export default function App() {
                   <i className="loader loader--8" aria-hidden="true" />
                 </div>
                 <div className="mode-content">
-                  <div className="mode-title">Progressive</div>
+                  <div className="mode-title">{t("mode.progress.title")}</div>
+                  <p className="mode-copy">{t("mode.progress.copy")}</p>
+                </div>
+              </button>
+              <button
+                type="button"
+                className="mode-card"
+                onClick={() => setScreen("daily")}
+              >
+                <div className="mode-graphic mode-graphic-daily" aria-hidden="true">
+                  <svg viewBox="0 0 64 48">
+                    <rect
+                      x="14"
+                      y="8"
+                      width="36"
+                      height="34"
+                      rx="6"
+                      fill="none"
+                      stroke="currentColor"
+                      strokeWidth="3"
+                    />
+                    <path d="M14 18h36M24 4v8M40 4v8" stroke="currentColor" strokeWidth="3" strokeLinecap="round" />
+                    {dailyDoneToday ? (
+                      <path
+                        d="M24 30l5 5 11-11"
+                        fill="none"
+                        stroke="currentColor"
+                        strokeWidth="3"
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                      />
+                    ) : null}
+                  </svg>
+                </div>
+                <div className="mode-content">
+                  <div className="mode-title">{t("mode.daily.title")}</div>
                   <p className="mode-copy">
-                    A guided journey through curated boards with increasing complexity and unlocks.
+                    {dailyDoneToday ? t("mode.daily.done") : t("mode.daily.copy")}
+                    {dailyStreak > 0 ? ` ${t("daily.streak", { count: dailyStreak })}.` : ""}
                   </p>
                 </div>
               </button>
@@ -4255,6 +4692,9 @@ export default function App() {
               onTogglePicker={toggleThemePicker}
               onSelectRandom={selectRandomTheme}
               onSelectTheme={selectFixedTheme}
+              customThemes={customThemes}
+              onSaveCustomTheme={saveCustomTheme}
+              onDeleteCustomTheme={deleteCustomTheme}
               bgVolume={bgVolume}
               fxVolume={fxVolume}
               onToggleBg={() =>
@@ -4275,6 +4715,17 @@ export default function App() {
               isLoading={isBgLoading}
               performanceMode={performanceMode}
               onTogglePerformance={() => setPerformanceMode((prev) => !prev)}
+              hintLimit={hintLimit}
+              onToggleHintLimit={() => setHintLimit((prev) => !prev)}
+              timerEnabled={timerEnabled}
+              onToggleTimer={() => setTimerEnabled((prev) => !prev)}
+              highContrast={highContrast}
+              onToggleHighContrast={() => setHighContrast((prev) => !prev)}
+              reducedMotion={reducedMotion}
+              reducedMotionFollowsSystem={!reducedMotionSetting}
+              onToggleReducedMotion={() => setReducedMotionSetting(reducedMotion ? "off" : "on")}
+              locale={locale}
+              onSelectLocale={setLocaleSetting}
               audioAttribution={audioAttribution}
               showInstallBanner={showInstallBanner}
               installMode={installMode}
@@ -4293,9 +4744,9 @@ export default function App() {
                 onClick={() => setScreen("progression")}
               >
                 <div className="mode-content">
-                  <div className="mode-title">Level Builder</div>
+                  <div className="mode-title">{t("mode.builder.title")}</div>
                   <p className="mode-copy">
-                    Build a 96-level journey with sliders and seeds.
+                    {t("mode.builder.copy", { count: TOTAL_LEVELS })}
                   </p>
                 </div>
               </button>
@@ -4415,10 +4866,13 @@ export default function App() {
                   </button>
                 </div>
                 <div
-                  className="board"
+                  className={`board ${builderLoading ? "is-loading" : ""}${
+                    builderSettings.wrap && !builderSettings.hex ? " is-wrapping" : ""
+                  }${builderSettings.hex ? " is-hex" : ""}`}
+                  aria-busy={builderLoading}
                   style={{
-                    "--cols": COLS,
-                    "--rows": ROWS
+                    "--cols": builderBoardSize.cols,
+                    "--rows": builderBoardSize.rows
                   }}
                 >
                   {builderTiles.map((tile, index) => (
@@ -4429,7 +4883,7 @@ export default function App() {
                         completeDirs: builderCompleteDirs.get(tile.id),
                         waveActive: false
                       }}
-                      onRotate={() => rotateBuilderTile(index)}
+                      onRotate={(turns) => rotateBuilderTile(index, turns)}
                     />
                   ))}
                 </div>
@@ -4486,6 +4940,26 @@ export default function App() {
                 </div>
                 <p className="builder-note">
                   Seed encodes slider settings plus the variant.
+                  {builderLoading
+                    ? " Generating board…"
+                    : builderSolutionCount === 0
+                      ? " Unsolvable board."
+                      : builderSolutionCount === 1
+                        ? " Solver found 1 solution."
+                        : " Solver found multiple solutions."}
+                  {builderPinnedCount > 0
+                    ? ` ${builderPinnedCount} pinned ${builderPinnedCount === 1 ? "tile" : "tiles"}.`
+                    : ""}
+                </p>
+                <p className="builder-note">
+                  Difficulty {builderDifficulty.score}: {builderDifficulty.forced} forced,{" "}
+                  {builderDifficulty.rounds} rounds
+                  {builderDifficulty.branching
+                    ? `, needs ${builderDifficulty.guesses} ${
+                        builderDifficulty.guesses === 1 ? "guess" : "guesses"
+                      }`
+                    : ""}
+                  .
                 </p>
               </div>
 
@@ -4529,7 +5003,131 @@ export default function App() {
                 </p>
               </div>
 
+              <div className="builder-section builder-unique">
+                <div className="perf-row">
+                  <div className="perf-copy">
+                    <span className="label">Unique Solution</span>
+                    <p className="builder-note">
+                      Pins tiles until the solver proves only one solution exists.
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    className={`button button-ghost perf-toggle${
+                      builderSettings.unique ? " is-active" : ""
+                    }`}
+                    onClick={() => updateBuilderSetting("unique", builderSettings.unique ? 0 : 1)}
+                    aria-pressed={Boolean(builderSettings.unique)}
+                  >
+                    {builderSettings.unique ? "On" : "Off"}
+                  </button>
+                </div>
+              </div>
+
+              <div className="builder-section builder-unique">
+                <div className="perf-row">
+                  <div className="perf-copy">
+                    <span className="label">Wrap Edges</span>
+                    <p className="builder-note">
+                      Pipes may leave one side of the board and come back on the other.
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    className={`button button-ghost perf-toggle${
+                      builderSettings.wrap ? " is-active" : ""
+                    }`}
+                    onClick={() => updateBuilderSetting("wrap", builderSettings.wrap ? 0 : 1)}
+                    aria-pressed={Boolean(builderSettings.wrap)}
+                  >
+                    {builderSettings.wrap ? "On" : "Off"}
+                  </button>
+                </div>
+              </div>
+
+              <div className="builder-section builder-unique">
+                <div className="perf-row">
+                  <div className="perf-copy">
+                    <span className="label">Hex Tiles</span>
+                    <p className="builder-note">
+                      Six-sided tiles. Gaps, straight runs, curves and wrapping only apply to
+                      square boards.
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    className={`button button-ghost perf-toggle${
+                      builderSettings.hex ? " is-active" : ""
+                    }`}
+                    onClick={() => updateBuilderSetting("hex", builderSettings.hex ? 0 : 1)}
+                    aria-pressed={Boolean(builderSettings.hex)}
+                  >
+                    {builderSettings.hex ? "On" : "Off"}
+                  </button>
+                </div>
+              </div>
+
               <div className="builder-section builder-sliders">
+                <div className="builder-slider">
+                  <div className="builder-slider-header">
+                    <span className="label">Rows</span>
+                    <span className="builder-slider-value">
+                      <input
+                        type="number"
+                        className="builder-number"
+                        min={PROGRESSION_SETTINGS_RANGES.rows.min}
+                        max={PROGRESSION_SETTINGS_RANGES.rows.max}
+                        step="1"
+                        value={builderSettings.rows}
+                        onChange={(event) =>
+                          updateBuilderSetting("rows", Number(event.target.value))
+                        }
+                      />
+                    </span>
+                  </div>
+                  <input
+                    type="range"
+                    min={PROGRESSION_SETTINGS_RANGES.rows.min}
+                    max={PROGRESSION_SETTINGS_RANGES.rows.max}
+                    value={builderSettings.rows}
+                    onChange={(event) =>
+                      updateBuilderSetting("rows", Number(event.target.value))
+                    }
+                  />
+                </div>
+
+                <div className="builder-slider">
+                  <div className="builder-slider-header">
+                    <span className="label">Columns</span>
+                    <span className="builder-slider-value">
+                      <input
+                        type="number"
+                        className="builder-number"
+                        min={PROGRESSION_SETTINGS_RANGES.cols.min}
+                        max={PROGRESSION_SETTINGS_RANGES.cols.max}
+                        step="1"
+                        value={builderSettings.cols}
+                        onChange={(event) =>
+                          updateBuilderSetting("cols", Number(event.target.value))
+                        }
+                      />
+                    </span>
+                  </div>
+                  <input
+                    type="range"
+                    min={PROGRESSION_SETTINGS_RANGES.cols.min}
+                    max={PROGRESSION_SETTINGS_RANGES.cols.max}
+                    value={builderSettings.cols}
+                    onChange={(event) =>
+                      updateBuilderSetting("cols", Number(event.target.value))
+                    }
+                  />
+                  <p className="builder-slider-note">
+                    {builderConfig.rows}×{builderConfig.cols} board. Sizes other than {ROWS}×{COLS} are
+                    written into the seed.
+                  </p>
+                </div>
+
                 <div className="builder-slider">
                   <div className="builder-slider-header">
                     <span className="label">Gap Frequency</span>
@@ -4901,6 +5499,39 @@ export default function App() {
                 </p>
               </div>
 
+              <div className="builder-section builder-curve">
+                <div className="builder-levels-header">
+                  <span className="label">Difficulty Curve</span>
+                  <span className="builder-count">
+                    {scoredLevelCount}/{assignedCount}
+                  </span>
+                </div>
+                <DifficultyChart
+                  points={difficultyCurve}
+                  activeLevel={builderLevelDisplay}
+                  onSelectLevel={(level) => {
+                    const seed = progressionLevels[level - 1];
+                    if (seed) handleLoadLevelSeed(seed, level);
+                  }}
+                />
+                <p className="builder-note">
+                  {curveFlags.spikes.length
+                    ? `Spikes: ${curveFlags.spikes.join(", ")}. `
+                    : ""}
+                  {curveFlags.dips.length ? `Dips: ${curveFlags.dips.join(", ")}. ` : ""}
+                  {curveFlags.rampBreaks.length
+                    ? `Below the ramp: ${curveFlags.rampBreaks.join(", ")}.`
+                    : ""}
+                  {!curveFlags.spikes.length &&
+                  !curveFlags.dips.length &&
+                  !curveFlags.rampBreaks.length
+                    ? "Scores ramp smoothly. Click a point to load that level."
+                    : ""}
+                </p>
+              </div>
+
+              {/* The Level Map is this builder list of the 96 progression seeds; each row
+                  shows its seed's difficulty score. The player's level picker stays score-free. */}
               <div className="builder-section builder-levels">
                 {hasDuplicateSeeds ? (
                   <p className="builder-error">
@@ -4925,6 +5556,13 @@ export default function App() {
                       }`}
                     >
                       <span className="builder-level-number">Level {level}</span>
+                      <span className="builder-level-score" title="Difficulty score">
+                        {seed && levelDifficulty.has(seed)
+                          ? levelDifficulty.get(seed) ?? "—"
+                          : seed
+                            ? "…"
+                            : "—"}
+                      </span>
                       <input
                         type="text"
                         className="builder-level-seed builder-seed-input"
@@ -5004,8 +5642,8 @@ export default function App() {
                   className="logo--header"
                   interactive
                   onClick={solveAllButOne}
-                  ariaLabel="Solve all but one tile"
-                  title="Solve all but one tile"
+                  ariaLabel={t("board.solveAllButOne")}
+                  title={t("board.solveAllButOne")}
                 />
               </h1>
               <span className="header-title-spacer" aria-hidden="true" />
@@ -5016,8 +5654,8 @@ export default function App() {
                   type="button"
                   className="button button-ghost home-icon"
                   onClick={() => setScreen("home")}
-                  aria-label="Back to home"
-                  title="Back to home"
+                  aria-label={t("board.home")}
+                  title={t("board.home")}
                 >
                   <svg viewBox="0 0 24 24" aria-hidden="true">
                     <path
@@ -5045,11 +5683,32 @@ export default function App() {
                     type="button"
                     className={`level-toggle${showLevelPicker ? " is-active" : ""}`}
                     onClick={toggleLevelPicker}
-                    aria-label={showLevelPicker ? "Hide level picker" : "Show level picker"}
-                    title={showLevelPicker ? "Hide levels" : "Show levels"}
+                    aria-label={t(showLevelPicker ? "board.hideLevelPicker" : "board.showLevelPicker")}
+                    aria-keyshortcuts="L"
+                    title={t(showLevelPicker ? "board.hideLevels" : "board.showLevels")}
                     aria-pressed={showLevelPicker}
                   >
-                    <span className="level-toggle-label">Level {progressLevelNumber}</span>
+                    <span className="level-toggle-label">
+                      {t("board.level", { level: progressLevelNumber })}
+                    </span>
+                    <span className="level-toggle-icon" aria-hidden="true">
+                      <span className="level-toggle-mid" aria-hidden="true" />
+                    </span>
+                  </button>
+                </div>
+              ) : null}
+              {isDaily ? (
+                <div className="header-level-inline">
+                  <button
+                    type="button"
+                    className={`level-toggle${showDailyCalendar ? " is-active" : ""}`}
+                    onClick={() => setShowDailyCalendar((prev) => !prev)}
+                    aria-label={t(showDailyCalendar ? "board.hideCalendar" : "board.showCalendar")}
+                    aria-keyshortcuts="L"
+                    title={t(showDailyCalendar ? "board.hideCalendarTitle" : "board.showCalendarTitle")}
+                    aria-pressed={showDailyCalendar}
+                  >
+                    <span className="level-toggle-label">{t("board.daily", { day: dailyKey })}</span>
                     <span className="level-toggle-icon" aria-hidden="true">
                       <span className="level-toggle-mid" aria-hidden="true" />
                     </span>
@@ -5057,20 +5716,116 @@ export default function App() {
                 </div>
               ) : null}
               <div className="header-actions header-actions-right">
+                <span
+                  className="move-counter"
+                  title={t("board.par", { par: boardPar })}
+                  aria-label={t("board.moves", { count: moveCount, par: boardPar })}
+                >
+                  <span className="move-counter-value">{t.number(moveCount)}</span>
+                  <span className="move-counter-par">/ {t.number(boardPar)}</span>
+                </span>
+                {timerEnabled ? (
+                  <span
+                    className={`solve-timer${timerRunning ? "" : " is-paused"}`}
+                    role="timer"
+                    aria-label={t("board.time", { time: t.duration(timerMs) })}
+                  >
+                    {t.duration(timerMs)}
+                  </span>
+                ) : null}
+                <button
+                  type="button"
+                  className="button hint-button"
+                  onClick={showHint}
+                  aria-label={
+                    hintsLeft === null
+                      ? t("board.hint")
+                      : t("board.hintLeft", { count: hintsLeft })
+                  }
+                  title={
+                    hintsLeft === null
+                      ? t("board.hintTitle")
+                      : t("board.hintTitleLeft", { count: hintsLeft })
+                  }
+                  disabled={!canHint}
+                >
+                  <svg viewBox="0 0 24 24" aria-hidden="true">
+                    <path
+                      d="M9 17.5h6M10 21h4M12 3a6 6 0 0 0-3.6 10.8c.7.5 1.1 1.3 1.1 2.2h5c0-.9.4-1.7 1.1-2.2A6 6 0 0 0 12 3Z"
+                      fill="none"
+                      stroke="currentColor"
+                      strokeWidth="2.2"
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                    />
+                  </svg>
+                  {hintsLeft !== null ? (
+                    <span className="hint-count" aria-hidden="true">
+                      {hintsLeft}
+                    </span>
+                  ) : null}
+                </button>
+                <button
+                  type="button"
+                  className="button"
+                  onClick={undoRotation}
+                  aria-label={t("board.undo")}
+                  title={t("board.undoTitle")}
+                  disabled={!canUndo}
+                >
+                  <svg viewBox="0 0 24 24" aria-hidden="true">
+                    <path
+                      d="M9 14 4 9l5-5"
+                      fill="none"
+                      stroke="currentColor"
+                      strokeWidth="2.6"
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                    />
+                    <path
+                      d="M4 9h10.5a5.5 5.5 0 0 1 0 11H11"
+                      fill="none"
+                      stroke="currentColor"
+                      strokeWidth="2.6"
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                    />
+                  </svg>
+                </button>
+                <button
+                  type="button"
+                  className="button"
+                  onClick={redoRotation}
+                  aria-label={t("board.redo")}
+                  title={t("board.redoTitle")}
+                  disabled={!canRedo}
+                >
+                  <svg viewBox="0 0 24 24" aria-hidden="true">
+                    <path
+                      d="m15 14 5-5-5-5"
+                      fill="none"
+                      stroke="currentColor"
+                      strokeWidth="2.6"
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                    />
+                    <path
+                      d="M20 9H9.5a5.5 5.5 0 0 0 0 11H13"
+                      fill="none"
+                      stroke="currentColor"
+                      strokeWidth="2.6"
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                    />
+                  </svg>
+                </button>
                 <button
                   type="button"
                   className={`button${resetSpinning ? " reset-spin" : ""}`}
-                  onClick={() => {
-                    if (resetDisabled || (isProgress && !progressLevelsAvailable)) return;
-                    setResetSpinning(true);
-                    window.setTimeout(() => setResetSpinning(false), 420);
-                    const nextSeed = isProgress ? progressSeed : seedText;
-                    if (!nextSeed) return;
-                    setSeedText(nextSeed);
-                    regenerate(nextSeed, difficultyLevels[difficultyIndex], { shuffleTheme: false });
-                  }}
-                  aria-label="Reset level"
-                  title="Reset"
+                  onClick={resetBoard}
+                  aria-label={t("board.reset")}
+                  aria-keyshortcuts="R"
+                  title={t("board.resetTitle")}
                   disabled={resetDisabled || (isProgress && !progressLevelsAvailable)}
                 >
                   <svg viewBox="0 0 24 24" aria-hidden="true">
@@ -5092,37 +5847,99 @@ export default function App() {
                     />
                   </svg>
                 </button>
+                <button
+                  type="button"
+                  className="button"
+                  onClick={shareBoardLink}
+                  aria-label={t(boardLinkCopied ? "board.shareCopied" : "board.share")}
+                  title={t(boardLinkCopied ? "board.shareTitleCopied" : "board.shareTitle")}
+                  disabled={boardLoading || !boardLink.seed}
+                >
+                  {boardLinkCopied ? (
+                    <svg viewBox="0 0 24 24" aria-hidden="true">
+                      <path
+                        d="M6 12l4 4 8-8"
+                        fill="none"
+                        stroke="currentColor"
+                        strokeWidth="2.6"
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                      />
+                    </svg>
+                  ) : (
+                    <svg viewBox="0 0 24 24" aria-hidden="true">
+                      <path
+                        d="M12 15V4M7.5 8.5 12 4l4.5 4.5"
+                        fill="none"
+                        stroke="currentColor"
+                        strokeWidth="2.4"
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                      />
+                      <path
+                        d="M6 12.5V19h12v-6.5"
+                        fill="none"
+                        stroke="currentColor"
+                        strokeWidth="2.4"
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                      />
+                    </svg>
+                  )}
+                </button>
                 {isEndless ? (
                   <>
+                    <button
+                      type="button"
+                      className="button button-ghost"
+                      onClick={newEndlessLevel}
+                      aria-keyshortcuts="N"
+                      title={t("board.newLevelTitle")}
+                    >
+                      {t("common.newLevel")}
+                    </button>
+                    <button
+                      type="button"
+                      className="button button-ghost"
+                      onClick={cycleDifficulty}
+                      aria-label={t("board.difficulty")}
+                      aria-keyshortcuts="D"
+                      title={t("board.difficultyTitle")}
+                    >
+                      {t(`difficulty.${difficultyLevels[difficultyIndex]}`)}
+                    </button>
                     <button
                       type="button"
                       className="button button-ghost"
                       onClick={() => {
-                        const nextSeed = Math.random().toString(36).slice(2, 8);
-                        setSeedText(nextSeed);
-                        regenerate(nextSeed, difficultyLevels[difficultyIndex], { shuffleTheme: true });
+                        const nextWrap = !endlessWrap;
+                        setEndlessWrap(nextWrap);
+                        regenerate(seedText, difficultyLevels[difficultyIndex], {
+                          shuffleTheme: false,
+                          wrap: nextWrap
+                        });
                       }}
+                      aria-pressed={endlessWrap}
+                      title={t(endlessShape === "hex" ? "board.wrapHex" : "board.wrapTitle")}
+                      disabled={endlessShape === "hex"}
                     >
-                      New level
+                      {t(endlessWrap ? "board.wrapOn" : "board.wrapOff")}
                     </button>
                     <button
                       type="button"
                       className="button button-ghost"
                       onClick={() => {
-                        const nextIndex = (difficultyIndex + 1) % difficultyLevels.length;
-                        emitEvent("difficulty_changed", {
-                          mode: "endless",
-                          from: difficultyLevels[difficultyIndex],
-                          to: difficultyLevels[nextIndex]
+                        const nextShape = endlessShape === "hex" ? "square" : "hex";
+                        setEndlessShape(nextShape);
+                        regenerate(seedText, difficultyLevels[difficultyIndex], {
+                          shuffleTheme: false,
+                          shape: nextShape
                         });
-                        setDifficultyIndex(nextIndex);
-                        regenerate(seedText, difficultyLevels[nextIndex], { shuffleTheme: true });
                       }}
-                      aria-label="Difficulty"
-                      title="Difficulty"
+                      aria-label={t("board.shape")}
+                      title={t("board.shape")}
                     >
-                      {difficultyLevels[difficultyIndex].charAt(0).toUpperCase() +
-                        difficultyLevels[difficultyIndex].slice(1)}
+                      {t(endlessShape === "hex" ? "board.shapeHex" : "board.shapeSquare")}
                     </button>
                   </>
                 ) : null}
@@ -5131,7 +5948,10 @@ export default function App() {
           </header>
 
           <main className="board-wrap">
-            {showSuccess && isBoardScreen && !showLevelPicker ? (
+            <p className="sr-only" role="status" aria-live="polite">
+              {boardAnnouncement}
+            </p>
+            {showSuccess && isBoardScreen && !showLevelPicker && !showDailyCalendar ? (
               <div className="success-overlay">
                 <div className="success-confetti">
                   {Array.from({ length: confettiCount }).map((_, idx) => {
@@ -5171,6 +5991,33 @@ export default function App() {
                       </div>
                     </div>
                     <p className="success-title">{successTitle}</p>
+                    {solveStars ? (
+                      <div className="success-score">
+                        <StarRating stars={solveStars} className="success-stars" />
+                        <span className="success-moves">
+                          {t("success.moves", { count: moveCount, par: boardPar })}
+                        </span>
+                        {hintsUsed ? (
+                          <span className="success-moves">
+                            {t("success.hints", { count: hintsUsed })}
+                          </span>
+                        ) : null}
+                        {solveTime ? (
+                          <span className="success-time">
+                            {t.duration(solveTime.ms)}
+                            {solveTime.isBest ? (
+                              <span className="success-best">{t("success.newBest")}</span>
+                            ) : (
+                              <span className="success-best-previous">
+                                {t("success.best", {
+                                  time: t.duration(bestTimes[bestTimeKey] ?? solveTime.ms)
+                                })}
+                              </span>
+                            )}
+                          </span>
+                        ) : null}
+                      </div>
+                    ) : null}
                     <div className="success-actions">
                       {isProgress ? (
                         showFinalSuccess ? (
@@ -5185,7 +6032,7 @@ export default function App() {
                                 setScreen("home");
                               }}
                             >
-                              Go home
+                              {t("common.goHome")}
                             </button>
                             <button
                               type="button"
@@ -5197,7 +6044,7 @@ export default function App() {
                                 setScreen("endless");
                               }}
                             >
-                              Endless mode
+                              {t("success.endlessMode")}
                             </button>
                           </>
                         ) : (
@@ -5212,7 +6059,7 @@ export default function App() {
                                 regenerate(progressSeed, difficultyLevels[difficultyIndex], { shuffleTheme: false });
                               }}
                             >
-                              Reset
+                              {t("common.reset")}
                             </button>
                             <button
                               type="button"
@@ -5225,10 +6072,31 @@ export default function App() {
                                 handleSelectProgressLevel(nextProgressLevel.level);
                               }}
                             >
-                              Next level
+                              {t("success.nextLevel")}
                             </button>
                           </>
                         )
+                      ) : isDaily ? (
+                        <>
+                          <button
+                            type="button"
+                            className="button success-action"
+                            onClick={shareDailyResult}
+                            disabled={!dailyHistory[dailyKey]}
+                          >
+                            {dailyShareNotice || t("common.share")}
+                          </button>
+                          <button
+                            type="button"
+                            className="button button-ghost success-action"
+                            onClick={() => {
+                              cancelFinalAnimations();
+                              setScreen("home");
+                            }}
+                          >
+                            {t("common.goHome")}
+                          </button>
+                        </>
                       ) : (
                         <>
                           <button
@@ -5239,7 +6107,7 @@ export default function App() {
                               regenerate(seedText, difficultyLevels[difficultyIndex], { shuffleTheme: false });
                             }}
                           >
-                            Reset
+                            {t("common.reset")}
                           </button>
                           <button
                             type="button"
@@ -5251,7 +6119,7 @@ export default function App() {
                               regenerate(nextSeed, difficultyLevels[difficultyIndex], { shuffleTheme: true });
                             }}
                           >
-                            New level
+                            {t("common.newLevel")}
                           </button>
                         </>
                       )}
@@ -5260,7 +6128,7 @@ export default function App() {
                   {isProgress && unlockableThemeForLevel ? (
                     <div className="success-unlock-card">
                       <div className="success-unlock-copy">
-                        <span className="success-unlock-label">New theme unlocked</span>
+                        <span className="success-unlock-label">{t("success.themeUnlocked")}</span>
                         <span className="success-unlock-name">
                           {unlockableThemeForLevel.theme.name}
                         </span>
@@ -5270,31 +6138,31 @@ export default function App() {
                         className="button button-ghost success-unlock-cta"
                         onClick={() => handleApplyUnlockedTheme(unlockableThemeForLevel.index)}
                       >
-                        {successThemeApplied ? "Undo" : "Apply theme"}
+                        {t(successThemeApplied ? "common.undo" : "success.applyTheme")}
                       </button>
                     </div>
                   ) : null}
                 </div>
               </div>
             ) : null}
-            {isProgress && showLevelPicker ? (
+            {isDaily && showDailyCalendar ? (
+              <DailyCalendar history={dailyHistory} todayKey={todayKey} streak={dailyStreak} />
+            ) : isProgress && showLevelPicker ? (
               <div className="level-picker">
                 {progressLevelsAvailable ? (
                   <>
                     {isProgressionComplete ? (
                       <div className="level-picker-banner">
                         <div className="level-picker-banner-copy">
-                          <p className="level-picker-banner-title">Congratulations</p>
-                          <p className="level-picker-banner-text">
-                            Would you like to reset your progression?
-                          </p>
+                          <p className="level-picker-banner-title">{t("levels.congratulations")}</p>
+                          <p className="level-picker-banner-text">{t("levels.resetPrompt")}</p>
                         </div>
                         <button
                           type="button"
                           className="button"
                           onClick={handleResetProgression}
                         >
-                          Reset
+                          {t("common.reset")}
                         </button>
                       </div>
                     ) : null}
@@ -5321,8 +6189,16 @@ export default function App() {
                             data-state={state}
                             disabled={!isAvailable}
                             onClick={() => handleSelectProgressLevel(level)}
-                            aria-label={`Level ${level} ${state}`}
-                            title={`Level ${level}`}
+                            aria-label={
+                              isComplete && progressStars[level]
+                                ? t("levels.cardStars", {
+                                    level,
+                                    state: t(`levels.state.${state}`),
+                                    stars: progressStars[level]
+                                  })
+                                : t("levels.card", { level, state: t(`levels.state.${state}`) })
+                            }
+                            title={t("board.level", { level })}
                           >
                             {hasThemeUnlock ? (
                               themeUnlocked ? (
@@ -5376,23 +6252,39 @@ export default function App() {
                               </span>
                             ) : null}
                             <span className="level-number">{level}</span>
+                            {isComplete && progressStars[level] ? (
+                              <StarRating stars={progressStars[level]} className="level-stars" />
+                            ) : null}
                           </button>
                         );
                       })}
                     </div>
                   </>
                 ) : (
-                  <p className="builder-empty">No progress levels assigned yet.</p>
+                  <p className="builder-empty">{t("board.noLevels")}</p>
                 )}
               </div>
             ) : isProgress && !progressLevelsAvailable ? (
-              <p className="builder-empty">No progress levels assigned yet.</p>
+              <p className="builder-empty">{t("board.noLevels")}</p>
+            ) : boardError ? (
+              <div className="board-error" role="alert">
+                <p>{t("board.error")}</p>
+                <button type="button" className="button" onClick={retryBoard}>
+                  {t("board.retry")}
+                </button>
+              </div>
             ) : (
               <div
-                className="board"
+                className={`board ${boardLoading ? "is-loading" : ""}${
+                  boardWraps ? " is-wrapping" : ""
+                }${boardShape === "hex" ? " is-hex" : ""}`}
+                ref={boardRef}
+                onKeyDown={handleBoardKeyDown}
+                aria-busy={boardLoading}
+                aria-description={boardWraps ? t("board.wrapTitle") : undefined}
                 style={{
-                  "--cols": COLS,
-                  "--rows": ROWS
+                  "--cols": boardSize.cols,
+                  "--rows": boardSize.rows
                 }}
               >
                 {tiles.map((tile, index) => (
@@ -5403,9 +6295,14 @@ export default function App() {
                       completeDirs: completeDirs.get(tile.id),
                       pulseDelay: pulseDelays.get(tile.id),
                       waveDelay: waveDelays.get(tile.id),
-                      waveActive
+                      waveActive,
+                      hinted: tile.id === hintedTileId
                     }}
-                    onRotate={() => rotateTile(index)}
+                    index={index}
+                    tabIndex={index === rovingTileIndex ? 0 : -1}
+                    onFocus={() => setBoardFocusIndex(index)}
+                    onRotate={(turns) => rotateTile(index, turns)}
+                    onToggleLock={() => toggleTileLock(index)}
                   />
                 ))}
               </div>
@@ -5422,6 +6319,9 @@ export default function App() {
             onTogglePicker={toggleThemePicker}
             onSelectRandom={selectRandomTheme}
             onSelectTheme={selectFixedTheme}
+            customThemes={customThemes}
+            onSaveCustomTheme={saveCustomTheme}
+            onDeleteCustomTheme={deleteCustomTheme}
             bgVolume={bgVolume}
             fxVolume={fxVolume}
             onToggleBg={() =>
@@ -5442,6 +6342,17 @@ export default function App() {
             isLoading={isBgLoading}
             performanceMode={performanceMode}
             onTogglePerformance={() => setPerformanceMode((prev) => !prev)}
+            hintLimit={hintLimit}
+            onToggleHintLimit={() => setHintLimit((prev) => !prev)}
+            timerEnabled={timerEnabled}
+            onToggleTimer={() => setTimerEnabled((prev) => !prev)}
+            highContrast={highContrast}
+            onToggleHighContrast={() => setHighContrast((prev) => !prev)}
+            reducedMotion={reducedMotion}
+            reducedMotionFollowsSystem={!reducedMotionSetting}
+            onToggleReducedMotion={() => setReducedMotionSetting(reducedMotion ? "off" : "on")}
+            locale={locale}
+            onSelectLocale={setLocaleSetting}
             audioAttribution={audioAttribution}
             showInstallBanner={showInstallBanner}
             installMode={installMode}
@@ -5454,15 +6365,15 @@ export default function App() {
       {needRefresh ? (
         <div className="pwa-toast" role="status" aria-live="polite">
           <div className="pwa-toast-copy">
-            <p className="pwa-toast-title">Update ready</p>
-            <p className="pwa-toast-note">A new version is available.</p>
+            <p className="pwa-toast-title">{t("update.title")}</p>
+            <p className="pwa-toast-note">{t("update.note")}</p>
           </div>
           <div className="pwa-toast-actions">
             <button type="button" className="button" onClick={handleUpdateNow}>
-              Refresh
+              {t("update.refresh")}
             </button>
             <button type="button" className="button button-ghost" onClick={handleUpdateLater}>
-              Later
+              {t("update.later")}
             </button>
           </div>
         </div>
@@ -5470,5 +6381,6 @@ export default function App() {
 
       {/* Sound testing UI hidden */}
     </div>
+    </I18nContext.Provider>
   );
 }
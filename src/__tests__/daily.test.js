@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import {
+  getDailyKey,
+  getDailySeed,
+  shiftDailyKey,
+  getDailyStreak,
+  parseProgressionSeed,
+  makeBoard
+} from "../engine/index.js";
+
+describe("daily puzzles", () => {
+  it("keys days by local date", () => {
+    expect(getDailyKey(new Date(2026, 0, 5, 23, 59))).toBe("2026-01-05");
+    expect(getDailyKey(new Date(2026, 11, 31, 0, 1))).toBe("2026-12-31");
+  });
+
+  it("derives one shared board per day", () => {
+    const seed = getDailySeed("2026-10-19");
+    expect(getDailySeed("2026-10-19")).toBe(seed);
+    expect(getDailySeed("2026-10-20")).not.toBe(seed);
+    expect(parseProgressionSeed(seed)).toBeNull();
+    expect(makeBoard(seed, "medium")).toEqual(makeBoard(getDailySeed("2026-10-19"), "medium"));
+  });
+
+  it("steps day keys across months and years", () => {
+    expect(shiftDailyKey("2026-03-01", -1)).toBe("2026-02-28");
+    expect(shiftDailyKey("2024-12-31", 1)).toBe("2025-01-01");
+    expect(shiftDailyKey("not a day", 1)).toBeNull();
+  });
+
+  it("counts streaks up to today or yesterday", () => {
+    const done = ["2026-10-16", "2026-10-17", "2026-10-18"];
+    expect(getDailyStreak(done, "2026-10-18")).toBe(3);
+    expect(getDailyStreak(done, "2026-10-19")).toBe(3);
+    expect(getDailyStreak([...done, "2026-10-19"], "2026-10-19")).toBe(4);
+    expect(getDailyStreak(done, "2026-10-20")).toBe(0);
+    expect(getDailyStreak([], "2026-10-20")).toBe(0);
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it, expect } from "vitest";
+import { analyzeDifficultyCurve } from "../engine/index.js";
+
+describe("difficulty curve", () => {
+  it("flags spikes and dips against neighbouring levels", () => {
+    const points = analyzeDifficultyCurve([10, 12, 40, 16, 18, 2, 22]);
+    expect(points[2]).toMatchObject({ level: 3, spike: true, dip: false });
+    expect(points[5]).toMatchObject({ level: 6, dip: true, spike: false });
+    expect(points[1]).toMatchObject({ spike: false, dip: false });
+  });
+
+  it("marks levels that fall below the ramp so far", () => {
+    const points = analyzeDifficultyCurve([10, 30, 25, 18, 35], { rampTolerance: 8 });
+    expect(points.map((point) => point.breaksRamp)).toEqual([false, false, false, true, false]);
+  });
+
+  it("skips levels without a score", () => {
+    const points = analyzeDifficultyCurve([10, null, 50, undefined, 12]);
+    expect(points[1]).toMatchObject({ score: null, spike: false });
+    expect(points[2]).toMatchObject({ spike: true });
+    expect(points[4]).toMatchObject({ breaksRamp: true });
+  });
+});
@@ -0,0 +1,404 @@
+import { describe, it, expect } from "vitest";
+import {
+  ROWS,
+  COLS,
+  makeBoard,
+  generateSolvedEdges,
+  getBoardConstraints,
+  getConstraintViolations,
+  getSolvedEdgeMap,
+  getBoardDimensions,
+  measureBoard,
+  countTerminals,
+  maxStraightRun,
+  isEdgeGraphConnected,
+  hasCloseTerminals,
+  maxTerminalCluster,
+  computeConnections,
+  computeCompleteDirs,
+  isBoardSolvable,
+  hashStringToInt,
+  mulberry32,
+  oppositeDir,
+  stepCell,
+  getNeighborIndices,
+  generateHexEdges,
+  getEdges,
+  getTileSides,
+  rotateEdges,
+  pickTypeForEdges,
+  getTurnsToTarget,
+  computePar,
+  rateSolve,
+  PROGRESS_HINT_LIMIT,
+  getHintsLeft,
+  recordHint
+} from "../engine/index.js";
+
+const buildEdgeMap = (rows, cols, links) => {
+  const edgesByCell = new Map();
+  for (let r = 0; r < rows; r += 1) {
+    for (let c = 0; c < cols; c += 1) {
+      edgesByCell.set(`${r}-${c}`, [false, false, false, false]);
+    }
+  }
+  links.forEach(([r, c, dir]) => {
+    const nr = r + (dir === 2 ? 1 : dir === 0 ? -1 : 0);
+    const nc = c + (dir === 1 ? 1 : dir === 3 ? -1 : 0);
+    edgesByCell.get(`${r}-${c}`)[dir] = true;
+    edgesByCell.get(`${nr}-${nc}`)[oppositeDir(dir)] = true;
+  });
+  return edgesByCell;
+};
+
+const neighbourKey = (r, c, dir) =>
+  `${r + (dir === 2 ? 1 : dir === 0 ? -1 : 0)}-${c + (dir === 1 ? 1 : dir === 3 ? -1 : 0)}`;
+
+describe("random", () => {
+  it("hashes seeds deterministically", () => {
+    expect(hashStringToInt("zen")).toBe(hashStringToInt("zen"));
+    expect(hashStringToInt("zen")).not.toBe(hashStringToInt("zen2"));
+  });
+
+  it("replays the same sequence for the same seed", () => {
+    const a = mulberry32(42);
+    const b = mulberry32(42);
+    for (let i = 0; i < 20; i += 1) {
+      const value = a();
+      expect(value).toBe(b());
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
+
+describe("solved edge generation", () => {
+  it("covers the grid with one connected, consistent network", () => {
+    [1, 7, 99, 2024].forEach((seed) => {
+      const edgesByCell = generateSolvedEdges(ROWS, COLS, mulberry32(seed));
+      let crosses = 0;
+      for (let r = 0; r < ROWS; r += 1) {
+        for (let c = 0; c < COLS; c += 1) {
+          const edges = edgesByCell.get(`${r}-${c}`);
+          expect(edges.some(Boolean)).toBe(true);
+          if (edges.every(Boolean)) crosses += 1;
+          edges.forEach((hasEdge, dir) => {
+            if (!hasEdge) return;
+            const neighbour = edgesByCell.get(neighbourKey(r, c, dir));
+            expect(neighbour).toBeDefined();
+            expect(neighbour[oppositeDir(dir)]).toBe(true);
+          });
+        }
+      }
+      expect(crosses).toBeLessThanOrEqual(1);
+      expect(isEdgeGraphConnected(edgesByCell, ROWS, COLS)).toBe(true);
+    });
+  });
+});
+
+describe("wrap-around grids", () => {
+  it("steps across the seam only when wrapping", () => {
+    expect(stepCell(0, 0, 0, 4, 5)).toBeNull();
+    expect(stepCell(0, 0, 0, 4, 5, true)).toEqual([3, 0]);
+    expect(stepCell(2, 4, 1, 4, 5, true)).toEqual([2, 0]);
+    expect(stepCell(2, 3, 1, 4, 5, true)).toEqual([2, 4]);
+  });
+
+  it("links opposite edges in the neighbour table", () => {
+    const flat = makeBoard("P0-0-30-16-4-2-1-2-0-3-4x4");
+    const wrapped = makeBoard("P0-0-30-16-4-2-1-2-0-3-4x4-W");
+    expect(getNeighborIndices(flat)[0]).toEqual([-1, 1, 4, -1]);
+    expect(getNeighborIndices(wrapped)[0]).toEqual([12, 1, 4, 3]);
+  });
+
+  it("generates networks that are consistent and connected through the seam", () => {
+    [1, 7, 99].forEach((seed) => {
+      const edgesByCell = generateSolvedEdges(ROWS, COLS, mulberry32(seed), { wrap: true });
+      let crossesSeam = false;
+      for (let r = 0; r < ROWS; r += 1) {
+        for (let c = 0; c < COLS; c += 1) {
+          edgesByCell.get(`${r}-${c}`).forEach((hasEdge, dir) => {
+            if (!hasEdge) return;
+            const [nr, nc] = stepCell(r, c, dir, ROWS, COLS, true);
+            if (Math.abs(nr - r) > 1 || Math.abs(nc - c) > 1) crossesSeam = true;
+            expect(edgesByCell.get(`${nr}-${nc}`)[oppositeDir(dir)]).toBe(true);
+          });
+        }
+      }
+      expect(crossesSeam).toBe(true);
+      expect(isEdgeGraphConnected(edgesByCell, ROWS, COLS, true)).toBe(true);
+    });
+  });
+
+  it("builds solvable wrap boards from seeds and from the Endless option", () => {
+    const seeded = makeBoard("P0-0-30-16-4-2-1-2-0-3-6x6-W");
+    expect(getBoardConstraints("P0-0-30-16-4-2-1-2-0-3-6x6-W").wrap).toBe(true);
+    expect(measureBoard(seeded)).toMatchObject({ rows: 6, cols: 6, wrap: true, connected: true });
+    expect(isBoardSolvable(seeded)).toBe(true);
+
+    const endless = makeBoard("zen", "hard", { wrap: true });
+    expect(endless.every((tile) => tile.wrap)).toBe(true);
+    expect(isBoardSolvable(endless)).toBe(true);
+    expect(makeBoard("zen", "hard").some((tile) => "wrap" in tile)).toBe(false);
+  });
+});
+
+describe("hex grids", () => {
+  it("rotates six-edge tiles in sixths", () => {
+    const edges = [true, false, true, false, false, false];
+    expect(rotateEdges(edges, 1)).toEqual([false, true, false, true, false, false]);
+    expect(rotateEdges(edges, 6)).toEqual(edges);
+    expect(oppositeDir(1, 6)).toBe(4);
+    expect(pickTypeForEdges([false, false, true, false, true, false])).toEqual({
+      type: "hexCurve",
+      rotation: 2
+    });
+    expect(pickTypeForEdges([false, true, false, false, true, false]).type).toBe("hexStraight");
+  });
+
+  it("gives every hex cell neighbours that point back at it", () => {
+    const tiles = makeBoard("P0-0-30-16-4-1-1-2-0-3-5x4-H");
+    const neighbors = getNeighborIndices(tiles);
+    neighbors.forEach((list, index) => {
+      expect(list).toHaveLength(6);
+      list.forEach((neighborIndex, dir) => {
+        if (neighborIndex === -1) return;
+        expect(neighbors[neighborIndex][oppositeDir(dir, 6)]).toBe(index);
+      });
+    });
+    // Row 1 is shifted right, so its north-east neighbour is one column over.
+    expect(neighbors[tiles.findIndex((tile) => tile.id === "1-1")][0]).toBe(
+      tiles.findIndex((tile) => tile.id === "0-2")
+    );
+  });
+
+  it("generates consistent, connected networks of at most three edges a cell", () => {
+    [3, 11, 40].forEach((seed) => {
+      const edgesByCell = generateHexEdges(ROWS, COLS, mulberry32(seed));
+      for (let r = 0; r < ROWS; r += 1) {
+        for (let c = 0; c < COLS; c += 1) {
+          const edges = edgesByCell.get(`${r}-${c}`);
+          expect(edges.filter(Boolean).length).toBeLessThanOrEqual(3);
+          edges.forEach((hasEdge, dir) => {
+            if (!hasEdge) return;
+            const [nr, nc] = stepCell(r, c, dir, ROWS, COLS, false, "hex");
+            expect(edgesByCell.get(`${nr}-${nc}`)[oppositeDir(dir, 6)]).toBe(true);
+          });
+        }
+      }
+      expect(isEdgeGraphConnected(edgesByCell, ROWS, COLS, false, "hex")).toBe(true);
+    });
+  });
+
+  it("builds scrambled, solvable hex boards", () => {
+    const boards = [
+      makeBoard("P18-2-28-18-4-2-2-2-0-0-H"),
+      // Hex boards ignore the wrap option.
+      makeBoard("zen", "easy", { shape: "hex", wrap: true })
+    ];
+    boards.forEach((tiles) => {
+      expect(measureBoard(tiles)).toMatchObject({ shape: "hex", wrap: false, connected: true });
+      tiles.forEach((tile) => {
+        expect(tile.shape).toBe("hex");
+        expect(tile.rotationDegrees).toBe(tile.rotation * (360 / getTileSides(tile)));
+        expect(getEdges(tile).length === 6 || tile.type === "blank").toBe(true);
+      });
+      const completeDirs = computeCompleteDirs(tiles, computeConnections(tiles));
+      expect(tiles.some((tile) => completeDirs.get(tile.id).some(Boolean))).toBe(false);
+      expect(isBoardSolvable(tiles)).toBe(true);
+    });
+  });
+});
+
+describe("board metrics", () => {
+  it("counts terminals and straight runs", () => {
+    // A five-cell vertical line down column 0 with a spur off its middle.
+    const edgesByCell = buildEdgeMap(5, 2, [
+      [0, 0, 2],
+      [1, 0, 2],
+      [2, 0, 2],
+      [3, 0, 2],
+      [2, 0, 1]
+    ]);
+    expect(countTerminals(edgesByCell, 5, 2)).toBe(3);
+    expect(maxStraightRun(edgesByCell, 5, 2)).toBe(1);
+
+    const line = buildEdgeMap(5, 1, [
+      [0, 0, 2],
+      [1, 0, 2],
+      [2, 0, 2],
+      [3, 0, 2]
+    ]);
+    expect(maxStraightRun(line, 5, 1)).toBe(3);
+  });
+
+  it("detects split networks", () => {
+    const edgesByCell = buildEdgeMap(2, 4, [
+      [0, 0, 1],
+      [0, 2, 1]
+    ]);
+    expect(isEdgeGraphConnected(edgesByCell, 2, 4)).toBe(false);
+    expect(isEdgeGraphConnected(buildEdgeMap(2, 4, [[0, 0, 1]]), 2, 4)).toBe(true);
+  });
+
+  it("measures terminal spacing and clusters", () => {
+    const edgesByCell = buildEdgeMap(2, 2, [
+      [0, 0, 1],
+      [1, 0, 1]
+    ]);
+    expect(hasCloseTerminals(edgesByCell, 2, 2, 2)).toBe(true);
+    expect(hasCloseTerminals(edgesByCell, 2, 2, 1)).toBe(false);
+    expect(maxTerminalCluster(edgesByCell, 2, 2)).toBe(4);
+  });
+});
+
+describe("board constraints", () => {
+  it("names the limits an edge map breaks", () => {
+    const line = buildEdgeMap(6, 1, [
+      [0, 0, 2],
+      [1, 0, 2],
+      [2, 0, 2],
+      [3, 0, 2],
+      [4, 0, 2]
+    ]);
+    const constraints = {
+      minTerminals: 4,
+      maxTerminals: 6,
+      maxStraightRunAllowed: 3,
+      minTerminalDistance: 2,
+      maxTerminalClusterAllowed: 3,
+      curveRatio: 0
+    };
+    expect(getConstraintViolations(line, 6, 1, constraints)).toEqual([
+      "terminals",
+      "straightRun",
+      "curves"
+    ]);
+  });
+
+  it("reads limits from progression seeds", () => {
+    const constraints = getBoardConstraints("P18-2-28-18-3-2-2-2-0-0");
+    expect(constraints.maxStraightRunAllowed).toBe(3);
+    expect(constraints.minTerminalDistance).toBe(2);
+    expect(constraints.minTerminals).toBeLessThanOrEqual(constraints.maxTerminals);
+    expect(getBoardConstraints("zen", "hard").blanks.max).toBe(0);
+  });
+});
+
+describe("makeBoard", () => {
+  it("is deterministic per seed and difficulty", () => {
+    expect(makeBoard("repeat", "easy")).toEqual(makeBoard("repeat", "easy"));
+    expect(makeBoard("repeat", "easy")).not.toEqual(makeBoard("repeat", "hard"));
+  });
+
+  it("lays tiles out row by row", () => {
+    const tiles = makeBoard("layout", "medium");
+    expect(tiles).toHaveLength(ROWS * COLS);
+    tiles.forEach((tile, index) => {
+      expect(tile.r).toBe(Math.floor(index / COLS));
+      expect(tile.c).toBe(index % COLS);
+      expect(tile.id).toBe(`${tile.r}-${tile.c}`);
+    });
+  });
+
+  it("scrambles without leaving a finished connection", () => {
+    ["scramble", "zen", "P40-2-28-16-5-1-2-2-0-3"].forEach((seed) => {
+      const tiles = makeBoard(seed, "medium");
+      const completeDirs = computeCompleteDirs(tiles, computeConnections(tiles));
+      tiles.forEach((tile) => {
+        const dirs = completeDirs.get(tile.id) || [false, false, false, false];
+        expect(dirs.some(Boolean)).toBe(false);
+      });
+    });
+  });
+
+  it("keeps the solved layout consistent after carving blanks", () => {
+    const tiles = makeBoard("P60-3-28-16-4-1-2-2-50-4");
+    const edgesByCell = getSolvedEdgeMap(tiles);
+    expect(measureBoard(tiles).blanks).toBeGreaterThan(0);
+    tiles.forEach(({ r, c }) => {
+      edgesByCell.get(`${r}-${c}`).forEach((hasEdge, dir) => {
+        if (!hasEdge) return;
+        expect(edgesByCell.get(neighbourKey(r, c, dir))?.[oppositeDir(dir)]).toBe(true);
+      });
+    });
+  });
+
+  it("builds boards at the size the seed asks for", () => {
+    [
+      ["P0-0-30-16-4-2-1-2-0-3-4x4", 4, 4],
+      ["P20-1-30-16-4-1-1-1-0-3-5x7", 5, 7],
+      ["P18-2-28-18-4-2-2-2-0-0-12x8", 12, 8]
+    ].forEach(([seed, rows, cols]) => {
+      const tiles = makeBoard(seed);
+      expect(tiles).toHaveLength(rows * cols);
+      expect(getBoardDimensions(tiles)).toEqual({ rows, cols });
+      expect(getBoardConstraints(seed)).toMatchObject({ rows, cols });
+      expect(isBoardSolvable(tiles)).toBe(true);
+    });
+    expect(getBoardDimensions(makeBoard("zen", "hard"))).toEqual({ rows: ROWS, cols: COLS });
+  });
+
+  it("honours terminal limits, straight runs and connectivity on gapless seeds", () => {
+    for (let variant = 0; variant < 6; variant += 1) {
+      const seed = `P0-0-20-12-${3 + (variant % 3)}-1-0-0-0-${variant}`;
+      const constraints = getBoardConstraints(seed);
+      const stats = measureBoard(makeBoard(seed));
+      expect(stats.connected).toBe(true);
+      expect(stats.blanks).toBe(0);
+      expect(stats.terminals).toBeGreaterThanOrEqual(constraints.minTerminals);
+      expect(stats.terminals).toBeLessThanOrEqual(constraints.maxTerminals);
+      expect(stats.longestStraightRun).toBeLessThanOrEqual(constraints.maxStraightRunAllowed);
+      expect(stats.largestTerminalCluster).toBeLessThanOrEqual(
+        constraints.maxTerminalClusterAllowed
+      );
+    }
+  });
+});
+
+describe("par and star ratings", () => {
+  it("turns tiles the short way round to their solved edges", () => {
+    const tile = { type: "curveLeft", rotation: 0, targetRotation: 3 };
+    expect(getTurnsToTarget(tile)).toBe(-1);
+    expect(getTurnsToTarget({ ...tile, rotation: 1 })).toBe(2);
+    expect(getTurnsToTarget({ type: "straight", rotation: 0, targetRotation: 2 })).toBe(0);
+    expect(getTurnsToTarget({ type: "hexTerminal", rotation: 5, targetRotation: 1 })).toBe(2);
+  });
+
+  it("counts par as the fewest moves to the generated solution", () => {
+    const tiles = [
+      { type: "curveLeft", rotation: 1, targetRotation: 3 },
+      { type: "curveLeft", rotation: 0, targetRotation: 3 },
+      { type: "straight", rotation: 0, targetRotation: 2 },
+      { type: "terminal", rotation: 2, targetRotation: 3 },
+      { type: "blank", rotation: 0, targetRotation: 0 },
+      { type: "hexTerminal", shape: "hex", rotation: 5, targetRotation: 1 }
+    ];
+    // 2 + 1 + 0 (a half-turned straight already fits) + 1 + 0 + 2.
+    expect(computePar(tiles)).toBe(6);
+    const solved = makeBoard("zen", "medium").map((tile) => ({
+      ...tile,
+      rotation: tile.targetRotation
+    }));
+    expect(computePar(solved)).toBe(0);
+  });
+
+  it("rates solves against par", () => {
+    expect(rateSolve(10, 10)).toBe(3);
+    expect(rateSolve(15, 10)).toBe(2);
+    expect(rateSolve(16, 10)).toBe(1);
+    expect(rateSolve(0, 0)).toBe(3);
+  });
+});
+
+describe("progressive hint limit", () => {
+  it("keeps each level's allowance across resets", () => {
+    let hints = {};
+    expect(getHintsLeft(hints, 5)).toBe(PROGRESS_HINT_LIMIT);
+    for (let i = 0; i < PROGRESS_HINT_LIMIT + 1; i += 1) hints = recordHint(hints, 5);
+    // Resetting the board starts a new one on the same level; the store is untouched.
+    expect(getHintsLeft(hints, 5)).toBe(0);
+    expect(getHintsLeft(hints, 6)).toBe(PROGRESS_HINT_LIMIT);
+    expect(getHintsLeft(recordHint({}, 6), 6, 2)).toBe(1);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from "vitest";
+import { LOCALES, DEFAULT_LOCALE, detectLocale, createTranslator } from "../i18n/index.js";
+import en from "../i18n/en.js";
+
+describe("i18n", () => {
+  it("detects the first supported browser language", () => {
+    expect(detectLocale(["de-AT", "en-US"])).toBe("de");
+    expect(detectLocale(["fr-FR", "EN-gb"])).toBe("en");
+    expect(detectLocale(["ja"])).toBe(DEFAULT_LOCALE);
+    expect(detectLocale(undefined)).toBe(DEFAULT_LOCALE);
+  });
+
+  it("picks plural forms by count", () => {
+    const t = createTranslator("en");
+    expect(t("home.continueMoves", { count: 1 })).toBe("1 move");
+    expect(t("home.continueMoves", { count: 4 })).toBe("4 moves");
+    expect(createTranslator("de")("home.continueMoves", { count: 1 })).toBe("1 Zug");
+  });
+
+  it("formats numbers and times for the locale", () => {
+    expect(createTranslator("en")("board.level", { level: 1200 })).toBe("Level 1,200");
+    expect(createTranslator("de")("board.level", { level: 1200 })).toBe("Level 1.200");
+    const t = createTranslator("de");
+    expect(t.duration(65_400)).toBe("1:05");
+    expect(t.duration(600_000)).toBe("10:00");
+    expect(t.list(["Nord", "Ost", "Süd"])).toBe("Nord, Ost und Süd");
+  });
+
+  it("falls back to English, then to the key", () => {
+    expect(createTranslator("xx").locale).toBe(DEFAULT_LOCALE);
+    expect(createTranslator("de")("no.such.key")).toBe("no.such.key");
+    expect(createTranslator("en")("board.par", {})).toBe("Par {par}");
+  });
+
+  it("ships every English key in each catalog", () => {
+    const keys = Object.keys(en).sort();
+    for (const { code, messages } of LOCALES) {
+      expect(Object.keys(messages).sort(), code).toEqual(keys);
+    }
+  });
+});
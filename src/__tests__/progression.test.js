@@ -4,7 +4,7 @@ import {
   parseProgressionSeed,
   normalizeProgressionSettings,
   normalizeLevelList
-} from "../App.jsx";
+} from "../engine/index.js";
 
 describe("progression helpers", () => {
   it("defaults settings when input is empty", () => {
@@ -73,6 +73,40 @@ describe("progression helpers", () => {
     expect(levels[2]).toBe("");
   });
 
+  it("round-trips the unique solution flag", () => {
+    const seed = buildProgressionSeed({ variant: 3, unique: 1 });
+    expect(seed.endsWith("-3-U")).toBe(true);
+    expect(parseProgressionSeed(seed)).toMatchObject({ variant: 3, unique: 1 });
+    expect(parseProgressionSeed("P18-2-28-18-4-2-2-2-0-3")).toMatchObject({ unique: 0 });
+  });
+
+  it("writes non-default board sizes into the seed", () => {
+    expect(buildProgressionSeed({ variant: 3 }).endsWith("-0-3")).toBe(true);
+    const seed = buildProgressionSeed({ variant: 3, rows: 4, cols: 4, unique: 1 });
+    expect(seed.endsWith("-3-4x4-U")).toBe(true);
+    expect(parseProgressionSeed(seed)).toMatchObject({ rows: 4, cols: 4, unique: 1 });
+    expect(parseProgressionSeed("P18-2-28-18-4-2-2-2-0-3")).toMatchObject({ rows: 10, cols: 6 });
+    expect(parseProgressionSeed("P18-2-28-18-4-2-2-2-0-3-20x2")).toMatchObject({
+      rows: 12,
+      cols: 4
+    });
+  });
+
+  it("writes the wrap flag between the size and the unique flag", () => {
+    const seed = buildProgressionSeed({ variant: 3, rows: 6, cols: 6, wrap: 1, unique: 1 });
+    expect(seed.endsWith("-3-6x6-W-U")).toBe(true);
+    expect(parseProgressionSeed(seed)).toMatchObject({ rows: 6, cols: 6, wrap: 1, unique: 1 });
+    expect(buildProgressionSeed({ variant: 3, wrap: 1 }).endsWith("-0-3-W")).toBe(true);
+    expect(parseProgressionSeed("P18-2-28-18-4-2-2-2-0-3")).toMatchObject({ wrap: 0 });
+  });
+
+  it("writes the hex flag ahead of the wrap and unique flags", () => {
+    const seed = buildProgressionSeed({ variant: 3, rows: 8, cols: 6, hex: 1, unique: 1 });
+    expect(seed.endsWith("-3-8x6-H-U")).toBe(true);
+    expect(parseProgressionSeed(seed)).toMatchObject({ rows: 8, hex: 1, wrap: 0, unique: 1 });
+    expect(parseProgressionSeed("P18-2-28-18-4-2-2-2-0-3")).toMatchObject({ hex: 0 });
+  });
+
   it("returns null for invalid seeds", () => {
     expect(parseProgressionSeed("nope")).toBeNull();
   });
@@ -0,0 +1,144 @@
+import { describe, it, expect } from "vitest";
+import {
+  makeBoard,
+  solveBoard,
+  countSolutions,
+  isBoardSolvable,
+  hasUniqueSolution,
+  estimateDifficulty,
+  computeConnections,
+  computeCompleteDirs,
+  getEdges,
+  pickHint
+} from "../engine/index.js";
+
+const applySolution = (tiles, solution) =>
+  tiles.map((tile, index) => ({ ...tile, rotation: solution[index] }));
+
+const isSolved = (tiles) => {
+  const connections = computeConnections(tiles);
+  const completeDirs = computeCompleteDirs(tiles, connections);
+  return tiles.every((tile) => {
+    const dirs = completeDirs.get(tile.id) || [false, false, false, false];
+    return getEdges(tile).every((hasEdge, dir) => !hasEdge || dirs[dir]);
+  });
+};
+
+describe("board solver", () => {
+  it("solves generated boards", () => {
+    ["zen", "abc123", "P18-2-28-18-4-2-2-2-0-0"].forEach((seed) => {
+      const tiles = makeBoard(seed, "medium");
+      const { solutions } = solveBoard(tiles);
+      expect(solutions).toHaveLength(1);
+      expect(isSolved(applySolution(tiles, solutions[0]))).toBe(true);
+    });
+  });
+
+  it("accepts the generated target rotations as a solution", () => {
+    const tiles = makeBoard("target", "hard");
+    const target = tiles.map((tile) => tile.targetRotation);
+    expect(isSolved(applySolution(tiles, target))).toBe(true);
+    expect(isBoardSolvable(tiles)).toBe(true);
+  });
+
+  it("counts edge-identical rotations as one solution", () => {
+    const tiles = [
+      { id: "0-0", r: 0, c: 0, type: "curveLeft", rotation: 0 },
+      { id: "0-1", r: 0, c: 1, type: "curveLeft", rotation: 0 },
+      { id: "1-0", r: 1, c: 0, type: "curveLeft", rotation: 0 },
+      { id: "1-1", r: 1, c: 1, type: "curveLeft", rotation: 0 }
+    ];
+    expect(countSolutions(tiles, 5)).toBe(1);
+
+    const straights = [
+      { id: "0-0", r: 0, c: 0, type: "terminal", rotation: 0 },
+      { id: "0-1", r: 0, c: 1, type: "terminal", rotation: 0 },
+      { id: "1-0", r: 1, c: 0, type: "terminal", rotation: 0 },
+      { id: "1-1", r: 1, c: 1, type: "terminal", rotation: 0 }
+    ];
+    expect(countSolutions(straights, 5)).toBe(2);
+  });
+
+  it("reports boards that cannot be solved", () => {
+    const tiles = [
+      { id: "0-0", r: 0, c: 0, type: "terminal", rotation: 0 },
+      { id: "0-1", r: 0, c: 1, type: "blank", rotation: 0 }
+    ];
+    const result = solveBoard(tiles);
+    expect(result.count).toBe(0);
+    expect(result.exhausted).toBe(true);
+  });
+
+  it("pins tiles until unique boards have one solution", () => {
+    ["P18-2-28-18-4-2-2-2-0-0-U", "P0-0-30-16-5-3-1-2-40-7-U"].forEach((seed) => {
+      const tiles = makeBoard(seed, "medium");
+      expect(hasUniqueSolution(tiles)).toBe(true);
+      const { solutions } = solveBoard(tiles);
+      expect(isSolved(applySolution(tiles, solutions[0]))).toBe(true);
+      tiles
+        .filter((tile) => tile.fixed)
+        .forEach((tile) => expect(tile.rotation).toBe(tile.targetRotation));
+    });
+  });
+
+  it("keeps unique seeds unique when a few pins are not enough", () => {
+    [
+      "P58-1-36-13-4-2-3-2-79-0-U",
+      "P43-0-38-12-6-4-4-2-62-2-U",
+      "P8-3-32-12-2-2-1-2-42-5-U",
+      "P4-0-40-12-2-1-0-2-3-3-U"
+    ].forEach((seed) => {
+      expect(hasUniqueSolution(makeBoard(seed, "medium")), seed).toBe(true);
+    });
+  });
+
+  it("leaves non-unique seeds untouched", () => {
+    const seed = "P18-2-28-18-4-2-2-2-0-0";
+    const tiles = makeBoard(seed, "medium");
+    expect(tiles.some((tile) => tile.fixed)).toBe(false);
+    expect(makeBoard(seed, "medium")).toEqual(tiles);
+  });
+
+  it("scores boards from the deduction solver", () => {
+    const easy = estimateDifficulty(makeBoard("P80-2-20-12-6-1-2-2-0-0", "medium"));
+    const hard = estimateDifficulty(makeBoard("P0-0-40-24-2-1-0-0-0-0", "medium"));
+    expect(easy.solvable).toBe(true);
+    expect(hard.solvable).toBe(true);
+    expect(easy.score).toBeLessThan(hard.score);
+    expect(hard.forced + hard.unresolved).toBeLessThanOrEqual(hard.rotatable);
+    expect(hard.branching).toBe(hard.unresolved > 0);
+  });
+
+  it("leads hints to the generated solution", () => {
+    let tiles = makeBoard("hints", "medium");
+    for (let step = 0; step < tiles.length; step += 1) {
+      const hint = pickHint(tiles);
+      if (!hint) break;
+      expect(tiles[hint.index].fixed).toBeFalsy();
+      expect(hint.rotation).toBe(tiles[hint.index].targetRotation);
+      tiles = tiles.map((tile, index) =>
+        index === hint.index ? { ...tile, rotation: hint.rotation } : tile
+      );
+    }
+    expect(pickHint(tiles)).toBeNull();
+    expect(isSolved(tiles)).toBe(true);
+  });
+
+  it("points hints at tiles deduction rules out first", () => {
+    const tiles = [
+      { id: "0-0", r: 0, c: 0, type: "terminal", rotation: 3, targetRotation: 3 },
+      { id: "0-1", r: 0, c: 1, type: "terminal", rotation: 3, targetRotation: 1 }
+    ];
+    expect(pickHint(tiles)).toEqual({ index: 1, rotation: 1, reason: "wrong" });
+
+    const open = [
+      { id: "0-0", r: 0, c: 0, type: "terminal", rotation: 0, targetRotation: 3 },
+      { id: "0-1", r: 0, c: 1, type: "terminal", rotation: 2, targetRotation: 1 },
+      { id: "1-0", r: 1, c: 0, type: "terminal", rotation: 3, targetRotation: 3 },
+      { id: "1-1", r: 1, c: 1, type: "terminal", rotation: 1, targetRotation: 1 }
+    ];
+    expect(pickHint(open)).toEqual({ index: 1, rotation: 1, reason: "wrong" });
+    open[1] = { ...open[1], rotation: 1 };
+    expect(pickHint(open)).toEqual({ index: 0, rotation: 3, reason: "constrained" });
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from "vitest";
+import {
+  blend,
+  checkThemeContrast,
+  contrastRatio,
+  parseColor,
+  themeVariables
+} from "../themeColors.js";
+
+const TRANQUIL_WATERS = ["#A4D7E1", "#6B9AC4", "#3B5B8C", "#1F3A5F", "#0D1B2A"];
+
+describe("theme colours", () => {
+  it("parses hex and rgb colours", () => {
+    expect(parseColor("#fff")).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+    expect(parseColor("rgba(10, 20, 30, 0.5)")).toEqual({ r: 10, g: 20, b: 30, a: 0.5 });
+    expect(parseColor("#12345")).toBeNull();
+  });
+
+  it("measures WCAG contrast", () => {
+    expect(contrastRatio(parseColor("#000"), parseColor("#fff"))).toBeCloseTo(21, 5);
+    expect(contrastRatio(parseColor("#777"), parseColor("#777"))).toBe(1);
+  });
+
+  it("derives the board variables from five stops", () => {
+    const vars = themeVariables(TRANQUIL_WATERS);
+    expect(vars["--bg-start"]).toBe("#A4D7E1");
+    expect(vars["--accent"]).toBe("#1F3A5F");
+    expect(vars["--loop"]).toBe(blend("#0D1B2A", "#2f2a24", 0.45));
+    expect(blend("#000000", "#ffffff", 0.5)).toBe("rgb(128, 128, 128)");
+  });
+
+  it("flags palettes that are hard to read", () => {
+    expect(checkThemeContrast(TRANQUIL_WATERS)).toEqual([]);
+    const washedOut = checkThemeContrast(["#ffffff", "#ffffff", "#ffffff", "#ffff00", "#eeeeee"]);
+    expect(washedOut.map(({ id }) => id)).toEqual(["paths", "text", "accent"]);
+    washedOut.forEach(({ ratio, target }) => expect(ratio).toBeLessThan(target));
+  });
+});
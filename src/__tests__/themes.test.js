@@ -0,0 +1,74 @@
+import { describe, it, expect } from "vitest";
+import {
+  BUILT_IN_THEMES,
+  THEME_FORMAT,
+  THEME_VERSION,
+  encodeThemeCode,
+  exportTheme,
+  importTheme,
+  parseThemeText,
+  themeFileName,
+  validateTheme
+} from "../themes/index.js";
+
+const palette = (overrides = {}) => ({
+  format: THEME_FORMAT,
+  version: THEME_VERSION,
+  name: "Harbour Dusk",
+  colors: ["#A4D7E1", "#6B9AC4", "#3B5B8C", "#1F3A5F", "#0D1B2A"],
+  ...overrides
+});
+
+describe("themes", () => {
+  it("loads every built-in theme from schema-valid data files", () => {
+    expect(BUILT_IN_THEMES[0].name).toBe("Tranquil Waters");
+    expect(new Set(BUILT_IN_THEMES.map(({ name }) => name)).size).toBe(BUILT_IN_THEMES.length);
+    BUILT_IN_THEMES.forEach((theme) => {
+      expect(validateTheme(exportTheme(theme)), theme.name).toEqual({ theme, errors: [] });
+    });
+    expect(
+      BUILT_IN_THEMES.filter(({ unlockable }) => unlockable).map(({ unlockLevel }) => unlockLevel)
+    ).toEqual([12, 24, 36, 48, 60, 72, 84, 96]);
+  });
+
+  it("round-trips themes through codes and files", () => {
+    const theme = palette({ name: "Nachtblau — Straße", variables: { "--tile-bg": "#ffffff" } });
+    const code = encodeThemeCode(theme);
+    expect(code.startsWith("zento-theme:")).toBe(true);
+    expect(parseThemeText(code).theme).toEqual(validateTheme(theme).theme);
+    expect(parseThemeText(JSON.stringify(exportTheme(theme), null, 2)).theme.name).toBe(
+      "Nachtblau — Straße"
+    );
+    expect(themeFileName({ name: "Glass & Glow" })).toBe("glass-glow.json");
+  });
+
+  it("reports the fields that break the schema", () => {
+    expect(validateTheme(palette({ colors: ["#fff"] })).errors).toEqual(["colors"]);
+    expect(validateTheme(palette({ name: "  ", kind: "neon" })).errors).toEqual(["name", "kind"]);
+    expect(validateTheme(palette({ version: 2, extra: true })).errors).toEqual(["format", "extra"]);
+    expect(
+      validateTheme(palette({ variables: { "--ink": "red; background: url(x)" } })).errors
+    ).toEqual(["variables"]);
+    expect(validateTheme(palette({ variables: { "--page-pad": "#000" } })).errors).toEqual([
+      "variables"
+    ]);
+    expect(validateTheme([]).errors).toEqual(["format"]);
+    expect(parseThemeText("not a theme").errors).toEqual(["unreadable"]);
+  });
+
+  it("imports without unlock rules and with contrast warnings", () => {
+    const { theme, warnings } = importTheme(
+      palette({ unlockable: true, unlockLevel: 12, includeInRandom: true, nightMode: true })
+    );
+    expect(theme).not.toHaveProperty("unlockable");
+    expect(theme).not.toHaveProperty("unlockLevel");
+    expect(theme).not.toHaveProperty("includeInRandom");
+    expect(theme.nightMode).toBe(true);
+    expect(warnings).toEqual([]);
+
+    const faint = importTheme(palette({ variables: { "--loop": "#e8f0f2" } }));
+    expect(faint.warnings.map(({ id }) => id)).toEqual(["paths"]);
+    const glass = importTheme(palette({ kind: "glass", variables: { "--loop": "#e8f0f2" } }));
+    expect(glass.warnings).toEqual([]);
+  });
+});
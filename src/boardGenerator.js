@@ -0,0 +1,127 @@
+const CACHE_LIMIT = 12;
+
+const createCancelledError = () => {
+  const error = new Error("Board request cancelled.");
+  error.cancelled = true;
+  return error;
+};
+
+export const isCancelledBoardRequest = (err) => Boolean(err?.cancelled);
+
+/**
+ * Promise-based front end for the board worker.
+ *
+ * Each generator owns one worker and keeps at most one request in flight:
+ * starting a new request cancels the previous one. makeBoard can't be
+ * interrupted mid-run, so a busy worker is terminated and replaced rather than
+ * left to finish a board nobody will look at. Cancelled promises reject with an
+ * error for which isCancelledBoardRequest() is true.
+ *
+ * Results are cached by seed, difficulty and makeBoard options, so resets and slider round trips
+ * resolve without touching the worker.
+ */
+export function createBoardGenerator() {
+  const cache = new Map();
+  let worker = null;
+  let pending = null;
+  let nextId = 0;
+
+  const remember = (key, result) => {
+    cache.delete(key);
+    cache.set(key, result);
+    if (cache.size > CACHE_LIMIT) {
+      cache.delete(cache.keys().next().value);
+    }
+  };
+
+  const settle = (id, settleWith) => {
+    if (!pending || pending.id !== id) return;
+    const request = pending;
+    pending = null;
+    settleWith(request);
+  };
+
+  const spawn = () => {
+    const instance = new Worker(new URL("./boardWorker.js", import.meta.url), { type: "module" });
+    instance.onmessage = (event) => {
+      const { id, result, error } = event.data || {};
+      settle(id, (request) => {
+        if (error) {
+          request.reject(new Error(error));
+          return;
+        }
+        remember(request.key, result);
+        request.resolve(result);
+      });
+    };
+    instance.onerror = (event) => {
+      event.preventDefault?.();
+      instance.terminate();
+      if (worker === instance) {
+        worker = null;
+      }
+      if (pending) {
+        settle(pending.id, (request) =>
+          request.reject(new Error(event.message || "Board worker failed."))
+        );
+      }
+    };
+    return instance;
+  };
+
+  const cancel = () => {
+    if (!pending) return;
+    const request = pending;
+    pending = null;
+    worker?.terminate();
+    worker = null;
+    request.reject(createCancelledError());
+  };
+
+  const run = (type, seedText, difficulty, options = {}) => {
+    // Options left undefined follow the seed's own flags, so they key apart from
+    // explicit values.
+    const key = [
+      type,
+      difficulty,
+      options.wrap ?? "seed",
+      options.shape ?? "seed",
+      options.unique ?? "seed",
+      seedText
+    ].join("|");
+    if (pending?.key === key) {
+      return pending.promise;
+    }
+    cancel();
+    if (cache.has(key)) {
+      const result = cache.get(key);
+      remember(key, result);
+      return Promise.resolve(result);
+    }
+    if (!worker) {
+      worker = spawn();
+    }
+    nextId += 1;
+    const id = nextId;
+    const request = { id, key };
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+    pending = request;
+    worker.postMessage({ id, type, seedText, difficulty, options });
+    return request.promise;
+  };
+
+  return {
+    generate: (seedText, difficulty, options) => run("board", seedText, difficulty, options),
+    estimate: (seedText, difficulty, options) => run("difficulty", seedText, difficulty, options),
+    cancel,
+    dispose: () => {
+      cancel();
+      worker?.terminate();
+      worker = null;
+      cache.clear();
+    }
+  };
+}
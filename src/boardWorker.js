@@ -0,0 +1,14 @@
+import { estimateDifficulty, makeBoard } from "./engine/index.js";
+
+// Runs makeBoard off the main thread. Each message carries a request id that
+// is echoed back so the client can drop answers it no longer cares about.
+self.onmessage = (event) => {
+  const { id, type, seedText, difficulty, options } = event.data || {};
+  try {
+    const tiles = makeBoard(seedText, difficulty, options);
+    const result = type === "difficulty" ? estimateDifficulty(tiles) : tiles;
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || "Board generation failed." });
+  }
+};
@@ -0,0 +1,151 @@
+// Live connection state for a board as the player sees it. Nothing here assumes a
+// side count: neighbours come from the grid and opposite edges from each tile.
+
+import { getNeighborIndices } from "./grid.js";
+import { getEdges, oppositeDir } from "./tiles.js";
+
+export function connectionBitmask(connections) {
+  return connections.reduce((mask, on, dir) => (on ? mask | (1 << dir) : mask), 0);
+}
+
+export function computeConnections(tiles) {
+  const neighborIndices = getNeighborIndices(tiles);
+  const connections = new Map();
+
+  tiles.forEach((tile, index) => {
+    const edges = getEdges(tile);
+    const sides = neighborIndices[index].length;
+    const connected = Array(sides).fill(false);
+    const neighbors = neighborIndices[index].map((neighborIndex) => tiles[neighborIndex]);
+
+    edges.forEach((hasEdge, dir) => {
+      if (!hasEdge) return;
+      const neighbor = neighbors[dir];
+      if (!neighbor) return;
+      const neighborEdges = getEdges(neighbor);
+      if (neighborEdges[oppositeDir(dir, sides)]) {
+        connected[dir] = true;
+      }
+    });
+
+    connections.set(tile.id, connected);
+  });
+
+  return connections;
+}
+
+function getInternalPortPairs(tile, edges) {
+  if (tile.type === "crossCurve") {
+    const parity = tile.rotation % 2;
+    return parity === 0
+      ? [
+          [0, 3],
+          [1, 2]
+        ]
+      : [
+          [0, 1],
+          [2, 3]
+        ];
+  }
+  const dirs = [];
+  edges.forEach((on, dir) => {
+    if (on) dirs.push(dir);
+  });
+  // Every other tile joins all of its edges at the centre.
+  const pairs = [];
+  for (let i = 0; i < dirs.length; i += 1) {
+    for (let j = i + 1; j < dirs.length; j += 1) {
+      pairs.push([dirs[i], dirs[j]]);
+    }
+  }
+  return pairs;
+}
+
+export function computeCompleteDirs(tiles, connections) {
+  const neighborIndices = getNeighborIndices(tiles);
+
+  const portAdj = new Map();
+  const danglingPorts = new Set();
+  const allPorts = [];
+
+  tiles.forEach((tile) => {
+    const edges = getEdges(tile);
+    const connected = connections.get(tile.id) || [false, false, false, false];
+    const keyBase = tile.id;
+
+    edges.forEach((hasEdge, dir) => {
+      if (!hasEdge) return;
+      const port = `${keyBase}:${dir}`;
+      allPorts.push(port);
+      if (!portAdj.has(port)) portAdj.set(port, new Set());
+      if (!connected[dir]) {
+        danglingPorts.add(port);
+      }
+    });
+
+    const internalPairs = getInternalPortPairs(tile, edges);
+    internalPairs.forEach(([a, b]) => {
+      const portA = `${keyBase}:${a}`;
+      const portB = `${keyBase}:${b}`;
+      if (portAdj.has(portA) && portAdj.has(portB)) {
+        portAdj.get(portA).add(portB);
+        portAdj.get(portB).add(portA);
+      }
+    });
+  });
+
+  tiles.forEach((tile, index) => {
+    const connected = connections.get(tile.id) || [false, false, false, false];
+    const neighbors = neighborIndices[index].map((neighborIndex) => tiles[neighborIndex]);
+
+    connected.forEach((isConnected, dir) => {
+      if (!isConnected) return;
+      const neighbor = neighbors[dir];
+      if (!neighbor) return;
+      const portA = `${tile.id}:${dir}`;
+      const portB = `${neighbor.id}:${oppositeDir(dir, neighbors.length)}`;
+      if (portAdj.has(portA) && portAdj.has(portB)) {
+        portAdj.get(portA).add(portB);
+        portAdj.get(portB).add(portA);
+      }
+    });
+  });
+
+  const visitedPorts = new Set();
+  const completePorts = new Set();
+
+  allPorts.forEach((port) => {
+    if (visitedPorts.has(port)) return;
+    const stack = [port];
+    const component = [];
+    let hasDangling = false;
+
+    while (stack.length) {
+      const current = stack.pop();
+      if (!current || visitedPorts.has(current)) continue;
+      visitedPorts.add(current);
+      component.push(current);
+      if (danglingPorts.has(current)) hasDangling = true;
+      const neighbors = portAdj.get(current) || [];
+      neighbors.forEach((next) => {
+        if (!visitedPorts.has(next)) stack.push(next);
+      });
+    }
+
+    if (!hasDangling) {
+      component.forEach((p) => completePorts.add(p));
+    }
+  });
+
+  const completeDirs = new Map();
+  tiles.forEach((tile, index) => {
+    const sides = neighborIndices[index].length;
+    const dirs = Array(sides).fill(false);
+    for (let dir = 0; dir < sides; dir += 1) {
+      if (completePorts.has(`${tile.id}:${dir}`)) dirs[dir] = true;
+    }
+    completeDirs.set(tile.id, dirs);
+  });
+
+  return completeDirs;
+}
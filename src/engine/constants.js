@@ -0,0 +1,10 @@
+// Default board dimensions and level count shared by the generator and the app.
+// Progression seeds can override the board size; Endless boards always use these.
+
+export const ROWS = 10;
+
+export const COLS = 6;
+
+export const TOTAL_LEVELS = 96;
+
+export const MIN_TILES = 4;
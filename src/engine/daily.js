@@ -0,0 +1,35 @@
+import { hashStringToInt } from "./random.js";
+
+const DAY_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Day keys are local calendar dates, "YYYY-MM-DD", so the daily board turns over at
+// the player's midnight rather than UTC's.
+export function getDailyKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+export function getDailySeed(dayKey) {
+  return `D${hashStringToInt(`zen-daily-${dayKey}`).toString(36)}`;
+}
+
+// Steps a day key by whole days; UTC dates keep daylight saving out of the sums.
+export function shiftDailyKey(dayKey, days) {
+  const match = DAY_KEY_PATTERN.exec(dayKey);
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + days));
+  return date.toISOString().slice(0, 10);
+}
+
+// Consecutive completed days ending today, or yesterday while today is still open.
+export function getDailyStreak(completedKeys, todayKey) {
+  const done = new Set(completedKeys);
+  let day = done.has(todayKey) ? todayKey : shiftDailyKey(todayKey, -1);
+  let streak = 0;
+  while (day && done.has(day)) {
+    streak += 1;
+    day = shiftDailyKey(day, -1);
+  }
+  return streak;
+}
@@ -0,0 +1,88 @@
+import { clampValue } from "./seeds.js";
+import { buildSolverModel, solveBoard } from "./solver.js";
+
+const CURVE_SPIKE_THRESHOLD = 15;
+
+const CURVE_RAMP_TOLERANCE = 8;
+
+// Plays the board the way a person would: each round every tile drops the rotations
+// its neighbours rule out. Rounds measure how long the chain of deductions is, and any
+// tiles left open afterwards need guessing, which is scored from the search that follows.
+export function estimateDifficulty(tiles) {
+  const { options, initialDomains, filterByNeighbors } = buildSolverModel(tiles);
+  const rotatable = initialDomains.filter((domain) => domain.length > 1).length;
+  const freedom = initialDomains.reduce((sum, domain) => sum + Math.log2(domain.length || 1), 0);
+  let domains = initialDomains;
+  let rounds = 0;
+  let contradiction = domains.some((domain) => domain.length === 0);
+  while (!contradiction) {
+    const snapshot = domains;
+    const next = snapshot.map((_, index) => filterByNeighbors(snapshot, index));
+    const changed = next.some((domain, index) => domain.length !== snapshot[index].length);
+    if (!changed) break;
+    rounds += 1;
+    domains = next;
+    contradiction = domains.some((domain) => domain.length === 0);
+  }
+  const forced = domains.filter(
+    (domain, index) => domain.length === 1 && initialDomains[index].length > 1
+  ).length;
+  const unresolved = contradiction ? 0 : domains.filter((domain) => domain.length > 1).length;
+  const branching = unresolved > 0;
+  const { stats, count } = branching
+    ? solveBoard(tiles, { limit: 1 })
+    : { stats: { nodes: 1, backtracks: 0 }, count: contradiction ? 0 : 1 };
+  const guesses = Math.max(0, stats.nodes - 1);
+  const score = clampValue(
+    Math.round(freedom * 0.5 + rounds * 3 + unresolved * 1.5 + guesses * 6 + stats.backtracks * 4),
+    0,
+    100
+  );
+  return {
+    solvable: count > 0,
+    rotatable,
+    forced,
+    rounds,
+    unresolved,
+    branching,
+    guesses,
+    backtracks: stats.backtracks,
+    score: options.length > 0 ? score : 0
+  };
+}
+
+// Spikes and dips compare a level with the average of its scored neighbours; the ramp
+// check compares it with the hardest level so far, allowing a little slack.
+export function analyzeDifficultyCurve(
+  scores,
+  { spikeThreshold = CURVE_SPIKE_THRESHOLD, rampTolerance = CURVE_RAMP_TOLERANCE } = {}
+) {
+  let rampMax = null;
+  return scores.map((score, index) => {
+    const level = index + 1;
+    if (!Number.isFinite(score)) {
+      return { level, score: null, spike: false, dip: false, breaksRamp: false };
+    }
+    let prev = null;
+    for (let i = index - 1; i >= 0 && prev === null; i -= 1) {
+      if (Number.isFinite(scores[i])) prev = scores[i];
+    }
+    let next = null;
+    for (let i = index + 1; i < scores.length && next === null; i += 1) {
+      if (Number.isFinite(scores[i])) next = scores[i];
+    }
+    const around = [prev, next].filter((value) => value !== null);
+    const average = around.length
+      ? around.reduce((sum, value) => sum + value, 0) / around.length
+      : score;
+    const breaksRamp = rampMax !== null && score < rampMax - rampTolerance;
+    rampMax = rampMax === null ? score : Math.max(rampMax, score);
+    return {
+      level,
+      score,
+      spike: around.length === 2 && score - average > spikeThreshold,
+      dip: around.length === 2 && average - score > spikeThreshold,
+      breaksRamp
+    };
+  });
+}
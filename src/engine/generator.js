@@ -0,0 +1,857 @@
+import { ROWS, COLS } from "./constants.js";
+import { hashStringToInt, mulberry32 } from "./random.js";
+import { getTileSides, pickTypeForEdges, oppositeDir } from "./tiles.js";
+import { isBoundaryCell, stepCell } from "./grid.js";
+import { clampValue, parseProgressionSeed, progressionSettingsToBoardConfig } from "./seeds.js";
+import {
+  countTerminals,
+  countCurves,
+  isEdgeGraphConnected,
+  hasCloseTerminals,
+  maxTerminalCluster,
+  maxStraightRun
+} from "./metrics.js";
+import { computeConnections, computeCompleteDirs } from "./connections.js";
+import { pinUniqueSolution } from "./solver.js";
+import { generateHexEdges } from "./hexGenerator.js";
+
+function getSymmetricCells(r, c, rows, cols) {
+  const set = new Set();
+  const pairs = [
+    [r, c],
+    [rows - 1 - r, c],
+    [r, cols - 1 - c],
+    [rows - 1 - r, cols - 1 - c]
+  ];
+  pairs.forEach(([rr, cc]) => set.add(`${rr}-${cc}`));
+  return Array.from(set);
+}
+
+function applySymmetricBlanks(
+  edgesByCell,
+  rows,
+  cols,
+  rand,
+  targetCells,
+  clusterCount,
+  minClusterCells = 0,
+  maxEmptyRowRun = Infinity,
+  maxEmptyColRun = Infinity,
+  centerBias = 0,
+  wrap = false
+) {
+  if (targetCells <= 0) return;
+  const gridRows = Math.ceil(rows / 2);
+  const gridCols = Math.ceil(cols / 2);
+  const groups = [];
+  const indexGrid = Array.from({ length: gridRows }, () => Array(gridCols).fill(-1));
+  for (let r = 0; r < gridRows; r += 1) {
+    for (let c = 0; c < gridCols; c += 1) {
+      const cells = getSymmetricCells(r, c, rows, cols);
+      if (cells.length !== 4) {
+        continue;
+      }
+      const index = groups.length;
+      groups.push({ r, c, cells });
+      indexGrid[r][c] = index;
+    }
+  }
+  const totalGroups = groups.length;
+  const maxBlankGroups = Math.max(0, totalGroups - 1);
+  const groupTarget = Math.min(
+    maxBlankGroups,
+    Math.max(1, Math.round(targetCells / 4))
+  );
+
+  const biasStrength = clampValue(centerBias, 0, 1);
+  const centerRow = (rows - 1) / 2;
+  const centerCol = (cols - 1) / 2;
+  const maxDist = Math.abs(centerRow) + Math.abs(centerCol) || 1;
+  const groupWeights = groups.map((group) => {
+    if (biasStrength <= 0) return 1;
+    const dist =
+      Math.abs(group.r - centerRow) + Math.abs(group.c - centerCol);
+    const normalized = dist / maxDist;
+    const power = 1 + biasStrength * 2.5;
+    const weighted = Math.pow(normalized, power);
+    return 1 + weighted * (1 + biasStrength * 8);
+  });
+
+  const pickWeightedIndex = (available) => {
+    if (available.length === 0) return -1;
+    if (biasStrength <= 0 || rand() > biasStrength) {
+      return available[Math.floor(rand() * available.length)];
+    }
+    let total = 0;
+    available.forEach((idx) => {
+      total += groupWeights[idx] ?? 1;
+    });
+    let roll = rand() * total;
+    for (let i = 0; i < available.length; i += 1) {
+      const idx = available[i];
+      roll -= groupWeights[idx] ?? 1;
+      if (roll <= 0) return idx;
+    }
+    return available[available.length - 1];
+  };
+
+  const selectGroupsInClusters = (clusterCountValue) => {
+    const minGroups = Math.max(1, Math.ceil(minClusterCells / 4));
+    const chosen = new Set();
+    const clusters = [];
+    const clusterTotal = Math.max(1, clusterCountValue || 1);
+    const maxClusterTotal = Math.max(1, Math.floor(groupTarget / minGroups));
+    const finalClusterTotal = Math.min(clusterTotal, maxClusterTotal);
+    for (let i = 0; i < finalClusterTotal; i += 1) {
+      const available = [];
+      for (let idx = 0; idx < groups.length; idx += 1) {
+        if (!chosen.has(idx)) available.push(idx);
+      }
+      const seedIndex = pickWeightedIndex(available);
+      if (seedIndex >= 0) {
+        chosen.add(seedIndex);
+        clusters.push([seedIndex]);
+      }
+    }
+
+    const neighborIndices = (group) => {
+      const dirs = [
+        [1, 0],
+        [-1, 0],
+        [0, 1],
+        [0, -1]
+      ];
+      const list = [];
+      dirs.forEach(([dr, dc]) => {
+        const nr = group.r + dr;
+        const nc = group.c + dc;
+        if (nr >= 0 && nr < gridRows && nc >= 0 && nc < gridCols) {
+          const idx = indexGrid[nr][nc];
+          if (idx >= 0) list.push(idx);
+        }
+      });
+      return list;
+    };
+
+    while (chosen.size < groupTarget) {
+      const clusterIndex = Math.floor(rand() * clusters.length);
+      const cluster = clusters[clusterIndex];
+      const anchorIndex = cluster[Math.floor(rand() * cluster.length)];
+      const neighbors = neighborIndices(groups[anchorIndex]).filter((idx) => !chosen.has(idx));
+      if (neighbors.length > 0) {
+        const nextIndex = neighbors[Math.floor(rand() * neighbors.length)];
+        chosen.add(nextIndex);
+        cluster.push(nextIndex);
+        if (cluster.length < minGroups) {
+          continue;
+        }
+      } else {
+        const available = [];
+        for (let idx = 0; idx < groups.length; idx += 1) {
+          if (!chosen.has(idx)) available.push(idx);
+        }
+        const nextIndex = pickWeightedIndex(available);
+        if (nextIndex >= 0) {
+          chosen.add(nextIndex);
+          cluster.push(nextIndex);
+          if (cluster.length < minGroups) {
+            continue;
+          }
+        } else {
+          break;
+        }
+      }
+    }
+    return Array.from(chosen);
+  };
+
+  const isConnected = (blankSet) => {
+    const total = rows * cols - blankSet.size;
+    if (total <= 0) return true;
+    let start = null;
+    for (let r = 0; r < rows && !start; r += 1) {
+      for (let c = 0; c < cols; c += 1) {
+        const key = `${r}-${c}`;
+        if (!blankSet.has(key)) {
+          start = [r, c];
+          break;
+        }
+      }
+    }
+    if (!start) return true;
+    const queue = [start];
+    const visited = new Set([`${start[0]}-${start[1]}`]);
+    while (queue.length) {
+      const [r, c] = queue.shift();
+      [2, 0, 1, 3].forEach((dir) => {
+        const cell = stepCell(r, c, dir, rows, cols, wrap);
+        if (!cell) return;
+        const [nr, nc] = cell;
+        const key = `${nr}-${nc}`;
+        if (blankSet.has(key) || visited.has(key)) return;
+        visited.add(key);
+        queue.push([nr, nc]);
+      });
+    }
+    return visited.size === total;
+  };
+
+  const maxEmptyRun = (blankSet, axis) => {
+    let maxRun = 0;
+    let run = 0;
+    const outer = axis === "row" ? rows : cols;
+    const inner = axis === "row" ? cols : rows;
+    for (let o = 0; o < outer; o += 1) {
+      let empty = true;
+      for (let i = 0; i < inner; i += 1) {
+        const r = axis === "row" ? o : i;
+        const c = axis === "row" ? i : o;
+        if (!blankSet.has(`${r}-${c}`)) {
+          empty = false;
+          break;
+        }
+      }
+      if (empty) {
+        run += 1;
+        if (run > maxRun) maxRun = run;
+      } else {
+        run = 0;
+      }
+    }
+    return maxRun;
+  };
+
+  let blanks = new Set();
+  let attempts = 0;
+  while (attempts < 40) {
+    blanks = new Set();
+    const grouped = selectGroupsInClusters(clusterCount);
+    const blankGroups = new Set(grouped);
+    for (const groupIndex of grouped) {
+      if (blanks.size >= groupTarget * 4) break;
+      groups[groupIndex].cells.forEach((key) => blanks.add(key));
+    }
+    if (
+      biasStrength >= 0.4 &&
+      blankGroups.size > 0 &&
+      blankGroups.size < totalGroups
+    ) {
+      const keepGroups = [];
+      for (let i = 0; i < totalGroups; i += 1) {
+        if (!blankGroups.has(i)) keepGroups.push(i);
+      }
+      const keepCount = keepGroups.length;
+      if (keepCount > 0) {
+        const sortedByCenter = Array.from({ length: totalGroups }, (_, idx) => idx).sort(
+          (a, b) => {
+            const da =
+              Math.abs(groups[a].r - centerRow) + Math.abs(groups[a].c - centerCol);
+            const db =
+              Math.abs(groups[b].r - centerRow) + Math.abs(groups[b].c - centerCol);
+            return da - db;
+          }
+        );
+        const desiredCount = Math.max(1, Math.round(keepCount * biasStrength));
+        const desiredSet = new Set(sortedByCenter.slice(0, desiredCount));
+        const missing = Array.from(desiredSet).filter((idx) => blankGroups.has(idx));
+        if (missing.length > 0) {
+          const removable = keepGroups
+            .filter((idx) => !desiredSet.has(idx))
+            .sort((a, b) => {
+              const da =
+                Math.abs(groups[a].r - centerRow) + Math.abs(groups[a].c - centerCol);
+              const db =
+                Math.abs(groups[b].r - centerRow) + Math.abs(groups[b].c - centerCol);
+              return db - da;
+            });
+          const swapCount = Math.min(missing.length, removable.length);
+          if (swapCount > 0) {
+            for (let i = 0; i < swapCount; i += 1) {
+              blankGroups.delete(missing[i]);
+              blankGroups.add(removable[i]);
+            }
+            blanks = new Set();
+            blankGroups.forEach((idx) => {
+              groups[idx].cells.forEach((key) => blanks.add(key));
+            });
+          }
+        }
+      }
+    }
+    const emptyRowRun = maxEmptyRun(blanks, "row");
+    const emptyColRun = maxEmptyRun(blanks, "col");
+    if (
+      blanks.size === groupTarget * 4 &&
+      isConnected(blanks) &&
+      emptyRowRun <= maxEmptyRowRun &&
+      emptyColRun <= maxEmptyColRun
+    ) {
+      break;
+    }
+    attempts += 1;
+  }
+
+  blanks.forEach((key) => {
+    const [r, c] = key.split("-").map(Number);
+    const edges = edgesByCell.get(key) || [false, false, false, false];
+    const dirs = [0, 1, 2, 3];
+    dirs.forEach((dir) => {
+      if (!edges[dir]) return;
+      const cell = stepCell(r, c, dir, rows, cols, true);
+      const neighborKey = `${cell[0]}-${cell[1]}`;
+      const neighborEdges = edgesByCell.get(neighborKey) || [false, false, false, false];
+      edges[dir] = false;
+      neighborEdges[oppositeDir(dir)] = false;
+      edgesByCell.set(key, edges);
+      edgesByCell.set(neighborKey, neighborEdges);
+    });
+    edgesByCell.set(key, [false, false, false, false]);
+  });
+}
+
+function mirrorCoord(r, c, rows, cols, mode) {
+  if (mode === "v") return [r, cols - 1 - c];
+  if (mode === "h") return [rows - 1 - r, c];
+  if (mode === "vh") return [rows - 1 - r, cols - 1 - c];
+  return [r, c];
+}
+
+function mirrorDir(dir, mode) {
+  let d = dir;
+  if (mode.includes("v")) {
+    if (d === 1) d = 3;
+    else if (d === 3) d = 1;
+  }
+  if (mode.includes("h")) {
+    if (d === 0) d = 2;
+    else if (d === 2) d = 0;
+  }
+  return d;
+}
+
+function canAddEdge(edgesByCell, r1, c1, r2, c2, dir, maxDegree) {
+  const edgesA = edgesByCell.get(`${r1}-${c1}`) || [false, false, false, false];
+  const edgesB = edgesByCell.get(`${r2}-${c2}`) || [false, false, false, false];
+  if (edgesA[dir]) return false;
+  const degreeA = edgesA.filter(Boolean).length;
+  const degreeB = edgesB.filter(Boolean).length;
+  if (degreeA + 1 > maxDegree || degreeB + 1 > maxDegree) return false;
+  return true;
+}
+
+function addEdge(edgesByCell, r1, c1, r2, c2, dir) {
+  const keyA = `${r1}-${c1}`;
+  const keyB = `${r2}-${c2}`;
+  const edgesA = edgesByCell.get(keyA) || [false, false, false, false];
+  const edgesB = edgesByCell.get(keyB) || [false, false, false, false];
+  edgesA[dir] = true;
+  edgesB[oppositeDir(dir)] = true;
+  edgesByCell.set(keyA, edgesA);
+  edgesByCell.set(keyB, edgesB);
+}
+
+// On a wrapping board the walk, the extra edges and the mirror pass may all cross
+// the seam, and no cell counts as a boundary. Flat boards draw the same numbers
+// from `rand` as they always have.
+export function generateSolvedEdges(rows, cols, rand, { wrap = false } = {}) {
+  const edgesByCell = new Map();
+  const visited = new Set();
+  const stack = [];
+
+  const start = [0, 0, null];
+  stack.push(start);
+  visited.add(`${start[0]}-${start[1]}`);
+  edgesByCell.set(`${start[0]}-${start[1]}`, [false, false, false, false]);
+
+  while (stack.length) {
+    const [r, c, prevDir] = stack[stack.length - 1];
+    const neighbors = [];
+    [0, 1, 2, 3].forEach((dir) => {
+      const cell = stepCell(r, c, dir, rows, cols, wrap);
+      if (cell && !visited.has(`${cell[0]}-${cell[1]}`)) neighbors.push([...cell, dir]);
+    });
+
+    if (neighbors.length === 0) {
+      stack.pop();
+      continue;
+    }
+
+    let nextNeighbor = null;
+    if (prevDir !== null && prevDir !== undefined) {
+      const turnDirs = new Set([(prevDir + 1) % 4, (prevDir + 3) % 4]);
+      const turnNeighbors = neighbors.filter((neighbor) => turnDirs.has(neighbor[2]));
+      if (turnNeighbors.length > 0 && rand() < 0.85) {
+        nextNeighbor = turnNeighbors[Math.floor(rand() * turnNeighbors.length)];
+      }
+    }
+    if (!nextNeighbor) {
+      nextNeighbor = neighbors[Math.floor(rand() * neighbors.length)];
+    }
+    const [nr, nc, dir] = nextNeighbor;
+    const currentKey = `${r}-${c}`;
+    const nextKey = `${nr}-${nc}`;
+
+    const currentEdges = edgesByCell.get(currentKey) || [false, false, false, false];
+    const nextEdges = edgesByCell.get(nextKey) || [false, false, false, false];
+    currentEdges[dir] = true;
+    nextEdges[oppositeDir(dir)] = true;
+    edgesByCell.set(currentKey, currentEdges);
+    edgesByCell.set(nextKey, nextEdges);
+
+    visited.add(nextKey);
+    stack.push([nr, nc, dir]);
+  }
+
+  // Add extra edges to create cycles / higher-degree nodes (crosses).
+  const candidates = [];
+  for (let r = 0; r < rows; r += 1) {
+    for (let c = 0; c < cols; c += 1) {
+      if (r < rows - 1 || wrap) candidates.push([r, c, (r + 1) % rows, c, 2]);
+      if (c < cols - 1 || wrap) candidates.push([r, c, r, (c + 1) % cols, 1]);
+    }
+  }
+
+  const maxCrosses = 1;
+  const maxTJunctions = Math.max(2, Math.floor((rows * cols) / 6));
+  const extraEdgesTarget = Math.max(1, Math.floor((rows * cols) / 7));
+  let added = 0;
+  const countCrosses = () => {
+    let count = 0;
+    for (let r = 0; r < rows; r += 1) {
+      for (let c = 0; c < cols; c += 1) {
+        const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
+        if (edges.filter(Boolean).length === 4) count += 1;
+      }
+    }
+    return count;
+  };
+
+  const countTJunctions = () => {
+    let count = 0;
+    for (let r = 0; r < rows; r += 1) {
+      for (let c = 0; c < cols; c += 1) {
+        const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
+        if (edges.filter(Boolean).length === 3) count += 1;
+      }
+    }
+    return count;
+  };
+
+  for (let i = 0; i < candidates.length && added < extraEdgesTarget; i += 1) {
+    const swapIndex = i + Math.floor(rand() * (candidates.length - i));
+    [candidates[i], candidates[swapIndex]] = [candidates[swapIndex], candidates[i]];
+
+    const [r1, c1, r2, c2, dir] = candidates[i];
+    const keyA = `${r1}-${c1}`;
+    const keyB = `${r2}-${c2}`;
+    const edgesA = edgesByCell.get(keyA) || [false, false, false, false];
+    const edgesB = edgesByCell.get(keyB) || [false, false, false, false];
+
+    if (edgesA[dir]) continue;
+
+    const degreeA = edgesA.filter(Boolean).length;
+    const degreeB = edgesB.filter(Boolean).length;
+    if (degreeA >= 4 || degreeB >= 4) continue;
+
+    // Avoid creating a 4-way cross on boundary cells.
+    const nextDegreeA = degreeA + 1;
+    const nextDegreeB = degreeB + 1;
+    if (nextDegreeA === 4 && isBoundaryCell(r1, c1, rows, cols, wrap)) continue;
+    if (nextDegreeB === 4 && isBoundaryCell(r2, c2, rows, cols, wrap)) continue;
+
+    edgesA[dir] = true;
+    edgesB[oppositeDir(dir)] = true;
+    edgesByCell.set(keyA, edgesA);
+    edgesByCell.set(keyB, edgesB);
+    if (countCrosses() <= maxCrosses) {
+      added += 1;
+    } else {
+      edgesA[dir] = false;
+      edgesB[oppositeDir(dir)] = false;
+      edgesByCell.set(keyA, edgesA);
+      edgesByCell.set(keyB, edgesB);
+    }
+  }
+
+  // Promote interior degree-3 nodes to degree-4 when possible (to create crosses).
+  const promotionTargets = [];
+  const inset = wrap ? 0 : 1;
+  for (let r = inset; r < rows - inset; r += 1) {
+    for (let c = inset; c < cols - inset; c += 1) {
+      const key = `${r}-${c}`;
+      const edges = edgesByCell.get(key) || [false, false, false, false];
+      const degree = edges.filter(Boolean).length;
+      if (degree === 3) promotionTargets.push([r, c]);
+    }
+  }
+
+  for (let i = 0; i < promotionTargets.length; i += 1) {
+    const swapIndex = i + Math.floor(rand() * (promotionTargets.length - i));
+    [promotionTargets[i], promotionTargets[swapIndex]] = [
+      promotionTargets[swapIndex],
+      promotionTargets[i]
+    ];
+  }
+
+  for (const [r, c] of promotionTargets) {
+    if (countCrosses() >= maxCrosses) break;
+    const key = `${r}-${c}`;
+    const edges = edgesByCell.get(key) || [false, false, false, false];
+    const missingDirs = [0, 1, 2, 3].filter((dir) => !edges[dir]);
+    for (const dir of missingDirs) {
+      const [nr, nc] = stepCell(r, c, dir, rows, cols, true);
+      const neighborKey = `${nr}-${nc}`;
+      const neighborEdges = edgesByCell.get(neighborKey) || [false, false, false, false];
+      const neighborDegree = neighborEdges.filter(Boolean).length;
+      if (neighborDegree >= 4) continue;
+      if (neighborDegree === 3 && isBoundaryCell(nr, nc, rows, cols, wrap)) continue;
+      edges[dir] = true;
+      neighborEdges[oppositeDir(dir)] = true;
+      edgesByCell.set(key, edges);
+      edgesByCell.set(neighborKey, neighborEdges);
+      if (countCrosses() > maxCrosses) {
+        edges[dir] = false;
+        neighborEdges[oppositeDir(dir)] = false;
+        edgesByCell.set(key, edges);
+        edgesByCell.set(neighborKey, neighborEdges);
+      } else {
+        break;
+      }
+    }
+  }
+
+  // Apply soft 4-way symmetry to edges (mirror with small omissions).
+  const softness = 0.18;
+  const keys = Array.from(edgesByCell.keys());
+  keys.forEach((key) => {
+    const [r, c] = key.split("-").map(Number);
+    const edges = edgesByCell.get(key) || [false, false, false, false];
+    edges.forEach((hasEdge, dir) => {
+      if (!hasEdge) return;
+      const [vr, vc] = mirrorCoord(r, c, rows, cols, "v");
+      const [hr, hc] = mirrorCoord(r, c, rows, cols, "h");
+      const [vrh, vch] = mirrorCoord(r, c, rows, cols, "vh");
+      const dirV = mirrorDir(dir, "v");
+      const dirH = mirrorDir(dir, "h");
+      const dirVH = mirrorDir(dir, "vh");
+
+      const mirrorPairs = [
+        [vr, vc, dirV],
+        [hr, hc, dirH],
+        [vrh, vch, dirVH]
+      ];
+
+      mirrorPairs.forEach(([mr, mc, mdir]) => {
+        if (rand() < softness) return;
+        const cell = stepCell(mr, mc, mdir, rows, cols, wrap);
+        if (!cell) return;
+        const [nr, nc] = cell;
+        if (canAddEdge(edgesByCell, mr, mc, nr, nc, mdir, 3)) {
+          addEdge(edgesByCell, mr, mc, nr, nc, mdir);
+        }
+      });
+    });
+  });
+
+  // Defensive pass: if a boundary cell ended up with degree 4, drop one edge.
+  for (let r = 0; r < rows; r += 1) {
+    for (let c = 0; c < cols; c += 1) {
+      if (!isBoundaryCell(r, c, rows, cols, wrap)) continue;
+      const key = `${r}-${c}`;
+      const edges = edgesByCell.get(key) || [false, false, false, false];
+      const degree = edges.filter(Boolean).length;
+      if (degree !== 4) continue;
+      const dirs = [0, 1, 2, 3].filter((d) => edges[d]);
+      const dropDir = dirs[Math.floor(rand() * dirs.length)];
+      const [nr, nc] = stepCell(r, c, dropDir, rows, cols, true);
+      const neighborKey = `${nr}-${nc}`;
+      const neighborEdges = edgesByCell.get(neighborKey) || [false, false, false, false];
+      edges[dropDir] = false;
+      neighborEdges[oppositeDir(dropDir)] = false;
+      edgesByCell.set(key, edges);
+      edgesByCell.set(neighborKey, neighborEdges);
+    }
+  }
+
+  const isConnectedGraph = () => {
+    const start = "0-0";
+    const visitedNodes = new Set();
+    const stackNodes = [start];
+    while (stackNodes.length) {
+      const key = stackNodes.pop();
+      if (visitedNodes.has(key)) continue;
+      visitedNodes.add(key);
+      const [r, c] = key.split("-").map(Number);
+      const edges = edgesByCell.get(key) || [false, false, false, false];
+      edges.forEach((hasEdge, dir) => {
+        if (!hasEdge) return;
+        const cell = stepCell(r, c, dir, rows, cols, wrap);
+        if (!cell) return;
+        stackNodes.push(`${cell[0]}-${cell[1]}`);
+      });
+    }
+    return visitedNodes.size === rows * cols;
+  };
+
+  const canRemoveEdge = (r, c, dir) => {
+    const cell = stepCell(r, c, dir, rows, cols, wrap);
+    if (!cell) return false;
+    const [nr, nc] = cell;
+    const keyA = `${r}-${c}`;
+    const keyB = `${nr}-${nc}`;
+    const edgesA = edgesByCell.get(keyA) || [false, false, false, false];
+    const edgesB = edgesByCell.get(keyB) || [false, false, false, false];
+    if (!edgesA[dir]) return false;
+    edgesA[dir] = false;
+    edgesB[oppositeDir(dir)] = false;
+    edgesByCell.set(keyA, edgesA);
+    edgesByCell.set(keyB, edgesB);
+    const connected = isConnectedGraph();
+    if (!connected) {
+      edgesA[dir] = true;
+      edgesB[oppositeDir(dir)] = true;
+      edgesByCell.set(keyA, edgesA);
+      edgesByCell.set(keyB, edgesB);
+      return false;
+    }
+    return true;
+  };
+
+  // Enforce hard max cross count by removing non-bridge edges from degree-4 cells.
+  let crosses = countCrosses();
+  if (crosses > maxCrosses) {
+    const crossCells = [];
+    for (let r = 0; r < rows; r += 1) {
+      for (let c = 0; c < cols; c += 1) {
+        const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
+        if (edges.filter(Boolean).length === 4) crossCells.push([r, c]);
+      }
+    }
+    for (let i = 0; i < crossCells.length && crosses > maxCrosses; i += 1) {
+      const swapIndex = i + Math.floor(rand() * (crossCells.length - i));
+      [crossCells[i], crossCells[swapIndex]] = [crossCells[swapIndex], crossCells[i]];
+      const [r, c] = crossCells[i];
+      const dirs = [0, 1, 2, 3];
+      for (let d = 0; d < dirs.length && crosses > maxCrosses; d += 1) {
+        const dir = dirs[d];
+        if (canRemoveEdge(r, c, dir)) {
+          crosses = countCrosses();
+          break;
+        }
+      }
+    }
+  }
+
+  // Reduce degree-3 nodes to balance tile types.
+  let tCount = countTJunctions();
+  if (tCount > maxTJunctions) {
+    const tCells = [];
+    for (let r = 0; r < rows; r += 1) {
+      for (let c = 0; c < cols; c += 1) {
+        const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
+        if (edges.filter(Boolean).length === 3) tCells.push([r, c]);
+      }
+    }
+    for (let i = 0; i < tCells.length && tCount > maxTJunctions; i += 1) {
+      const swapIndex = i + Math.floor(rand() * (tCells.length - i));
+      [tCells[i], tCells[swapIndex]] = [tCells[swapIndex], tCells[i]];
+      const [r, c] = tCells[i];
+      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
+      const dirs = [0, 1, 2, 3].filter((dir) => edges[dir]);
+      for (let d = 0; d < dirs.length && tCount > maxTJunctions; d += 1) {
+        if (canRemoveEdge(r, c, dirs[d])) {
+          tCount = countTJunctions();
+          break;
+        }
+      }
+    }
+  }
+
+  return edgesByCell;
+}
+
+const DIFFICULTY_BLANKS = {
+  easy: { min: 13, max: 20, clusters: 3, minClusterCells: 6, maxEmptyRowRun: 2, maxEmptyColRun: 2 },
+  medium: { min: 4, max: 12, clusters: 2, minClusterCells: 6, maxEmptyRowRun: 2, maxEmptyColRun: 2 },
+  hard: { min: 0, max: 0, clusters: 0, minClusterCells: 0, maxEmptyRowRun: 0, maxEmptyColRun: 0 }
+};
+
+const DIFFICULTY_CURVE_RATIOS = {
+  easy: 0.32,
+  medium: 0.28,
+  hard: 0.24
+};
+
+// Progression seeds carry their own constraints; anything else falls back to the
+// Endless defaults for the difficulty. These are targets: when no attempt meets them
+// within the budget, makeBoard keeps its last attempt.
+export function getBoardConstraints(seedText, difficulty = "medium") {
+  const progressionSettings = parseProgressionSeed(seedText);
+  const progressionConfig = progressionSettings
+    ? progressionSettingsToBoardConfig(progressionSettings)
+    : null;
+  const minTerminalsDefault = Math.max(6, Math.floor((ROWS * COLS) * 0.12));
+  const maxTerminalsDefault = Math.max(minTerminalsDefault + 2, Math.floor((ROWS * COLS) * 0.22));
+  return {
+    rows: progressionConfig?.rows ?? ROWS,
+    cols: progressionConfig?.cols ?? COLS,
+    blanks: progressionConfig?.blanks || DIFFICULTY_BLANKS[difficulty] || DIFFICULTY_BLANKS.medium,
+    curveRatio: progressionConfig?.curveRatio ?? DIFFICULTY_CURVE_RATIOS[difficulty] ?? 0.28,
+    minTerminals: progressionConfig?.minTerminals ?? minTerminalsDefault,
+    maxTerminals: progressionConfig?.maxTerminals ?? maxTerminalsDefault,
+    maxStraightRunAllowed: progressionConfig?.maxStraightRunAllowed ?? 4,
+    minTerminalDistance: progressionConfig?.minTerminalDistance ?? 2,
+    maxTerminalClusterAllowed: progressionConfig?.maxTerminalClusterAllowed ?? 3,
+    requireUnique: progressionConfig?.requireUnique ?? false,
+    wrap: progressionConfig?.wrap ?? false,
+    shape: progressionConfig?.shape ?? "square"
+  };
+}
+
+// Names the constraints an edge map breaks; an empty list means makeBoard would accept it.
+// Straight runs and curve counts are square-grid ideas, so hex maps skip them.
+export function getConstraintViolations(edgesByCell, rows, cols, constraints) {
+  const violations = [];
+  const shape = constraints.shape === "hex" ? "hex" : "square";
+  const wrap = shape === "square" && Boolean(constraints.wrap);
+  const terminals = countTerminals(edgesByCell, rows, cols);
+  if (terminals < constraints.minTerminals || terminals > constraints.maxTerminals) {
+    violations.push("terminals");
+  }
+  if (
+    shape === "square" &&
+    maxStraightRun(edgesByCell, rows, cols) > constraints.maxStraightRunAllowed
+  ) {
+    violations.push("straightRun");
+  }
+  if (hasCloseTerminals(edgesByCell, rows, cols, constraints.minTerminalDistance, wrap, shape)) {
+    violations.push("terminalSpacing");
+  }
+  if (maxTerminalCluster(edgesByCell, rows, cols, wrap, shape) > constraints.maxTerminalClusterAllowed) {
+    violations.push("terminalCluster");
+  }
+  if (!isEdgeGraphConnected(edgesByCell, rows, cols, wrap, shape)) {
+    violations.push("connectivity");
+  }
+  const { curves, nonBlank } = countCurves(edgesByCell, rows, cols);
+  // Eight curves on the default board, scaled with area so small boards can pass.
+  const curveFloor = Math.max(1, Math.round((8 * rows * cols) / (ROWS * COLS)));
+  const minCurves =
+    nonBlank === 0 ? 0 : Math.max(curveFloor, Math.round(nonBlank * constraints.curveRatio));
+  if (shape === "square" && curves < minCurves) {
+    violations.push("curves");
+  }
+  return violations;
+}
+
+export function makeBoard(seedText, difficulty = "medium", options = {}) {
+  const seed = hashStringToInt(seedText || "zen");
+  let rand = mulberry32(seed);
+  let edgesByCell = null;
+  const constraints = getBoardConstraints(seedText, difficulty);
+  const { rows, cols } = constraints;
+  const baseConfig = constraints.blanks;
+  const blankMin = Math.max(0, Math.floor(baseConfig.min));
+  const blankMax = Math.max(blankMin, Math.floor(baseConfig.max));
+  const requireUnique = options.unique ?? constraints.requireUnique;
+  const shape = options.shape ?? constraints.shape;
+  // Hex boards never wrap and are never carved; see grid.js and hexGenerator.js.
+  const wrap = shape === "square" && (options.wrap ?? constraints.wrap);
+  const boardConstraints = { ...constraints, wrap, shape };
+  const stepDegrees = shape === "hex" ? 60 : 90;
+  const buildTiles = () => {
+    const built = [];
+    for (let r = 0; r < rows; r += 1) {
+      for (let c = 0; c < cols; c += 1) {
+        const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
+        const { type, rotation } = pickTypeForEdges(edges);
+        built.push({
+          id: `${r}-${c}`,
+          r,
+          c,
+          type,
+          rotation: rotation,
+          rotationDegrees: rotation * stepDegrees,
+          targetRotation: rotation,
+          ...(wrap ? { wrap: true } : {}),
+          ...(shape === "hex" ? { shape: "hex" } : {})
+        });
+      }
+    }
+    return built;
+  };
+  let tiles = null;
+  let uniqueFallbackEdges = null;
+  let attemptSeed = 0;
+  while (attemptSeed < 60) {
+    tiles = null;
+    rand = mulberry32(seed + attemptSeed * 97);
+    edgesByCell =
+      shape === "hex"
+        ? generateHexEdges(rows, cols, rand)
+        : generateSolvedEdges(rows, cols, rand, { wrap });
+    if (blankMax > 0 && shape === "square") {
+      const targetCount = blankMin + Math.floor(rand() * (blankMax - blankMin + 1));
+      applySymmetricBlanks(
+        edgesByCell,
+        rows,
+        cols,
+        rand,
+        targetCount,
+        baseConfig.clusters,
+        baseConfig.minClusterCells,
+        baseConfig.maxEmptyRowRun,
+        baseConfig.maxEmptyColRun,
+        baseConfig.centerBias ?? 0,
+        wrap
+      );
+    }
+    if (getConstraintViolations(edgesByCell, rows, cols, boardConstraints).length === 0) {
+      if (!requireUnique) break;
+      uniqueFallbackEdges ??= edgesByCell;
+      tiles = buildTiles();
+      if (pinUniqueSolution(tiles, rand)) break;
+    }
+    attemptSeed += 1;
+  }
+  if (!tiles) {
+    if (requireUnique && uniqueFallbackEdges) edgesByCell = uniqueFallbackEdges;
+    tiles = buildTiles();
+    // No attempt came out unique within a few pins, so the first board that met the
+    // constraints pins as many tiles as it takes. Pinning every tile an alternative
+    // solution disagrees on always gets there; the throw guards that promise.
+    if (requireUnique && !pinUniqueSolution(tiles, rand, tiles.length)) {
+      throw new Error(`makeBoard: no unique board for seed "${seedText}"`);
+    }
+  }
+
+  const scrambleWithoutSolved = () => {
+    const next = tiles.map((tile) => {
+      if (tile.fixed) return tile;
+      const sides = getTileSides(tile);
+      const offset = Math.floor(rand() * sides);
+      const rotationScrambled = (tile.targetRotation + offset) % sides;
+      return {
+        ...tile,
+        rotation: rotationScrambled,
+        rotationDegrees: rotationScrambled * (360 / sides)
+      };
+    });
+    const connections = computeConnections(next);
+    const completeDirs = computeCompleteDirs(next, connections);
+    const hasSolved = next.some((tile) => {
+      const dirs = completeDirs.get(tile.id) || [false, false, false, false];
+      return dirs.some(Boolean);
+    });
+    return { next, hasSolved };
+  };
+
+  let attempt = 0;
+  let result = scrambleWithoutSolved();
+  while (result.hasSolved && attempt < 20) {
+    attempt += 1;
+    result = scrambleWithoutSolved();
+  }
+
+  return result.next;
+}
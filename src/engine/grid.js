@@ -0,0 +1,99 @@
+// Grid geometry. Square boards index directions [north, east, south, west]; hex
+// boards use pointy-top cells with odd rows shifted half a cell right, and index
+// [north-east, east, south-east, south-west, west, north-west]. Either way
+// direction d faces d + sides / 2. On a wrapping square board the left edge meets
+// the right and the top meets the bottom; hex boards never wrap.
+
+export const DIR_OFFSETS = [
+  [-1, 0],
+  [0, 1],
+  [1, 0],
+  [0, -1]
+];
+
+// Hex offsets depend on whether the row is shifted: [even rows, odd rows].
+export const HEX_DIR_OFFSETS = [
+  [
+    [-1, 0],
+    [0, 1],
+    [1, 0],
+    [1, -1],
+    [0, -1],
+    [-1, -1]
+  ],
+  [
+    [-1, 1],
+    [0, 1],
+    [1, 1],
+    [1, 0],
+    [0, -1],
+    [-1, 0]
+  ]
+];
+
+export const GRID_SIDES = { square: 4, hex: 6 };
+
+// The cell one step from (r, c) in `dir`, or null when that step leaves a flat board.
+export function stepCell(r, c, dir, rows, cols, wrap = false, shape = "square") {
+  const [dr, dc] = shape === "hex" ? HEX_DIR_OFFSETS[r % 2][dir] : DIR_OFFSETS[dir];
+  const nr = r + dr;
+  const nc = c + dc;
+  if (wrap && shape !== "hex") return [(nr + rows) % rows, (nc + cols) % cols];
+  if (nr < 0 || nc < 0 || nr >= rows || nc >= cols) return null;
+  return [nr, nc];
+}
+
+// Steps between two cells; used to space terminals apart.
+export function gridDistance(a, b, rows, cols, wrap = false, shape = "square") {
+  if (shape === "hex") {
+    const toCube = ([r, c]) => {
+      const x = c - (r - (r % 2)) / 2;
+      return [x, r, -x - r];
+    };
+    const [ax, ay, az] = toCube(a);
+    const [bx, by, bz] = toCube(b);
+    return Math.max(Math.abs(ax - bx), Math.abs(ay - by), Math.abs(az - bz));
+  }
+  let dr = Math.abs(a[0] - b[0]);
+  let dc = Math.abs(a[1] - b[1]);
+  if (wrap) {
+    dr = Math.min(dr, rows - dr);
+    dc = Math.min(dc, cols - dc);
+  }
+  return dr + dc;
+}
+
+export function isBoundaryCell(r, c, rows, cols, wrap = false) {
+  if (wrap) return false;
+  return r === 0 || c === 0 || r === rows - 1 || c === cols - 1;
+}
+
+export function getBoardDimensions(tiles) {
+  return {
+    rows: tiles.reduce((max, tile) => Math.max(max, tile.r + 1), 0),
+    cols: tiles.reduce((max, tile) => Math.max(max, tile.c + 1), 0)
+  };
+}
+
+export function isWrapBoard(tiles) {
+  return tiles.some((tile) => tile.wrap);
+}
+
+export function getBoardShape(tiles) {
+  return tiles.some((tile) => tile.shape === "hex") ? "hex" : "square";
+}
+
+// For each tile, the indices of its neighbours in direction order (-1 where there is none).
+export function getNeighborIndices(tiles) {
+  const { rows, cols } = getBoardDimensions(tiles);
+  const wrap = isWrapBoard(tiles);
+  const shape = getBoardShape(tiles);
+  const indexByPos = new Map();
+  tiles.forEach((tile, index) => indexByPos.set(`${tile.r}-${tile.c}`, index));
+  return tiles.map((tile) =>
+    Array.from({ length: GRID_SIDES[shape] }, (_, dir) => {
+      const cell = stepCell(tile.r, tile.c, dir, rows, cols, wrap, shape);
+      return cell ? indexByPos.get(`${cell[0]}-${cell[1]}`) ?? -1 : -1;
+    })
+  );
+}
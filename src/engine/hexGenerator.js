@@ -0,0 +1,75 @@
+// Solved layouts for hex boards: a growing-tree network with a few loops added,
+// never giving a cell more than three edges so every cell maps to a hex tile.
+
+import { stepCell } from "./grid.js";
+import { oppositeDir } from "./tiles.js";
+
+const HEX_SIDES = 6;
+const MAX_HEX_DEGREE = 3;
+// Chance of growing from the newest cell rather than a random one; higher values
+// give longer corridors and fewer terminals.
+const NEWEST_BIAS = 0.75;
+
+export function generateHexEdges(rows, cols, rand) {
+  const edgesByCell = new Map();
+  for (let r = 0; r < rows; r += 1) {
+    for (let c = 0; c < cols; c += 1) {
+      edgesByCell.set(`${r}-${c}`, Array(HEX_SIDES).fill(false));
+    }
+  }
+  const degree = (r, c) => edgesByCell.get(`${r}-${c}`).filter(Boolean).length;
+  const link = (r, c, dir, nr, nc) => {
+    edgesByCell.get(`${r}-${c}`)[dir] = true;
+    edgesByCell.get(`${nr}-${nc}`)[oppositeDir(dir, HEX_SIDES)] = true;
+  };
+
+  const visited = new Set(["0-0"]);
+  const active = [[0, 0]];
+  while (active.length) {
+    const index =
+      rand() < NEWEST_BIAS ? active.length - 1 : Math.floor(rand() * active.length);
+    const [r, c] = active[index];
+    const open = [];
+    if (degree(r, c) < MAX_HEX_DEGREE) {
+      for (let dir = 0; dir < HEX_SIDES; dir += 1) {
+        const cell = stepCell(r, c, dir, rows, cols, false, "hex");
+        if (cell && !visited.has(`${cell[0]}-${cell[1]}`)) open.push([...cell, dir]);
+      }
+    }
+    if (open.length === 0) {
+      active.splice(index, 1);
+      continue;
+    }
+    const [nr, nc, dir] = open[Math.floor(rand() * open.length)];
+    link(r, c, dir, nr, nc);
+    visited.add(`${nr}-${nc}`);
+    active.push([nr, nc]);
+  }
+
+  // Close a few loops. Only the east-facing half of the directions is listed so
+  // each pair of cells appears once.
+  const candidates = [];
+  for (let r = 0; r < rows; r += 1) {
+    for (let c = 0; c < cols; c += 1) {
+      [1, 2, 3].forEach((dir) => {
+        const cell = stepCell(r, c, dir, rows, cols, false, "hex");
+        if (cell) candidates.push([r, c, dir, ...cell]);
+      });
+    }
+  }
+  const extraEdgesTarget = Math.max(1, Math.floor((rows * cols) / 12));
+  let added = 0;
+  for (let i = 0; i < candidates.length && added < extraEdgesTarget; i += 1) {
+    const swapIndex = i + Math.floor(rand() * (candidates.length - i));
+    [candidates[i], candidates[swapIndex]] = [candidates[swapIndex], candidates[i]];
+    const [r, c, dir, nr, nc] = candidates[i];
+    if (edgesByCell.get(`${r}-${c}`)[dir]) continue;
+    // A cell the tree walled in stays blank; don't grow it a stray stub.
+    if (degree(r, c) === 0 || degree(nr, nc) === 0) continue;
+    if (degree(r, c) >= MAX_HEX_DEGREE || degree(nr, nc) >= MAX_HEX_DEGREE) continue;
+    link(r, c, dir, nr, nc);
+    added += 1;
+  }
+
+  return edgesByCell;
+}
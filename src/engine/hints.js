@@ -0,0 +1,12 @@
+// Progressive mode's hint limit is per level, not per board: resetting or
+// replaying a level draws on the same allowance.
+export const PROGRESS_HINT_LIMIT = 3;
+
+// `hintsByLevel` maps level numbers to the hints taken on them.
+export function getHintsLeft(hintsByLevel, level, limit = PROGRESS_HINT_LIMIT) {
+  return Math.max(0, limit - (hintsByLevel[level] ?? 0));
+}
+
+export function recordHint(hintsByLevel, level) {
+  return { ...hintsByLevel, [level]: (hintsByLevel[level] ?? 0) + 1 };
+}
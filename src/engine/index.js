@@ -0,0 +1,139 @@
+/**
+ * Zen puzzle engine.
+ *
+ * Framework-free: nothing here touches React, the DOM or Vite, so the app, the
+ * board worker, Node scripts and tests all import from this file.
+ *
+ * Boards are flat arrays of tiles in row-major order:
+ *   { id: "r-c", r, c, type, rotation, rotationDegrees, targetRotation, fixed?, wrap?, shape? }
+ * `type` is one of TILE_TYPES (plus "crossCurve"), `rotation` counts clockwise
+ * quarter turns, and `targetRotation` is the rotation the generator solved it in.
+ * Edges are [north, east, south, west] booleans. Tiles on a wrap-around board
+ * carry `wrap: true`: the left edge meets the right and the top meets the bottom.
+ *
+ * Hex boards carry `shape: "hex"` on every tile. Their types are HEX_TILE_TYPES
+ * (plus "blank"), edges are [NE, E, SE, SW, W, NW] and a rotation step is 60°;
+ * odd rows sit half a cell to the right. getTileSides(tile) says which kind a
+ * tile is, and everything under "Board state" and "Analysis" works on both.
+ *
+ * Generation
+ *   makeBoard(seedText, difficulty?, { unique?, wrap?, shape? }) → tiles,
+ *     scrambled and never showing a finished connection. Deterministic for a
+ *     given seed. Boards are square-tiled and ROWS × COLS unless the options or
+ *     a progression seed say otherwise; hex boards have no gaps and never wrap.
+ *     Unique boards ("-U" seeds or `unique`) always have exactly one solution:
+ *     makeBoard pins solved tiles until they do.
+ *   getBoardDimensions(tiles) → { rows, cols } of a generated board.
+ *   getBoardConstraints(seedText, difficulty?) → the limits makeBoard aims for
+ *     (terminal range, straight runs, spacing, blanks…).
+ *   getConstraintViolations(edgeMap, rows, cols, constraints) → names of the
+ *     limits an edge map breaks.
+ *   generateSolvedEdges(rows, cols, rand, { wrap? }) → the connected, blank-free edge map
+ *     every square board starts from, before blanks are carved out.
+ *   generateHexEdges(rows, cols, rand) → the same for hex boards.
+ *
+ * Seeds
+ *   buildProgressionSeed(settings) / parseProgressionSeed(seedText) convert
+ *     between progression settings and "P…" seeds; parse returns null for
+ *     plain Endless seeds. Sizes other than the default are written as a
+ *     "-{rows}x{cols}" suffix, e.g. "P0-0-30-16-4-2-1-2-0-3-4x4"; hex,
+ *     wrap-around and unique boards add "-H", "-W" and "-U" after it.
+ *   normalizeProgressionSettings, normalizeLevelList, progressionSettingsToBoardConfig.
+ *   hashStringToInt(text) and mulberry32(seed) are the RNG behind every board.
+ *   getDailyKey(date?) → the local "YYYY-MM-DD" day; getDailySeed(dayKey) → the
+ *     board seed everyone shares that day. shiftDailyKey(dayKey, days) and
+ *     getDailyStreak(completedKeys, todayKey) count days for streaks.
+ *
+ * Board state
+ *   getEdges(tile), getTileSides(tile), rotateEdges(edges, turns),
+ *     oppositeDir(dir, sides?), pickTypeForEdges(edges) → { type, rotation }.
+ *   getTurnsToTarget(tile) → signed steps to the tile's solved edges, the short
+ *     way round (negative is counter-clockwise).
+ *   stepCell(r, c, dir, rows, cols, wrap?, shape?), getNeighborIndices(tiles),
+ *     getBoardShape(tiles) and isWrapBoard(tiles) answer "who is next to whom".
+ *   computeConnections(tiles) → Map of id → matched edges.
+ *   computeCompleteDirs(tiles, connections) → Map of id → edges that belong to a
+ *     finished network. A board is solved when every edge is complete.
+ *
+ * Analysis
+ *   solveBoard(tiles, { limit }) → { solutions, count, exhausted, stats }.
+ *   countSolutions, isBoardSolvable, hasUniqueSolution, getRotationOptions.
+ *   pickHint(tiles) → { index, rotation, reason } for the next tile to fix, or
+ *     null when every tile already matches the solution. `reason` is "wrong"
+ *     when deduction rules out the tile's current layout, else "constrained".
+ *   estimateDifficulty(tiles) → deduction stats and a 0–100 score.
+ *   computePar(tiles) → fewest moves from this layout to the solution;
+ *     rateSolve(moves, par) → 1–3 stars.
+ *   getHintsLeft(hintsByLevel, level, limit?) and recordHint(hintsByLevel, level)
+ *     keep Progressive's PROGRESS_HINT_LIMIT per level across resets.
+ *   analyzeDifficultyCurve(scores) flags spikes, dips and ramp breaks.
+ *   measureBoard(tiles) → terminals, curves, blanks, longest straight run,
+ *     largest terminal cluster and connectivity of the solved layout; the
+ *     edge-map helpers it is built on are exported for finer checks.
+ */
+
+export { ROWS, COLS, TOTAL_LEVELS, MIN_TILES } from "./constants.js";
+export { hashStringToInt, mulberry32 } from "./random.js";
+export { getDailyKey, getDailySeed, shiftDailyKey, getDailyStreak } from "./daily.js";
+export {
+  TILE_TYPES,
+  HEX_TILE_TYPES,
+  BASE_EDGES,
+  rotateEdges,
+  getEdges,
+  getTileSides,
+  getTurnsToTarget,
+  pickTypeForEdges,
+  oppositeDir
+} from "./tiles.js";
+export {
+  PROGRESSION_SETTINGS_RANGES,
+  DEFAULT_PROGRESSION_SETTINGS,
+  clampValue,
+  normalizeProgressionSettings,
+  normalizeLevelList,
+  buildProgressionSeed,
+  parseProgressionSeed,
+  progressionSettingsToBoardConfig
+} from "./seeds.js";
+export {
+  countTerminals,
+  countCurves,
+  isEdgeGraphConnected,
+  hasCloseTerminals,
+  maxTerminalCluster,
+  maxStraightRun,
+  getSolvedEdgeMap,
+  measureBoard
+} from "./metrics.js";
+export {
+  DIR_OFFSETS,
+  HEX_DIR_OFFSETS,
+  GRID_SIDES,
+  stepCell,
+  gridDistance,
+  isBoundaryCell,
+  getBoardDimensions,
+  isWrapBoard,
+  getBoardShape,
+  getNeighborIndices
+} from "./grid.js";
+export { connectionBitmask, computeConnections, computeCompleteDirs } from "./connections.js";
+export {
+  getRotationOptions,
+  solveBoard,
+  countSolutions,
+  isBoardSolvable,
+  hasUniqueSolution,
+  pickHint
+} from "./solver.js";
+export { estimateDifficulty, analyzeDifficultyCurve } from "./difficulty.js";
+export { computePar, rateSolve } from "./par.js";
+export { PROGRESS_HINT_LIMIT, getHintsLeft, recordHint } from "./hints.js";
+export {
+  generateSolvedEdges,
+  getBoardConstraints,
+  getConstraintViolations,
+  makeBoard
+} from "./generator.js";
+export { generateHexEdges } from "./hexGenerator.js";
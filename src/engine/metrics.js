@@ -0,0 +1,196 @@
+// Measurements over an edge map (Map of "r-c" → edges) used to accept or reject
+// generated boards.
+
+import {
+  getBoardDimensions,
+  getBoardShape,
+  gridDistance,
+  isWrapBoard,
+  stepCell
+} from "./grid.js";
+import { getEdges, oppositeDir } from "./tiles.js";
+
+export function countTerminals(edgesByCell, rows, cols) {
+  let count = 0;
+  for (let r = 0; r < rows; r += 1) {
+    for (let c = 0; c < cols; c += 1) {
+      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
+      if (edges.filter(Boolean).length === 1) count += 1;
+    }
+  }
+  return count;
+}
+
+export function countCurves(edgesByCell, rows, cols) {
+  let curves = 0;
+  let nonBlank = 0;
+  for (let r = 0; r < rows; r += 1) {
+    for (let c = 0; c < cols; c += 1) {
+      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
+      const degree = edges.filter(Boolean).length;
+      if (degree === 0) continue;
+      nonBlank += 1;
+      if (degree === 2) {
+        const isStraight = edges.some((on, dir) => on && edges[oppositeDir(dir, edges.length)]);
+        if (!isStraight) curves += 1;
+      }
+    }
+  }
+  return { curves, nonBlank };
+}
+
+export function isEdgeGraphConnected(edgesByCell, rows, cols, wrap = false, shape = "square") {
+  let start = null;
+  let total = 0;
+  for (let r = 0; r < rows; r += 1) {
+    for (let c = 0; c < cols; c += 1) {
+      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
+      if (edges.filter(Boolean).length > 0) {
+        total += 1;
+        if (!start) start = [r, c];
+      }
+    }
+  }
+  if (total <= 1) return true;
+
+  const visited = new Set();
+  const queue = [start];
+  visited.add(`${start[0]}-${start[1]}`);
+  while (queue.length) {
+    const [r, c] = queue.shift();
+    const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
+    edges.forEach((hasEdge, dir) => {
+      if (!hasEdge) return;
+      const cell = stepCell(r, c, dir, rows, cols, wrap, shape);
+      if (!cell) return;
+      const [nr, nc] = cell;
+      const neighborEdges = edgesByCell.get(`${nr}-${nc}`) || [false, false, false, false];
+      if (neighborEdges.filter(Boolean).length === 0) return;
+      const key = `${nr}-${nc}`;
+      if (visited.has(key)) return;
+      visited.add(key);
+      queue.push([nr, nc]);
+    });
+  }
+  return visited.size === total;
+}
+
+export function hasCloseTerminals(
+  edgesByCell,
+  rows,
+  cols,
+  minDistance,
+  wrap = false,
+  shape = "square"
+) {
+  const terminals = [];
+  for (let r = 0; r < rows; r += 1) {
+    for (let c = 0; c < cols; c += 1) {
+      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
+      if (edges.filter(Boolean).length === 1) terminals.push([r, c]);
+    }
+  }
+  for (let i = 0; i < terminals.length; i += 1) {
+    for (let j = i + 1; j < terminals.length; j += 1) {
+      if (gridDistance(terminals[i], terminals[j], rows, cols, wrap, shape) < minDistance) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+export function maxTerminalCluster(edgesByCell, rows, cols, wrap = false, shape = "square") {
+  const visited = new Set();
+  let maxSize = 0;
+  const isTerminal = (r, c) => {
+    const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
+    return edges.filter(Boolean).length === 1;
+  };
+  for (let r = 0; r < rows; r += 1) {
+    for (let c = 0; c < cols; c += 1) {
+      const key = `${r}-${c}`;
+      if (visited.has(key) || !isTerminal(r, c)) continue;
+      let size = 0;
+      const queue = [[r, c]];
+      visited.add(key);
+      while (queue.length) {
+        const [cr, cc] = queue.shift();
+        size += 1;
+        const dirs = shape === "hex" ? [0, 1, 2, 3, 4, 5] : [2, 0, 1, 3];
+        dirs.forEach((dir) => {
+          const cell = stepCell(cr, cc, dir, rows, cols, wrap, shape);
+          if (!cell) return;
+          const [nr, nc] = cell;
+          const nKey = `${nr}-${nc}`;
+          if (visited.has(nKey) || !isTerminal(nr, nc)) return;
+          visited.add(nKey);
+          queue.push([nr, nc]);
+        });
+      }
+      if (size > maxSize) maxSize = size;
+    }
+  }
+  return maxSize;
+}
+
+export function maxStraightRun(edgesByCell, rows, cols) {
+  let maxRun = 0;
+  for (let c = 0; c < cols; c += 1) {
+    let run = 0;
+    for (let r = 0; r < rows; r += 1) {
+      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
+      const isVertical = edges[0] && edges[2] && !edges[1] && !edges[3];
+      if (isVertical) {
+        run += 1;
+        if (run > maxRun) maxRun = run;
+      } else {
+        run = 0;
+      }
+    }
+  }
+  for (let r = 0; r < rows; r += 1) {
+    let run = 0;
+    for (let c = 0; c < cols; c += 1) {
+      const edges = edgesByCell.get(`${r}-${c}`) || [false, false, false, false];
+      const isHorizontal = edges[1] && edges[3] && !edges[0] && !edges[2];
+      if (isHorizontal) {
+        run += 1;
+        if (run > maxRun) maxRun = run;
+      } else {
+        run = 0;
+      }
+    }
+  }
+  return maxRun;
+}
+
+// Edge map of a board in its solved orientation.
+export function getSolvedEdgeMap(tiles) {
+  const edgesByCell = new Map();
+  tiles.forEach((tile) => {
+    edgesByCell.set(tile.id, getEdges({ ...tile, rotation: tile.targetRotation }));
+  });
+  return edgesByCell;
+}
+
+export function measureBoard(tiles) {
+  const { rows, cols } = getBoardDimensions(tiles);
+  const wrap = isWrapBoard(tiles);
+  const shape = getBoardShape(tiles);
+  const edgesByCell = getSolvedEdgeMap(tiles);
+  const { curves, nonBlank } = countCurves(edgesByCell, rows, cols);
+  return {
+    rows,
+    cols,
+    shape,
+    terminals: countTerminals(edgesByCell, rows, cols),
+    curves,
+    blanks: rows * cols - nonBlank,
+    // Straight runs are only tracked along square rows and columns.
+    longestStraightRun: shape === "hex" ? null : maxStraightRun(edgesByCell, rows, cols),
+    wrap,
+    largestTerminalCluster: maxTerminalCluster(edgesByCell, rows, cols, wrap, shape),
+    connected: isEdgeGraphConnected(edgesByCell, rows, cols, wrap, shape)
+  };
+}
@@ -0,0 +1,15 @@
+import { getTurnsToTarget } from "./tiles.js";
+
+// A 3-star solve takes no more moves than par; 2 stars allow half as many again.
+const TWO_STAR_SLACK = 0.5;
+
+// Fewest single-step rotations that turn the board into its generated solution.
+export function computePar(tiles) {
+  return tiles.reduce((sum, tile) => sum + Math.abs(getTurnsToTarget(tile)), 0);
+}
+
+export function rateSolve(moves, par) {
+  if (moves <= par) return 3;
+  if (moves <= par + Math.ceil(par * TWO_STAR_SLACK)) return 2;
+  return 1;
+}
@@ -0,0 +1,22 @@
+// Deterministic RNG: seeds are hashed to 32 bits and fed to mulberry32, so the same
+// seed text always produces the same board.
+
+export function hashStringToInt(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i += 1) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+export function mulberry32(seed) {
+  let t = seed >>> 0;
+  return function random() {
+    t += 0x6D2B79F5;
+    let x = t;
+    x = Math.imul(x ^ (x >>> 15), x | 1);
+    x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+}
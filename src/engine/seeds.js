@@ -0,0 +1,169 @@
+// Progression settings and the "P…" seed format that encodes them.
+
+import { ROWS, COLS, TOTAL_LEVELS, MIN_TILES } from "./constants.js";
+
+export const PROGRESSION_SETTINGS_RANGES = {
+  gapRate: { min: 0, max: 96 },
+  gapClusters: { min: 0, max: 4 },
+  curveBias: { min: 20, max: 40 },
+  terminalRate: { min: 12, max: 24 },
+  terminalSpacing: { min: 1, max: 5 },
+  straightRunMax: { min: 2, max: 6 },
+  emptyRowMax: { min: 0, max: 5 },
+  emptyColMax: { min: 0, max: 5 },
+  centerBias: { min: 0, max: 100 },
+  variant: { min: 0, max: 9 },
+  unique: { min: 0, max: 1 },
+  wrap: { min: 0, max: 1 },
+  hex: { min: 0, max: 1 },
+  rows: { min: 4, max: 12 },
+  cols: { min: 4, max: 8 }
+};
+
+export const DEFAULT_PROGRESSION_SETTINGS = {
+  gapRate: 18,
+  gapClusters: 2,
+  curveBias: 28,
+  terminalRate: 18,
+  terminalSpacing: 2,
+  straightRunMax: 4,
+  emptyRowMax: 2,
+  emptyColMax: 2,
+  centerBias: 0,
+  variant: 0,
+  unique: 0,
+  wrap: 0,
+  hex: 0,
+  rows: ROWS,
+  cols: COLS
+};
+
+export function clampValue(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+export function normalizeProgressionSettings(settings) {
+  const next = { ...DEFAULT_PROGRESSION_SETTINGS };
+  if (!settings || typeof settings !== "object") return next;
+  Object.entries(PROGRESSION_SETTINGS_RANGES).forEach(([key, range]) => {
+    const raw = Number(settings[key]);
+    if (Number.isFinite(raw)) {
+      next[key] = clampValue(Math.round(raw), range.min, range.max);
+    }
+  });
+  return next;
+}
+
+export function normalizeLevelList(list) {
+  const source = Array.isArray(list)
+    ? list
+    : list && typeof list === "object" && Array.isArray(list.levels)
+      ? list.levels
+      : [];
+  return Array.from({ length: TOTAL_LEVELS }, (_, index) => {
+    const value = source[index];
+    return typeof value === "string" ? value : "";
+  });
+}
+
+export function buildProgressionSeed(settings) {
+  const normalized = normalizeProgressionSettings(settings);
+  // The default size is left out so seeds from before sizes existed stay valid.
+  const isDefaultSize = normalized.rows === ROWS && normalized.cols === COLS;
+  const sizeSuffix = isDefaultSize ? "" : `-${normalized.rows}x${normalized.cols}`;
+  const hexFlag = normalized.hex ? "-H" : "";
+  const wrapFlag = normalized.wrap ? "-W" : "";
+  const uniqueFlag = normalized.unique ? "-U" : "";
+  return `P${normalized.gapRate}-${normalized.gapClusters}-${normalized.curveBias}-${normalized.terminalRate}-${normalized.straightRunMax}-${normalized.terminalSpacing}-${normalized.emptyRowMax}-${normalized.emptyColMax}-${normalized.centerBias}-${normalized.variant}${sizeSuffix}${hexFlag}${wrapFlag}${uniqueFlag}`;
+}
+
+export function parseProgressionSeed(seedText) {
+  if (!seedText || typeof seedText !== "string") return null;
+  const match = seedText.match(
+    /^P(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)(?:-(\d+)x(\d+))?(-H)?(-W)?(-U)?$/i
+  );
+  if (match) {
+    return normalizeProgressionSettings({
+      gapRate: Number(match[1]),
+      gapClusters: Number(match[2]),
+      curveBias: Number(match[3]),
+      terminalRate: Number(match[4]),
+      straightRunMax: Number(match[5]),
+      terminalSpacing: Number(match[6]),
+      emptyRowMax: Number(match[7]),
+      emptyColMax: Number(match[8]),
+      centerBias: Number(match[9]),
+      variant: Number(match[10]),
+      rows: match[11] ? Number(match[11]) : ROWS,
+      cols: match[12] ? Number(match[12]) : COLS,
+      hex: match[13] ? 1 : 0,
+      wrap: match[14] ? 1 : 0,
+      unique: match[15] ? 1 : 0
+    });
+  }
+  const legacyMatch = seedText.match(
+    /^P(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)$/i
+  );
+  if (legacyMatch) {
+    return normalizeProgressionSettings({
+      gapRate: Number(legacyMatch[1]),
+      gapClusters: Number(legacyMatch[2]),
+      curveBias: Number(legacyMatch[3]),
+      terminalRate: Number(legacyMatch[4]),
+      straightRunMax: Number(legacyMatch[5]),
+      terminalSpacing: Number(legacyMatch[6]),
+      emptyRowMax: Number(legacyMatch[7]),
+      emptyColMax: Number(legacyMatch[8]),
+      variant: Number(legacyMatch[9])
+    });
+  }
+  const legacyMatchShort = seedText.match(/^P(\d+)-(\d+)-(\d+)-(\d+)-(\d+)-(\d+)$/i);
+  if (!legacyMatchShort) return null;
+  return normalizeProgressionSettings({
+    gapRate: Number(legacyMatchShort[1]),
+    gapClusters: Number(legacyMatchShort[2]),
+    curveBias: Number(legacyMatchShort[3]),
+    terminalRate: Number(legacyMatchShort[4]),
+    straightRunMax: Number(legacyMatchShort[5]),
+    variant: Number(legacyMatchShort[6])
+  });
+}
+
+export function progressionSettingsToBoardConfig(settings) {
+  const normalized = normalizeProgressionSettings(settings);
+  const { rows, cols } = normalized;
+  const totalCells = rows * cols;
+  const gapCellsRaw = Math.round((totalCells * normalized.gapRate) / 100);
+  const maxBlankCells = Math.max(0, totalCells - MIN_TILES);
+  const maxBlankCellsSnapped = Math.floor(maxBlankCells / 4) * 4;
+  const gapCells = Math.min(
+    maxBlankCellsSnapped,
+    Math.max(0, Math.round(gapCellsRaw / 4) * 4)
+  );
+  const clusters = gapCells === 0 ? 0 : normalized.gapClusters;
+  const minClusterCells = clusters === 0 ? 0 : 4 + clusters * 2;
+  const minTerminals = Math.max(4, Math.round((totalCells * normalized.terminalRate) / 100));
+  const maxTerminals = Math.min(totalCells, minTerminals + 6);
+  return {
+    rows,
+    cols,
+    blanks: {
+      min: gapCells,
+      max: gapCells,
+      clusters,
+      minClusterCells,
+      maxEmptyRowRun: normalized.emptyRowMax,
+      maxEmptyColRun: normalized.emptyColMax,
+      centerBias: normalized.centerBias / 100
+    },
+    curveRatio: normalized.curveBias / 100,
+    minTerminals,
+    maxTerminals,
+    maxStraightRunAllowed: normalized.straightRunMax,
+    minTerminalDistance: normalized.terminalSpacing,
+    maxTerminalClusterAllowed: 3,
+    requireUnique: normalized.unique === 1,
+    wrap: normalized.wrap === 1,
+    shape: normalized.hex === 1 ? "hex" : "square"
+  };
+}
@@ -0,0 +1,219 @@
+import { getNeighborIndices } from "./grid.js";
+import {
+  BASE_EDGES,
+  rotateEdges,
+  getEdges,
+  getTileSides,
+  getTurnsToTarget,
+  edgesEqual,
+  oppositeDir
+} from "./tiles.js";
+
+const MAX_UNIQUE_PINS = 3;
+
+export function getRotationOptions(tile) {
+  if (tile.fixed) {
+    return [{ rotation: tile.rotation, edges: getEdges(tile) }];
+  }
+  const base = BASE_EDGES[tile.type];
+  if (!base || tile.type === "blank") {
+    return [{ rotation: 0, edges: [false, false, false, false] }];
+  }
+  if (tile.type === "crossCurve") {
+    return [{ rotation: tile.rotation ?? 0, edges: [true, true, true, true] }];
+  }
+  const options = [];
+  for (let rotation = 0; rotation < base.length; rotation += 1) {
+    const edges = rotateEdges(base, rotation);
+    if (options.some((option) => edgesEqual(option.edges, edges))) continue;
+    options.push({ rotation, edges });
+  }
+  return options;
+}
+
+// A board is solved when every edge meets a matching edge on its neighbour, so the
+// solver only needs each tile's distinct edge layouts (straights have two, crosses one).
+export function buildSolverModel(tiles) {
+  const options = tiles.map((tile) => getRotationOptions(tile));
+  const neighbors = getNeighborIndices(tiles);
+
+  const edgeValues = (domains, index, dir) => {
+    let canOn = false;
+    let canOff = false;
+    domains[index].forEach((optionIndex) => {
+      if (options[index][optionIndex].edges[dir]) canOn = true;
+      else canOff = true;
+    });
+    return { canOn, canOff };
+  };
+
+  // Keeps the options of `index` that agree with what its neighbours can still show.
+  const filterByNeighbors = (domains, index) =>
+    domains[index].filter((optionIndex) =>
+      options[index][optionIndex].edges.every((hasEdge, dir) => {
+        const neighborIndex = neighbors[index][dir];
+        if (neighborIndex === -1) return !hasEdge;
+        const { canOn, canOff } = edgeValues(
+          domains,
+          neighborIndex,
+          oppositeDir(dir, neighbors[index].length)
+        );
+        return hasEdge ? canOn : canOff;
+      })
+    );
+
+  const propagate = (domains, queue) => {
+    const pending = [...queue];
+    const queued = new Set(pending);
+    while (pending.length) {
+      const index = pending.shift();
+      queued.delete(index);
+      const sides = neighbors[index].length;
+      for (let dir = 0; dir < sides; dir += 1) {
+        const neighborIndex = neighbors[index][dir];
+        if (neighborIndex === -1) continue;
+        const { canOn, canOff } = edgeValues(domains, index, dir);
+        const opposite = oppositeDir(dir, sides);
+        const filtered = domains[neighborIndex].filter((optionIndex) =>
+          options[neighborIndex][optionIndex].edges[opposite] ? canOn : canOff
+        );
+        if (filtered.length === domains[neighborIndex].length) continue;
+        if (filtered.length === 0) return false;
+        domains[neighborIndex] = filtered;
+        if (!queued.has(neighborIndex)) {
+          queued.add(neighborIndex);
+          pending.push(neighborIndex);
+        }
+      }
+    }
+    return true;
+  };
+
+  const initialDomains = options.map((list, index) =>
+    list
+      .map((_, optionIndex) => optionIndex)
+      .filter((optionIndex) =>
+        options[index][optionIndex].edges.every(
+          (hasEdge, dir) => !hasEdge || neighbors[index][dir] !== -1
+        )
+      )
+  );
+
+  return { options, neighbors, initialDomains, filterByNeighbors, propagate };
+}
+
+export function solveBoard(tiles, { limit = 1 } = {}) {
+  const { options, initialDomains, propagate } = buildSolverModel(tiles);
+  const stats = { nodes: 0, backtracks: 0 };
+  const solutions = [];
+
+  const search = (domains) => {
+    if (solutions.length >= limit) return;
+    stats.nodes += 1;
+    let branchIndex = -1;
+    for (let index = 0; index < domains.length; index += 1) {
+      const size = domains[index].length;
+      if (size === 0) return;
+      if (size > 1 && (branchIndex === -1 || size < domains[branchIndex].length)) {
+        branchIndex = index;
+      }
+    }
+    if (branchIndex === -1) {
+      solutions.push(domains.map((domain, index) => options[index][domain[0]].rotation));
+      return;
+    }
+    for (const optionIndex of domains[branchIndex]) {
+      if (solutions.length >= limit) return;
+      const next = domains.map((domain) => domain.slice());
+      next[branchIndex] = [optionIndex];
+      if (propagate(next, [branchIndex])) {
+        search(next);
+      } else {
+        stats.backtracks += 1;
+      }
+    }
+  };
+
+  if (
+    initialDomains.every((domain) => domain.length > 0) &&
+    propagate(initialDomains, tiles.map((_, index) => index))
+  ) {
+    search(initialDomains);
+  }
+
+  return {
+    solutions,
+    count: solutions.length,
+    exhausted: solutions.length < limit,
+    stats
+  };
+}
+
+export function countSolutions(tiles, limit = 2) {
+  return solveBoard(tiles, { limit }).count;
+}
+
+export function isBoardSolvable(tiles) {
+  return solveBoard(tiles, { limit: 1 }).count > 0;
+}
+
+export function hasUniqueSolution(tiles) {
+  return countSolutions(tiles, 2) === 1;
+}
+
+// Pins tiles (in their solved rotation) where a rival solution disagrees with the
+// generated one, until the solver proves the board unique or the pin budget runs out.
+export function pinUniqueSolution(tiles, rand, maxPins = MAX_UNIQUE_PINS) {
+  for (let pins = 0; pins <= maxPins; pins += 1) {
+    const { solutions, count } = solveBoard(tiles, { limit: 2 });
+    if (count < 2) return count === 1;
+    if (pins === maxPins) break;
+    const targetEdges = tiles.map((tile) => getEdges({ ...tile, rotation: tile.targetRotation }));
+    const differing = [];
+    solutions.forEach((solution) => {
+      solution.forEach((rotation, index) => {
+        const edges = getEdges({ ...tiles[index], rotation });
+        if (!edgesEqual(edges, targetEdges[index]) && !differing.includes(index)) {
+          differing.push(index);
+        }
+      });
+    });
+    if (differing.length === 0) return false;
+    const pinIndex = differing[Math.floor(rand() * differing.length)];
+    tiles[pinIndex] = {
+      ...tiles[pinIndex],
+      rotation: tiles[pinIndex].targetRotation,
+      rotationDegrees: tiles[pinIndex].targetRotation * (360 / getTileSides(tiles[pinIndex])),
+      fixed: true
+    };
+  }
+  return false;
+}
+
+// Hints steer towards the generated solution. A tile is provably wrong when its
+// current edges are ruled out by deduction from the board alone; failing that the
+// hint goes to the unsolved tile with the fewest layouts left after deduction.
+export function pickHint(tiles) {
+  const { options, initialDomains, propagate } = buildSolverModel(tiles);
+  const domains = initialDomains.map((domain) => domain.slice());
+  const deduced =
+    domains.every((domain) => domain.length > 0) &&
+    propagate(domains, tiles.map((_, index) => index));
+  let best = null;
+  let bestFreedom = Infinity;
+  tiles.forEach((tile, index) => {
+    if (tile.fixed || tile.type === "blank") return;
+    if (getTurnsToTarget(tile) === 0) return;
+    const edges = getEdges(tile);
+    const remaining = deduced ? domains[index] : initialDomains[index];
+    const wrong = !remaining.some((optionIndex) =>
+      edgesEqual(options[index][optionIndex].edges, edges)
+    );
+    const bestWrong = best?.reason === "wrong";
+    if (best && bestWrong && !wrong) return;
+    if (best && bestWrong === wrong && remaining.length >= bestFreedom) return;
+    best = { index, rotation: tile.targetRotation, reason: wrong ? "wrong" : "constrained" };
+    bestFreedom = remaining.length;
+  });
+  return best;
+}
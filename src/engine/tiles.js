@@ -0,0 +1,108 @@
+// Tile types and their edges. Square tiles have [north, east, south, west] edges
+// and turn in quarter turns; hex tiles have [north-east, east, south-east,
+// south-west, west, north-west] edges and turn in sixths. A rotation is always a
+// number of clockwise steps, and a tile's side count comes from its type.
+
+export const TILE_TYPES = [
+  "blank",
+  "terminal",
+  "straight",
+  "curveLeft",
+  "curveRight",
+  "tJunction"
+];
+
+// Hex tiles carry at most three edges; empty cells use "blank" on either grid.
+export const HEX_TILE_TYPES = [
+  "hexTerminal",
+  "hexSharp",
+  "hexCurve",
+  "hexStraight",
+  "hexFan",
+  "hexY",
+  "hexBranchRight",
+  "hexBranchLeft"
+];
+
+export const BASE_EDGES = {
+  blank: [false, false, false, false],
+  terminal: [false, false, true, false],
+  straight: [true, false, true, false],
+  curveLeft: [true, false, false, true],
+  curveRight: [true, true, false, false],
+  tJunction: [true, true, false, true],
+  crossCurve: [true, true, true, true],
+  hexTerminal: [true, false, false, false, false, false],
+  hexSharp: [true, true, false, false, false, false],
+  hexCurve: [true, false, true, false, false, false],
+  hexStraight: [true, false, false, true, false, false],
+  hexFan: [true, true, true, false, false, false],
+  hexY: [true, false, true, false, true, false],
+  hexBranchRight: [true, true, false, true, false, false],
+  hexBranchLeft: [true, false, false, true, false, true]
+};
+
+const CANDIDATES_BY_DEGREE = {
+  4: [["blank"], ["terminal"], ["straight", "curveLeft", "curveRight"], ["tJunction"], ["crossCurve"]],
+  6: [
+    [],
+    ["hexTerminal"],
+    ["hexSharp", "hexCurve", "hexStraight"],
+    ["hexFan", "hexY", "hexBranchRight", "hexBranchLeft"]
+  ]
+};
+
+export function getTileSides(tile) {
+  return (BASE_EDGES[tile.type] || BASE_EDGES.blank).length;
+}
+
+export function rotateEdges(edges, rotation) {
+  const sides = edges.length;
+  const turns = ((rotation % sides) + sides) % sides;
+  return edges.map((_, dir) => edges[(dir - turns + sides) % sides]);
+}
+
+export function getEdges(tile) {
+  const base = BASE_EDGES[tile.type];
+  if (!base) return [false, false, false, false];
+  if (tile.type === "crossCurve") return [true, true, true, true];
+  return rotateEdges(base, tile.rotation);
+}
+
+export function edgesEqual(a, b) {
+  return a.length === b.length && a.every((value, dir) => value === b[dir]);
+}
+
+export function pickTypeForEdges(edges) {
+  const sides = edges.length;
+  const degree = edges.filter(Boolean).length;
+  const candidates = CANDIDATES_BY_DEGREE[sides]?.[degree] || [];
+
+  for (const type of candidates) {
+    const base = BASE_EDGES[type];
+    for (let rotation = 0; rotation < sides; rotation += 1) {
+      const rotated = type === "crossCurve" ? base : rotateEdges(base, rotation);
+      if (edgesEqual(rotated, edges)) {
+        return { type, rotation };
+      }
+    }
+  }
+  return { type: "blank", rotation: 0 };
+}
+
+export function oppositeDir(dir, sides = 4) {
+  return (dir + sides / 2) % sides;
+}
+
+// Signed steps (negative is counter-clockwise) that bring a tile to the edges of its
+// targetRotation the short way round; 0 when the edges already match.
+export function getTurnsToTarget(tile) {
+  const target = getEdges({ ...tile, rotation: tile.targetRotation });
+  const sides = getTileSides(tile);
+  for (let step = 0; step <= sides / 2; step += 1) {
+    for (const turns of step === 0 ? [0] : [step, -step]) {
+      if (edgesEqual(getEdges({ ...tile, rotation: tile.rotation + turns }), target)) return turns;
+    }
+  }
+  return 0;
+}
@@ -0,0 +1,279 @@
+// German UI strings. Keys mirror en.js; anything missing falls back to English.
+
+export default {
+  "common.on": "An",
+  "common.off": "Aus",
+  "common.close": "Schließen",
+  "common.reset": "Zurücksetzen",
+  "common.goHome": "Zur Startseite",
+  "common.newLevel": "Neues Level",
+  "common.share": "Teilen",
+  "common.copied": "Kopiert",
+  "common.undo": "Rückgängig",
+  "common.stars": "{count} von 3 Sternen",
+
+  "difficulty.easy": "Leicht",
+  "difficulty.medium": "Mittel",
+  "difficulty.hard": "Schwer",
+
+  "home.continue": "Weiterspielen",
+  "home.continueLevel": "Level {level}",
+  "home.continueDaily": "Tagesrätsel",
+  "home.continueEndless": "Endlos · {difficulty}",
+  "home.continueMoves": { one: "{count} Zug", other: "{count} Züge" },
+  "mode.endless.title": "Endlos",
+  "mode.endless.copy": "Ein steter Strom zufällig erzeugter Bretter ohne festes Ende.",
+  "mode.progress.title": "Fortschritt",
+  "mode.progress.copy":
+    "Eine geführte Reise durch ausgewählte Bretter mit wachsender Komplexität und Freischaltungen.",
+  "mode.daily.title": "Tagesrätsel",
+  "mode.daily.copy": "Ein Brett pro Tag, für alle dasselbe.",
+  "mode.daily.done": "Das heutige Brett ist gelöst. Um Mitternacht kommt ein neues.",
+  "mode.builder.title": "Level-Editor",
+  "mode.builder.copy": "Baue mit Reglern und Seeds eine Reise aus {count} Levels.",
+
+  "daily.previousMonth": "Vorheriger Monat",
+  "daily.nextMonth": "Nächster Monat",
+  "daily.dayResult": {
+    one: "{count} Zug, {stars} von 3 Sternen",
+    other: "{count} Züge, {stars} von 3 Sternen"
+  },
+  "daily.dayDone": "{day}, gelöst",
+  "daily.streak": { one: "{count} Tag in Folge", other: "{count} Tage in Folge" },
+  "daily.daysDone": { one: "{count} Tag gelöst", other: "{count} Tage gelöst" },
+  "daily.shareTitle": "Zen-Tagesrätsel {day}",
+  "daily.shareMoves": { one: "{count} Zug (Par {par})", other: "{count} Züge (Par {par})" },
+  "daily.shareHints": { one: "{count} Tipp", other: "{count} Tipps" },
+
+  "tile.shape.empty": "leer",
+  "tile.shape.end": "Endstück",
+  "tile.shape.straight": "Gerade",
+  "tile.shape.curve": "Kurve",
+  "tile.shape.sharpCurve": "enge Kurve",
+  "tile.shape.junction": "Abzweigung",
+  "tile.shape.yJunction": "Y-Abzweigung",
+  "tile.shape.crossing": "Kreuzung",
+  "tile.shape.fan": "Fächer",
+  "tile.shape.branch": "Verzweigung",
+  "tile.side.north": "Nord",
+  "tile.side.east": "Ost",
+  "tile.side.south": "Süd",
+  "tile.side.west": "West",
+  "tile.side.northEast": "Nordost",
+  "tile.side.southEast": "Südost",
+  "tile.side.southWest": "Südwest",
+  "tile.side.northWest": "Nordwest",
+  "tile.sidePair": "{first}-{second}",
+  "tile.connected": "verbunden {sides}",
+  "tile.position": "Zeile {row}, Spalte {column}",
+  "tile.fixed": "fest",
+  "tile.locked": "gesperrt",
+
+  "announce.network": {
+    one: "{tile}. Netz aus {count} Feld fertig",
+    other: "{tile}. Netz aus {count} Feldern fertig"
+  },
+  "announce.solved": { one: "Brett in {count} Zug gelöst", other: "Brett in {count} Zügen gelöst" },
+  "announce.solvedTime": {
+    one: "Brett in {count} Zug gelöst, {time}",
+    other: "Brett in {count} Zügen gelöst, {time}"
+  },
+  "announce.locked": "Feld gesperrt",
+  "announce.unlocked": "Feld entsperrt",
+
+  "board.solveAllButOne": "Alle Felder bis auf eines lösen",
+  "board.home": "Zurück zur Startseite",
+  "board.level": "Level {level}",
+  "board.showLevelPicker": "Levelauswahl zeigen",
+  "board.hideLevelPicker": "Levelauswahl ausblenden",
+  "board.showLevels": "Levels zeigen (L)",
+  "board.hideLevels": "Levels ausblenden (L)",
+  "board.daily": "Tagesrätsel {day}",
+  "board.showCalendar": "Kalender der Tagesrätsel zeigen",
+  "board.hideCalendar": "Kalender der Tagesrätsel ausblenden",
+  "board.showCalendarTitle": "Kalender zeigen (L)",
+  "board.hideCalendarTitle": "Kalender ausblenden (L)",
+  "board.par": "Par {par}",
+  "board.moves": { one: "{count} Zug, Par {par}", other: "{count} Züge, Par {par}" },
+  "board.time": "Zeit {time}",
+  "board.hint": "Tipp zeigen",
+  "board.hintLeft": "Tipp zeigen, noch {count}",
+  "board.hintTitle": "Tipp",
+  "board.hintTitleLeft": "Tipp (noch {count})",
+  "board.undo": "Drehung rückgängig machen",
+  "board.undoTitle": "Rückgängig (Strg+Z)",
+  "board.redo": "Drehung wiederholen",
+  "board.redoTitle": "Wiederholen (Strg+Umschalt+Z)",
+  "board.reset": "Level zurücksetzen",
+  "board.resetTitle": "Zurücksetzen (R)",
+  "board.share": "Link zum Brett teilen",
+  "board.shareCopied": "Link zum Brett kopiert",
+  "board.shareTitle": "Brett teilen",
+  "board.shareTitleCopied": "Link kopiert",
+  "board.shareLinkTitle": "Zen-Kachelrätsel",
+  "board.newLevelTitle": "Neues Level (N)",
+  "board.difficulty": "Schwierigkeit",
+  "board.difficultyTitle": "Schwierigkeit (D)",
+  "board.wrapOn": "Ränder an",
+  "board.wrapOff": "Ränder aus",
+  "board.wrapTitle": "Die Ränder gehen auf der Gegenseite weiter",
+  "board.wrapHex": "Sechseckbretter haben keine durchgehenden Ränder",
+  "board.shape": "Feldform",
+  "board.shapeHex": "Sechseck",
+  "board.shapeSquare": "Quadrat",
+  "board.noLevels": "Noch keine Fortschritts-Levels vergeben.",
+  "board.error": "Dieses Brett konnte nicht erstellt werden.",
+  "board.retry": "Erneut versuchen",
+
+  "levels.congratulations": "Glückwunsch",
+  "levels.resetPrompt": "Möchtest du deinen Fortschritt zurücksetzen?",
+  "levels.state.complete": "gelöst",
+  "levels.state.available": "verfügbar",
+  "levels.state.unavailable": "gesperrt",
+  "levels.card": "Level {level} {state}",
+  "levels.cardStars": "Level {level} {state}, {stars} von 3 Sternen",
+
+  "success.nicelyDone": "Schön gemacht",
+  "success.wellDone": "Gut gemacht",
+  "success.niceWork": "Starke Leistung",
+  "success.goodWork": "Gute Arbeit",
+  "success.levelComplete": "Level geschafft",
+  "success.puzzleComplete": "Rätsel geschafft",
+  "success.levelSolved": "Level gelöst",
+  "success.puzzleSolved": "Rätsel gelöst",
+  "success.taskComplete": "Aufgabe erledigt",
+  "success.levelNumberComplete": "Level {level} geschafft",
+  "success.dailyComplete": "Tagesrätsel geschafft",
+  "success.final": "Du hast gewonnen",
+  "success.moves": { one: "{count} Zug · Par {par}", other: "{count} Züge · Par {par}" },
+  "success.hints": { one: "{count} Tipp genutzt", other: "{count} Tipps genutzt" },
+  "success.newBest": "Neue Bestzeit",
+  "success.best": "Bestzeit {time}",
+  "success.endlessMode": "Endlos-Modus",
+  "success.nextLevel": "Nächstes Level",
+  "success.themeUnlocked": "Neues Design freigeschaltet",
+  "success.applyTheme": "Design anwenden",
+
+  "settings.title": "Einstellungen",
+  "settings.madeBy": "Gemacht von",
+  "settings.language": "Sprache",
+  "settings.languageNote": "Folgt deinem Browser, bis du eine Sprache wählst.",
+  "settings.performance": "Leistungsmodus",
+  "settings.performanceNote": "Schalte das ein, wenn das Spiel träge reagiert.",
+  "settings.hintLimit": "Tipp-Limit",
+  "settings.hintLimitNote": {
+    one: "{count} Tipp pro Level im Fortschritts-Modus. Neustarten füllt ihn nicht auf.",
+    other: "{count} Tipps pro Level im Fortschritts-Modus. Neustarten füllt sie nicht auf."
+  },
+  "settings.timer": "Stoppuhr",
+  "settings.timerNote": "Miss jedes Brett und behalte deine Bestzeiten.",
+  "settings.contrast": "Hoher Kontrast",
+  "settings.contrastNote": "Kräftigere Farben für jedes Design; fertige Wege werden durchgezogen.",
+  "settings.motion": "Weniger Bewegung",
+  "settings.motionNote": "Überblendungen ersetzen Drehungen und Wellen.",
+  "settings.motionNoteSystem":
+    "Folgt der Einstellung deines Geräts. Überblendungen ersetzen Drehungen und Wellen.",
+  "settings.analytics": "Analyse",
+  "settings.analyticsGranted":
+    "Anonyme Nutzungsdaten helfen bei Balance und Geräteunterstützung.",
+  "settings.analyticsDenied": "Die Analyse ist aus. Du kannst sie jederzeit einschalten.",
+  "settings.analyticsUnset": "Entscheide, ob du anonyme Nutzungsdaten teilen möchtest.",
+  "settings.privacy": "Datenschutz",
+  "settings.privacyNote": "Lies nach, wie Analyse und Daten behandelt werden.",
+
+  "theme.title": "Design",
+  "theme.shuffle": "Zufällig",
+  "theme.nightMode": "Nachtmodus",
+  "theme.change": "Design ändern",
+  "theme.basic": "Grunddesigns",
+  "theme.nightModes": "Nachtmodi",
+  "theme.unlockable": "Freischaltbare Designs",
+  "theme.unlockLevel": "Lvl {level}",
+  "theme.custom": "Eigene Designs",
+
+  "themeEditor.title": "Eigene Designs",
+  "themeEditor.note": "Mische fünf Farben zu einem eigenen Design.",
+  "themeEditor.current": "Aktuelles Design: {name}",
+  "themeEditor.editCopy": "Als Kopie bearbeiten",
+  "themeEditor.new": "Neues Design",
+  "themeEditor.edit": "{name} bearbeiten",
+  "themeEditor.name": "Name",
+  "themeEditor.untitled": "Mein Design",
+  "themeEditor.color.0": "Hintergrund oben",
+  "themeEditor.color.1": "Hintergrund Mitte",
+  "themeEditor.color.2": "Hintergrund unten",
+  "themeEditor.color.3": "Akzent",
+  "themeEditor.color.4": "Pfade",
+  "themeEditor.preview": "Vorschau",
+  "themeEditor.contrastOk": "Der Kontrast passt.",
+  "themeEditor.warn.paths": "Pfade sind auf den Feldern schwach ({ratio}:1, Ziel {target}:1).",
+  "themeEditor.warn.text":
+    "Text ist auf dem Hintergrund schwer lesbar ({ratio}:1, Ziel {target}:1).",
+  "themeEditor.warn.accent":
+    "Weiße Beschriftungen sind auf dem Akzent schwer lesbar ({ratio}:1, Ziel {target}:1).",
+  "themeEditor.save": "Speichern",
+  "themeEditor.cancel": "Abbrechen",
+  "themeEditor.delete": "Löschen",
+  "themeEditor.kindNote":
+    "Dieses Design nutzt einen eingebauten Look; die Vorschau zeigt nur seine Farben.",
+  "themeEditor.copyCode": "Code kopieren",
+  "themeEditor.download": "Herunterladen",
+  "themeEditor.import": "Importieren",
+  "themeEditor.importNote": "Füge einen Design-Code ein oder wähle eine Design-Datei.",
+  "themeEditor.importCode": "Design-Code",
+  "themeEditor.importFile": "Datei wählen",
+  "themeEditor.importInvalid": "Dieses Design ist nicht nutzbar. Prüfe: {fields}.",
+  "themeEditor.importUnreadable": "Das ist weder ein Design-Code noch eine Design-Datei.",
+
+  "sounds.title": "Klänge",
+  "sounds.fx": "Effekte",
+  "sounds.music": "Musik",
+  "sounds.source": "Quelle",
+  "player.nowPlaying": "Läuft gerade",
+  "player.previous": "Vorheriger Titel",
+  "player.next": "Nächster Titel",
+  "player.play": "Abspielen",
+  "player.pause": "Pausieren",
+
+  "install.title": "ZENTō offline spielen",
+  "install.installed": "Du nutzt die installierte App.",
+  "install.prompt":
+    "Hol dir die echte App – ganz ohne App Store. Offline und im Vollbild spielbar.",
+  "install.ios": "Unter iOS: Tippe auf Teilen, dann auf „Zum Home-Bildschirm“. Kein App Store nötig.",
+  "install.other":
+    "Kein App Store nötig. Installiere die App, um offline zu spielen (Chrome/Edge/Android).",
+  "install.tag": "Bereits installiert",
+  "install.platforms": "Unterstützte Plattformen",
+  "install.action": "App installieren",
+
+  "analytics.bannerTitle": "Hilf, ZENTō zu verbessern",
+  "analytics.bannerNote":
+    "Erlaube anonyme Analysen, damit wir Bildschirmgrößen und gelöste Levels sehen. Keine persönlichen Daten.",
+  "analytics.allow": "Analyse erlauben",
+  "analytics.deny": "Nein, danke",
+
+  "privacy.title": "Datenschutzerklärung",
+  "privacy.updated": "Zuletzt aktualisiert: {date}",
+  "privacy.collectTitle": "Was wir erfassen",
+  "privacy.collectEvents":
+    "Anonyme Spielereignisse (Modus gestartet, Brett gestartet/gelöst, Levelnummer im Fortschritts-Modus).",
+  "privacy.collectDevice":
+    "Geräte- und App-Kontext (Bildschirmgröße, Pixeldichte, Browser, Betriebssystem, PWA-Installationsstatus).",
+  "privacy.useTitle": "Wofür wir sie nutzen",
+  "privacy.useBalance": "Balance, Leistung und Geräteunterstützung verbessern.",
+  "privacy.useModes": "Verstehen, welche Modi gespielt und welche Levels gelöst werden.",
+  "privacy.choicesTitle": "Deine Wahl",
+  "privacy.choicesOptIn":
+    "Die Analyse ist standardmäßig aus. Du kannst sie jederzeit in den Einstellungen ein- oder ausschalten.",
+  "privacy.choicesClear":
+    "Wenn du die Websitedaten in deinem Browser löschst, werden gespeicherte Analyse-Kennungen entfernt.",
+  "privacy.processorsTitle": "Auftragsverarbeiter",
+  "privacy.processorsPosthog":
+    "Nach deiner Zustimmung verarbeiten wir anonyme Analyseereignisse mit PostHog.",
+  "privacy.contactTitle": "Kontakt",
+
+  "update.title": "Update bereit",
+  "update.note": "Eine neue Version ist verfügbar.",
+  "update.refresh": "Neu laden",
+  "update.later": "Später"
+};
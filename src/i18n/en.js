@@ -0,0 +1,271 @@
+// English UI strings, and the fallback for every other catalog. Plural messages
+// are keyed by Intl.PluralRules category and picked with the `count` param.
+
+export default {
+  "common.on": "On",
+  "common.off": "Off",
+  "common.close": "Close",
+  "common.reset": "Reset",
+  "common.goHome": "Go home",
+  "common.newLevel": "New level",
+  "common.share": "Share",
+  "common.copied": "Copied",
+  "common.undo": "Undo",
+  "common.stars": "{count} of 3 stars",
+
+  "difficulty.easy": "Easy",
+  "difficulty.medium": "Medium",
+  "difficulty.hard": "Hard",
+
+  "home.continue": "Continue",
+  "home.continueLevel": "Level {level}",
+  "home.continueDaily": "Daily",
+  "home.continueEndless": "Endless · {difficulty}",
+  "home.continueMoves": { one: "{count} move", other: "{count} moves" },
+  "mode.endless.title": "Endless",
+  "mode.endless.copy": "A continuous stream of randomly generated boards with no set end point.",
+  "mode.progress.title": "Progressive",
+  "mode.progress.copy":
+    "A guided journey through curated boards with increasing complexity and unlocks.",
+  "mode.daily.title": "Daily",
+  "mode.daily.copy": "One board a day, the same for everyone.",
+  "mode.daily.done": "Today's board is done. A new one arrives at midnight.",
+  "mode.builder.title": "Level Builder",
+  "mode.builder.copy": "Build a {count}-level journey with sliders and seeds.",
+
+  "daily.previousMonth": "Previous month",
+  "daily.nextMonth": "Next month",
+  "daily.dayResult": {
+    one: "{count} move, {stars} of 3 stars",
+    other: "{count} moves, {stars} of 3 stars"
+  },
+  "daily.dayDone": "{day}, done",
+  "daily.streak": { one: "{count}-day streak", other: "{count}-day streak" },
+  "daily.daysDone": { one: "{count} day done", other: "{count} days done" },
+  "daily.shareTitle": "Zen Daily {day}",
+  "daily.shareMoves": { one: "{count} move (par {par})", other: "{count} moves (par {par})" },
+  "daily.shareHints": { one: "{count} hint", other: "{count} hints" },
+
+  "tile.shape.empty": "empty",
+  "tile.shape.end": "end",
+  "tile.shape.straight": "straight",
+  "tile.shape.curve": "curve",
+  "tile.shape.sharpCurve": "sharp curve",
+  "tile.shape.junction": "junction",
+  "tile.shape.yJunction": "Y junction",
+  "tile.shape.crossing": "crossing",
+  "tile.shape.fan": "fan",
+  "tile.shape.branch": "branch",
+  "tile.side.north": "north",
+  "tile.side.east": "east",
+  "tile.side.south": "south",
+  "tile.side.west": "west",
+  "tile.side.northEast": "north-east",
+  "tile.side.southEast": "south-east",
+  "tile.side.southWest": "south-west",
+  "tile.side.northWest": "north-west",
+  "tile.sidePair": "{first}-{second}",
+  "tile.connected": "connected {sides}",
+  "tile.position": "row {row}, column {column}",
+  "tile.fixed": "fixed",
+  "tile.locked": "locked",
+
+  "announce.network": {
+    one: "{tile}. Network of {count} tile complete",
+    other: "{tile}. Network of {count} tiles complete"
+  },
+  "announce.solved": { one: "Board solved in {count} move", other: "Board solved in {count} moves" },
+  "announce.solvedTime": {
+    one: "Board solved in {count} move, {time}",
+    other: "Board solved in {count} moves, {time}"
+  },
+  "announce.locked": "Tile locked",
+  "announce.unlocked": "Tile unlocked",
+
+  "board.solveAllButOne": "Solve all but one tile",
+  "board.home": "Back to home",
+  "board.level": "Level {level}",
+  "board.showLevelPicker": "Show level picker",
+  "board.hideLevelPicker": "Hide level picker",
+  "board.showLevels": "Show levels (L)",
+  "board.hideLevels": "Hide levels (L)",
+  "board.daily": "Daily {day}",
+  "board.showCalendar": "Show daily calendar",
+  "board.hideCalendar": "Hide daily calendar",
+  "board.showCalendarTitle": "Show calendar (L)",
+  "board.hideCalendarTitle": "Hide calendar (L)",
+  "board.par": "Par {par}",
+  "board.moves": { one: "{count} move, par {par}", other: "{count} moves, par {par}" },
+  "board.time": "Time {time}",
+  "board.hint": "Show a hint",
+  "board.hintLeft": "Show a hint, {count} left",
+  "board.hintTitle": "Hint",
+  "board.hintTitleLeft": "Hint ({count} left)",
+  "board.undo": "Undo rotation",
+  "board.undoTitle": "Undo (Ctrl+Z)",
+  "board.redo": "Redo rotation",
+  "board.redoTitle": "Redo (Ctrl+Shift+Z)",
+  "board.reset": "Reset level",
+  "board.resetTitle": "Reset (R)",
+  "board.share": "Share board link",
+  "board.shareCopied": "Board link copied",
+  "board.shareTitle": "Share board",
+  "board.shareTitleCopied": "Link copied",
+  "board.shareLinkTitle": "Zen tile puzzle",
+  "board.newLevelTitle": "New level (N)",
+  "board.difficulty": "Difficulty",
+  "board.difficultyTitle": "Difficulty (D)",
+  "board.wrapOn": "Wrap on",
+  "board.wrapOff": "Wrap off",
+  "board.wrapTitle": "Edges wrap around to the opposite side",
+  "board.wrapHex": "Hex boards don't wrap",
+  "board.shape": "Tile shape",
+  "board.shapeHex": "Hex",
+  "board.shapeSquare": "Square",
+  "board.noLevels": "No progress levels assigned yet.",
+  "board.error": "This board couldn't be generated.",
+  "board.retry": "Try again",
+
+  "levels.congratulations": "Congratulations",
+  "levels.resetPrompt": "Would you like to reset your progression?",
+  "levels.state.complete": "complete",
+  "levels.state.available": "available",
+  "levels.state.unavailable": "unavailable",
+  "levels.card": "Level {level} {state}",
+  "levels.cardStars": "Level {level} {state}, {stars} of 3 stars",
+
+  "success.nicelyDone": "Nicely done",
+  "success.wellDone": "Well done",
+  "success.niceWork": "Nice work",
+  "success.goodWork": "Good work",
+  "success.levelComplete": "Level complete",
+  "success.puzzleComplete": "Puzzle complete",
+  "success.levelSolved": "Level solved",
+  "success.puzzleSolved": "Puzzle solved",
+  "success.taskComplete": "Task complete",
+  "success.levelNumberComplete": "Level {level} complete",
+  "success.dailyComplete": "Daily complete",
+  "success.final": "A Winner Is You",
+  "success.moves": { one: "{count} move · par {par}", other: "{count} moves · par {par}" },
+  "success.hints": { one: "{count} hint used", other: "{count} hints used" },
+  "success.newBest": "New best",
+  "success.best": "Best {time}",
+  "success.endlessMode": "Endless mode",
+  "success.nextLevel": "Next level",
+  "success.themeUnlocked": "New theme unlocked",
+  "success.applyTheme": "Apply theme",
+
+  "settings.title": "Settings",
+  "settings.madeBy": "Made by",
+  "settings.language": "Language",
+  "settings.languageNote": "Picked from your browser until you choose one.",
+  "settings.performance": "Performance Mode",
+  "settings.performanceNote": "Turn this on if you're experiencing sluggish behavior.",
+  "settings.hintLimit": "Hint Limit",
+  "settings.hintLimitNote": {
+    one: "Allow {count} hint per level in Progressive. Resetting a level doesn't refill it.",
+    other: "Allow {count} hints per level in Progressive. Resetting a level doesn't refill them."
+  },
+  "settings.timer": "Solve Timer",
+  "settings.timerNote": "Time each board and keep your best times.",
+  "settings.contrast": "High Contrast",
+  "settings.contrastNote": "Stronger colours over any theme; finished paths turn solid.",
+  "settings.motion": "Reduced Motion",
+  "settings.motionNote": "Fades replace spins and waves.",
+  "settings.motionNoteSystem": "Following your device setting. Fades replace spins and waves.",
+  "settings.analytics": "Analytics",
+  "settings.analyticsGranted": "Anonymous usage helps improve balance and device support.",
+  "settings.analyticsDenied": "Analytics are off. You can turn this on anytime.",
+  "settings.analyticsUnset": "Choose whether to share anonymous usage data.",
+  "settings.privacy": "Privacy",
+  "settings.privacyNote": "Read how analytics and data are handled.",
+
+  "theme.title": "Theme",
+  "theme.shuffle": "Shuffle",
+  "theme.nightMode": "Night mode",
+  "theme.change": "Change theme",
+  "theme.basic": "Basic themes",
+  "theme.nightModes": "Night modes",
+  "theme.unlockable": "Unlockable themes",
+  "theme.unlockLevel": "Lvl {level}",
+  "theme.custom": "Your themes",
+
+  "themeEditor.title": "Custom Themes",
+  "themeEditor.note": "Mix five colours into a theme of your own.",
+  "themeEditor.current": "Current theme: {name}",
+  "themeEditor.editCopy": "Edit a copy",
+  "themeEditor.new": "New theme",
+  "themeEditor.edit": "Edit {name}",
+  "themeEditor.name": "Name",
+  "themeEditor.untitled": "My theme",
+  "themeEditor.color.0": "Background top",
+  "themeEditor.color.1": "Background middle",
+  "themeEditor.color.2": "Background bottom",
+  "themeEditor.color.3": "Accent",
+  "themeEditor.color.4": "Paths",
+  "themeEditor.preview": "Preview",
+  "themeEditor.contrastOk": "Contrast looks good.",
+  "themeEditor.warn.paths": "Paths are faint on the tiles ({ratio}:1, aim for {target}:1).",
+  "themeEditor.warn.text": "Text is hard to read on the background ({ratio}:1, aim for {target}:1).",
+  "themeEditor.warn.accent": "White labels are hard to read on the accent ({ratio}:1, aim for {target}:1).",
+  "themeEditor.save": "Save",
+  "themeEditor.cancel": "Cancel",
+  "themeEditor.delete": "Delete",
+  "themeEditor.kindNote": "This theme uses a built-in look; the preview shows only its colours.",
+  "themeEditor.copyCode": "Copy code",
+  "themeEditor.download": "Download",
+  "themeEditor.import": "Import",
+  "themeEditor.importNote": "Paste a theme code or choose a theme file.",
+  "themeEditor.importCode": "Theme code",
+  "themeEditor.importFile": "Choose file",
+  "themeEditor.importInvalid": "This theme can't be used. Check: {fields}.",
+  "themeEditor.importUnreadable": "That isn't a theme code or theme file.",
+
+  "sounds.title": "Sounds",
+  "sounds.fx": "FX Volume",
+  "sounds.music": "Music Volume",
+  "sounds.source": "source",
+  "player.nowPlaying": "Now Playing",
+  "player.previous": "Previous track",
+  "player.next": "Next track",
+  "player.play": "Play",
+  "player.pause": "Pause",
+
+  "install.title": "Play ZENTō offline",
+  "install.installed": "You're running the installed app.",
+  "install.prompt": "Get the real app—no app store needed. Installs for offline, full-screen play.",
+  "install.ios": "On iOS: tap Share, then “Add to Home Screen.” No app store needed.",
+  "install.other": "No app store needed. Install the app for offline play (Chrome/Edge/Android).",
+  "install.tag": "Already installed",
+  "install.platforms": "Supported platforms",
+  "install.action": "Install app",
+
+  "analytics.bannerTitle": "Help improve ZENTō",
+  "analytics.bannerNote":
+    "Allow anonymous analytics so we can see device sizes and level completion. No personal data.",
+  "analytics.allow": "Allow analytics",
+  "analytics.deny": "No thanks",
+
+  "privacy.title": "Privacy Policy",
+  "privacy.updated": "Last updated: {date}",
+  "privacy.collectTitle": "What we collect",
+  "privacy.collectEvents":
+    "Anonymous gameplay events (mode started, board started/completed, level number for progress mode).",
+  "privacy.collectDevice":
+    "Device and app context (viewport size, device pixel ratio, browser, OS, PWA install status).",
+  "privacy.useTitle": "How we use it",
+  "privacy.useBalance": "Improve balance, performance, and device support.",
+  "privacy.useModes": "Understand mode usage and level completion rates.",
+  "privacy.choicesTitle": "Your choices",
+  "privacy.choicesOptIn": "Analytics are off by default. Opt in or out anytime in Settings.",
+  "privacy.choicesClear": "Clearing site data in your browser removes stored analytics identifiers.",
+  "privacy.processorsTitle": "Processors",
+  "privacy.processorsPosthog":
+    "We use PostHog to process anonymous analytics events after you opt in.",
+  "privacy.contactTitle": "Contact",
+
+  "update.title": "Update ready",
+  "update.note": "A new version is available.",
+  "update.refresh": "Refresh",
+  "update.later": "Later"
+};
@@ -0,0 +1,82 @@
+/**
+ * UI strings and locale-aware formatting.
+ *
+ * Framework-free like the engine: the app wraps a translator in React context,
+ * and tests import this file directly.
+ *
+ * Catalogs (en.js, de.js…) are flat maps of dotted keys to messages. A message is
+ * either a string with "{name}" placeholders or an object of Intl.PluralRules
+ * categories ({ one, other, … }) chosen by the `count` param. Number params are
+ * formatted for the locale. A key missing from a catalog falls back to English,
+ * then to the key itself, so a half-finished translation never breaks the UI.
+ *
+ *   detectLocale(languages) → the first supported locale in a navigator.languages
+ *     style list, matching "de-AT" to "de"; English when none match.
+ *   createTranslator(locale) → t(key, params?), with t.locale, t.number(value,
+ *     options?), t.duration(ms) → "m:ss" and t.list(items) for "a, b and c".
+ */
+
+import en from "./en.js";
+import de from "./de.js";
+
+export const DEFAULT_LOCALE = "en";
+
+export const LOCALES = [
+  { code: "en", name: "English", messages: en },
+  { code: "de", name: "Deutsch", messages: de }
+];
+
+const CATALOGS = Object.fromEntries(LOCALES.map(({ code, messages }) => [code, messages]));
+
+export function isSupportedLocale(code) {
+  return typeof code === "string" && Object.hasOwn(CATALOGS, code);
+}
+
+export function detectLocale(languages = []) {
+  for (const language of languages) {
+    if (typeof language !== "string") continue;
+    const code = language.toLowerCase();
+    if (isSupportedLocale(code)) return code;
+    const base = code.split("-")[0];
+    if (isSupportedLocale(base)) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function createTranslator(locale) {
+  const code = isSupportedLocale(locale) ? locale : DEFAULT_LOCALE;
+  const messages = CATALOGS[code];
+  const pluralRules = new Intl.PluralRules(code);
+  const numberFormat = new Intl.NumberFormat(code);
+  const listFormat = new Intl.ListFormat(code, { type: "conjunction" });
+  const secondsFormat = new Intl.NumberFormat(code, {
+    minimumIntegerDigits: 2,
+    useGrouping: false
+  });
+
+  const number = (value, options) =>
+    options ? new Intl.NumberFormat(code, options).format(value) : numberFormat.format(value);
+
+  const t = (key, params = {}) => {
+    let message = messages[key] ?? en[key];
+    if (message === undefined) return key;
+    if (typeof message === "object") {
+      const count = Number(params.count);
+      message = message[pluralRules.select(count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return match;
+      return typeof value === "number" ? numberFormat.format(value) : String(value);
+    });
+  };
+
+  t.locale = code;
+  t.number = number;
+  t.duration = (ms) => {
+    const seconds = Math.floor(ms / 1000);
+    return `${number(Math.floor(seconds / 60))}:${secondsFormat.format(seconds % 60)}`;
+  };
+  t.list = (items) => listFormat.format(items);
+  return t;
+}
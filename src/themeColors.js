@@ -0,0 +1,121 @@
+/**
+ * Colour maths shared by the theme effect and the custom theme editor.
+ *
+ * A palette theme is five hex stops: three background stops, an accent and a
+ * path colour. themeVariables() turns them into the CSS variables the app sets
+ * on :root, and checkThemeContrast() measures the pairs players actually read
+ * (paths on tiles, text on the background, white labels on the accent) with
+ * WCAG contrast ratios.
+ */
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const INK_BASE = "#2f2a24";
+
+// The default --tile-bg; palette themes never override it.
+export const TILE_SURFACE = "rgba(255, 255, 255, 0.4)";
+
+export const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+export function parseColor(value) {
+  if (!value) return null;
+  const raw = value.trim().toLowerCase();
+  if (raw === "transparent") return { r: 0, g: 0, b: 0, a: 0 };
+  if (raw.startsWith("#")) {
+    const hex = raw.slice(1);
+    const normalized = hex.length === 3 ? hex.split("").map((c) => c + c).join("") : hex;
+    if (normalized.length !== 6) return null;
+    return {
+      r: parseInt(normalized.slice(0, 2), 16),
+      g: parseInt(normalized.slice(2, 4), 16),
+      b: parseInt(normalized.slice(4, 6), 16),
+      a: 1
+    };
+  }
+  const match = raw.match(/rgba?\(([^)]+)\)/);
+  if (!match) return null;
+  const parts = match[1].split(/\s*,\s*/).map(Number);
+  if (parts.length < 3) return null;
+  return {
+    r: parts[0],
+    g: parts[1],
+    b: parts[2],
+    a: parts.length === 4 ? parts[3] : 1
+  };
+}
+
+// Composites a translucent colour over another, as the browser paints it.
+export function blendRgba(top, bottom) {
+  const alpha = top.a + bottom.a * (1 - top.a);
+  if (alpha === 0) return { r: 0, g: 0, b: 0, a: 0 };
+  return {
+    r: (top.r * top.a + bottom.r * bottom.a * (1 - top.a)) / alpha,
+    g: (top.g * top.a + bottom.g * bottom.a * (1 - top.a)) / alpha,
+    b: (top.b * top.a + bottom.b * bottom.a * (1 - top.a)) / alpha,
+    a: alpha
+  };
+}
+
+const srgbToLinear = (value) => {
+  const v = value / 255;
+  return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+};
+
+const luminance = (color) =>
+  0.2126 * srgbToLinear(color.r) + 0.7152 * srgbToLinear(color.g) + 0.0722 * srgbToLinear(color.b);
+
+export function contrastRatio(a, b) {
+  const l1 = luminance(a);
+  const l2 = luminance(b);
+  const lighter = Math.max(l1, l2);
+  const darker = Math.min(l1, l2);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// Mixes two hex colours, `amount` of the way from the first to the second.
+export function blend(hexA, hexB, amount) {
+  const a = parseColor(hexA);
+  const b = parseColor(hexB);
+  const mix = (v1, v2) => Math.round(v1 * (1 - amount) + v2 * amount);
+  return `rgb(${mix(a.r, b.r)}, ${mix(a.g, b.g)}, ${mix(a.b, b.b)})`;
+}
+
+export function themeVariables(colors) {
+  const [c1, c2, c3, c4, c5] = colors;
+  return {
+    "--bg-start": c1,
+    "--bg-mid": c2,
+    "--bg-end": c3,
+    "--accent": c4,
+    "--loop": blend(c5, INK_BASE, 0.45),
+    "--loop-soft": "rgba(255, 255, 255, 0.75)",
+    "--ink": blend(c5, INK_BASE, 0.4),
+    "--muted": blend(c4, INK_BASE, 0.35),
+    "--board-bg": "rgba(255, 255, 255, 0.1)"
+  };
+}
+
+/**
+ * Returns the checks a palette fails, each with its ratio against the worst
+ * background: [{ id: "paths" | "text" | "accent", ratio, target }]. Paths and the
+ * accent are graphics and need 3:1; text needs 4.5:1. `variables` are a theme's
+ * CSS overrides, measured in place of the derived values.
+ */
+export function checkThemeContrast(colors, variables = {}) {
+  const vars = { "--tile-bg": TILE_SURFACE, ...themeVariables(colors), ...variables };
+  const opaque = (value) => blendRgba(parseColor(value), WHITE);
+  const backgrounds = ["--bg-start", "--bg-mid", "--bg-end"].map((prop) => opaque(vars[prop]));
+  const tiles = backgrounds.map((bg) => blendRgba(parseColor(vars["--tile-bg"]), bg));
+  const checks = [
+    { id: "paths", color: opaque(vars["--loop"]), against: tiles, target: 3 },
+    // Text sits on the --bg-start end of the page gradient and on translucent cards over it.
+    { id: "text", color: opaque(vars["--ink"]), against: [backgrounds[0]], target: 4.5 },
+    { id: "accent", color: WHITE, against: [opaque(vars["--accent"])], target: 3 }
+  ];
+  return checks
+    .map(({ id, color, against, target }) => ({
+      id,
+      ratio: Math.min(...against.map((bg) => contrastRatio(color, bg))),
+      target
+    }))
+    .filter(({ ratio, target }) => ratio < target);
+}
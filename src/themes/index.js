@@ -0,0 +1,197 @@
+/**
+ * Theme definitions and the shareable theme format.
+ *
+ * Every theme — the built-in files in ./data, an exported file or a pasted code —
+ * is one JSON object described by theme.schema.json:
+ *
+ *   format, version  "zento-theme", 1
+ *   name             shown in the theme picker (1–40 characters)
+ *   colors           five "#rrggbb" stops: background top, middle and bottom,
+ *                    accent, paths. themeVariables() turns them into CSS variables.
+ *   kind?            a stylesheet look, :root[data-theme=kind], used instead of
+ *                    the palette variables (the colours still drive swatches and confetti)
+ *   variables?       CSS colour variables set on top of the palette or kind
+ *   nightMode?, sleepLevel?
+ *                    list the theme as a night mode with 1–3 sleep Zs
+ *   unlockable?, unlockLevel?, includeInRandom?
+ *                    built-in only; importing drops them, so traded themes are
+ *                    never locked and never picked by Shuffle
+ *   fullWidth?, showSwatch?
+ *                    picker layout hints
+ *
+ * A theme code is "zento-theme:" followed by the base64 of the UTF-8 JSON, for
+ * pasting where files are awkward. validateTheme() reports bad fields by name;
+ * importTheme() also returns checkThemeContrast() warnings for palette themes.
+ */
+
+import schema from "./theme.schema.json";
+import { HEX_COLOR_PATTERN, checkThemeContrast } from "../themeColors.js";
+import tranquilWaters from "./data/tranquil-waters.json";
+import sereneGarden from "./data/serene-garden.json";
+import softBlush from "./data/soft-blush.json";
+import mistySlate from "./data/misty-slate.json";
+import warmEarth from "./data/warm-earth.json";
+import freshMeadow from "./data/fresh-meadow.json";
+import citrusBreeze from "./data/citrus-breeze.json";
+import quietGrey from "./data/quiet-grey.json";
+import roseBloom from "./data/rose-bloom.json";
+import harborBlue from "./data/harbor-blue.json";
+import nightModeBright from "./data/night-mode-bright.json";
+import nightModeMedium from "./data/night-mode-medium.json";
+import nightModeDim from "./data/night-mode-dim.json";
+import neumorphic from "./data/neumorphic.json";
+import inkWash from "./data/ink-wash.json";
+import paperCraft from "./data/paper-craft.json";
+import brutalistMinimal from "./data/brutalist-minimal.json";
+import glassGlow from "./data/glass-glow.json";
+import blueprintGrid from "./data/blueprint-grid.json";
+import synthwave from "./data/synthwave.json";
+import retroCrt from "./data/retro-crt.json";
+
+export const THEME_FORMAT = schema.properties.format.const;
+export const THEME_VERSION = schema.properties.version.const;
+export const THEME_KINDS = schema.properties.kind.enum;
+export const THEME_VARIABLES = schema.properties.variables.propertyNames.enum;
+
+const FIELDS = Object.keys(schema.properties);
+const BOOLEAN_FIELDS = FIELDS.filter((field) => schema.properties[field].type === "boolean");
+const BUILT_IN_ONLY_FIELDS = ["unlockable", "unlockLevel", "includeInRandom"];
+const NAME_LIMIT = schema.properties.name.maxLength;
+const VARIABLE_VALUE_PATTERN = new RegExp(
+  schema.properties.variables.additionalProperties.pattern,
+  "i"
+);
+const CODE_PREFIX = "zento-theme:";
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Checks a parsed theme against the schema. Returns { theme, errors }: the theme
+ * without format/version and with its name trimmed, or null with the names of the
+ * offending fields ("format" when it isn't a theme object at all).
+ */
+export function validateTheme(data) {
+  if (!isPlainObject(data)) return { theme: null, errors: ["format"] };
+  const errors = [];
+  if (data.format !== THEME_FORMAT || data.version !== THEME_VERSION) errors.push("format");
+  Object.keys(data)
+    .filter((field) => !FIELDS.includes(field))
+    .forEach((field) => errors.push(field));
+  const name = typeof data.name === "string" ? data.name.trim() : "";
+  if (!name || name.length > NAME_LIMIT) errors.push("name");
+  if (
+    !Array.isArray(data.colors) ||
+    data.colors.length !== 5 ||
+    !data.colors.every((color) => typeof color === "string" && HEX_COLOR_PATTERN.test(color))
+  ) {
+    errors.push("colors");
+  }
+  if (data.kind !== undefined && !THEME_KINDS.includes(data.kind)) errors.push("kind");
+  if (
+    data.variables !== undefined &&
+    !(
+      isPlainObject(data.variables) &&
+      Object.entries(data.variables).every(
+        ([prop, value]) =>
+          THEME_VARIABLES.includes(prop) &&
+          typeof value === "string" &&
+          VARIABLE_VALUE_PATTERN.test(value)
+      )
+    )
+  ) {
+    errors.push("variables");
+  }
+  BOOLEAN_FIELDS.filter(
+    (field) => data[field] !== undefined && typeof data[field] !== "boolean"
+  ).forEach((field) => errors.push(field));
+  const sleepLevels = schema.properties.sleepLevel.enum;
+  if (data.sleepLevel !== undefined && !sleepLevels.includes(data.sleepLevel)) {
+    errors.push("sleepLevel");
+  }
+  if (
+    data.unlockLevel !== undefined &&
+    !(Number.isInteger(data.unlockLevel) && data.unlockLevel >= 1)
+  ) {
+    errors.push("unlockLevel");
+  }
+  if (errors.length) return { theme: null, errors };
+  const { format, version, ...theme } = data;
+  return { theme: { ...theme, name }, errors: [] };
+}
+
+/**
+ * Validates a theme from outside the app. Returns { theme, errors, warnings }, with
+ * the built-in-only fields dropped. Kind themes take their look from the
+ * stylesheet, so only palette themes get contrast warnings.
+ */
+export function importTheme(data) {
+  const { theme, errors } = validateTheme(data);
+  if (!theme) return { theme: null, errors, warnings: [] };
+  const imported = Object.fromEntries(
+    Object.entries(theme).filter(([field]) => !BUILT_IN_ONLY_FIELDS.includes(field))
+  );
+  const warnings = imported.kind ? [] : checkThemeContrast(imported.colors, imported.variables);
+  return { theme: imported, errors: [], warnings };
+}
+
+// The schema's fields of a theme, ready for JSON.stringify.
+export function exportTheme(theme) {
+  const fields = Object.fromEntries(
+    FIELDS.filter((field) => theme[field] !== undefined).map((field) => [field, theme[field]])
+  );
+  return { format: THEME_FORMAT, version: THEME_VERSION, ...fields };
+}
+
+export function encodeThemeCode(theme) {
+  const bytes = new TextEncoder().encode(JSON.stringify(exportTheme(theme)));
+  return CODE_PREFIX + btoa(String.fromCharCode(...bytes));
+}
+
+// Reads a theme file's contents or a theme code; "unreadable" when it is neither.
+export function parseThemeText(text) {
+  try {
+    const trimmed = String(text).trim();
+    if (!trimmed.startsWith(CODE_PREFIX)) return importTheme(JSON.parse(trimmed));
+    const binary = atob(trimmed.slice(CODE_PREFIX.length));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return importTheme(JSON.parse(new TextDecoder().decode(bytes)));
+  } catch (err) {
+    return { theme: null, errors: ["unreadable"], warnings: [] };
+  }
+}
+
+// "Glass & Glow" → "glass-glow.json".
+export function themeFileName(theme) {
+  const slug = theme.name
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${slug || "theme"}.json`;
+}
+
+// Picker order: basic palettes, night modes, then unlockables by level.
+export const BUILT_IN_THEMES = [
+  tranquilWaters,
+  sereneGarden,
+  softBlush,
+  mistySlate,
+  warmEarth,
+  freshMeadow,
+  citrusBreeze,
+  quietGrey,
+  roseBloom,
+  harborBlue,
+  nightModeBright,
+  nightModeMedium,
+  nightModeDim,
+  neumorphic,
+  inkWash,
+  paperCraft,
+  brutalistMinimal,
+  glassGlow,
+  blueprintGrid,
+  synthwave,
+  retroCrt
+].map(({ format, version, ...theme }) => theme);
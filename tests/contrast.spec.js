@@ -1,6 +1,7 @@
 import { test, expect } from "@playwright/test";
 const UNLOCK_LEVELS = [12, 24, 36, 48, 60, 72, 84, 96];
 const CONTRAST_THRESHOLD = 3;
+const HIGH_CONTRAST_THRESHOLD = 4.5;
 
 const HOME_SELECTORS = [
   { label: "buttons", selector: ".button:not(:disabled)" },
@@ -23,7 +24,13 @@ const BOARD_SELECTORS = [
 ];
 
 
-const runCustomContrast = async (page, themeName, screenLabel, selectors) => {
+const runCustomContrast = async (
+  page,
+  themeName,
+  screenLabel,
+  selectors,
+  threshold = CONTRAST_THRESHOLD
+) => {
   const results = await page.evaluate(
     ({ selectors, threshold }) => {
       const parseColor = (value) => {
@@ -153,7 +160,7 @@ const runCustomContrast = async (page, themeName, screenLabel, selectors) => {
       }
       return failures;
     },
-    { selectors, threshold: CONTRAST_THRESHOLD }
+    { selectors, threshold }
   );
 
   return results.map((entry) => ({
@@ -175,8 +182,7 @@ const formatFailures = (failures) => {
     .join("\n\n");
 };
 
-test("contrast audit across themes (AA large text)", async ({ page }) => {
-  test.setTimeout(300000);
+const auditThemes = async (page, { highContrast = false, threshold = CONTRAST_THRESHOLD } = {}) => {
   await page.addInitScript((levels) => {
     localStorage.setItem("zen_theme_mode", "fixed");
     localStorage.setItem("zen_progress_completed", JSON.stringify(levels));
@@ -186,6 +192,9 @@ test("contrast audit across themes (AA large text)", async ({ page }) => {
   await page.waitForSelector(".home-screen");
   await page.waitForFunction(() => window.__zenTest && window.__zenTest.getThemeNames);
   await page.evaluate(() => window.__zenTest.unlockAllThemes?.());
+  if (highContrast) {
+    await page.evaluate(() => window.__zenTest.setHighContrast(true));
+  }
 
   const themeNames = await page.evaluate(() => window.__zenTest.getThemeNames());
   const themeCount = themeNames.length;
@@ -196,21 +205,42 @@ test("contrast audit across themes (AA large text)", async ({ page }) => {
     await page.evaluate((index) => window.__zenTest.setThemeIndex(index), i);
     await page.waitForTimeout(120);
 
-    failures.push(...(await runCustomContrast(page, themeName, "home", HOME_SELECTORS)));
+    failures.push(
+      ...(await runCustomContrast(page, themeName, "home", HOME_SELECTORS, threshold))
+    );
 
     await page.getByRole("button", { name: /Endless/i }).click();
     await page.waitForSelector(".board", { state: "visible" });
 
-    failures.push(...(await runCustomContrast(page, themeName, "board", BOARD_SELECTORS)));
+    failures.push(
+      ...(await runCustomContrast(page, themeName, "board", BOARD_SELECTORS, threshold))
+    );
 
     await page.getByRole("button", { name: /Back to home/i }).click();
     await page.waitForSelector(".home-screen", { state: "visible" });
   }
 
+  return failures;
+};
+
+const expectNoFailures = (failures) => {
   if (failures.length) {
     console.log("\nContrast violations found:\n");
     console.log(formatFailures(failures));
   }
 
   expect(failures, "Contrast violations found. See console output for details.").toHaveLength(0);
+};
+
+test("contrast audit across themes (AA large text)", async ({ page }) => {
+  test.setTimeout(300000);
+  expectNoFailures(await auditThemes(page));
+});
+
+// High contrast overrides every theme, so each one must reach AA for normal text.
+test("high contrast mode passes AA across themes", async ({ page }) => {
+  test.setTimeout(300000);
+  expectNoFailures(
+    await auditThemes(page, { highContrast: true, threshold: HIGH_CONTRAST_THRESHOLD })
+  );
 });
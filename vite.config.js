@@ -4,24 +4,12 @@ import { VitePWA } from "vite-plugin-pwa";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { normalizeLevelList } from "./src/engine/index.js";
 
 const base = "/";
-const TOTAL_LEVELS = 96;
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-const normalizeLevelList = (list) => {
-  const source = Array.isArray(list)
-    ? list
-    : list && typeof list === "object" && Array.isArray(list.levels)
-      ? list.levels
-      : [];
-  return Array.from({ length: TOTAL_LEVELS }, (_, index) => {
-    const value = source[index];
-    return typeof value === "string" ? value : "";
-  });
-};
-
 const bakeLevelsPlugin = () => ({
   name: "bake-levels",
   configureServer(server) {
@@ -57,6 +45,9 @@ const bakeLevelsPlugin = () => ({
 
 export default defineConfig(({ command }) => ({
   base,
+  test: {
+    include: ["src/**/*.test.{js,jsx}"]
+  },
   plugins: [
     react(),
     command === "serve" ? bakeLevelsPlugin() : null,